@@ -0,0 +1,62 @@
+// Per-hub IROPS alert levels
+// Thresholds are rates over the hub's own schedule, so ATL's ~1,000 daily
+// departures and SLC's ~300 are judged on the same scale. Each rate also needs
+// a minimum count before it can trip — two early-morning cancellations at a
+// small hub are not a meltdown. HUB_THRESHOLDS overrides values per hub.
+
+export const LEVELS = ['normal', 'elevated', 'severe', 'meltdown'];
+
+export const DEFAULT_THRESHOLDS = {
+  // cancellations / scheduled flights
+  cancelRate: { elevated: 0.03, severe: 0.08, meltdown: 0.2, minCount: 3 },
+  // 60+ min delays / operated flights
+  delay60Rate: { elevated: 0.1, severe: 0.2, meltdown: 0.35, minCount: 5 },
+  // diversions / scheduled flights
+  divertRate: { elevated: 0.01, severe: 0.03, meltdown: 0.06, minCount: 2 },
+};
+
+// NYC slot airports run later on a normal day
+export const HUB_THRESHOLDS = {
+  LGA: { delay60Rate: { elevated: 0.15, severe: 0.25, meltdown: 0.4 } },
+  JFK: { delay60Rate: { elevated: 0.15, severe: 0.25, meltdown: 0.4 } },
+};
+
+/** Thresholds for a hub: defaults with its overrides merged per metric. */
+export function thresholdsFor(hub) {
+  const overrides = HUB_THRESHOLDS[hub] || {};
+  const out = {};
+  for (const [metric, t] of Object.entries(DEFAULT_THRESHOLDS)) out[metric] = { ...t, ...overrides[metric] };
+  return out;
+}
+
+const round3 = (n) => parseFloat(n.toFixed(3));
+
+/**
+ * Alert level for one hub's counters (departures and arrivals combined).
+ * @param {string} hub
+ * @param {{ total: number, operated: number, cancellations: number, delayed60: number, diversions: number }} counts
+ * @returns {{ level: string, reasons: { metric: string, value: number, count: number, threshold: number, level: string }[] }}
+ */
+export function classifyHub(hub, counts) {
+  const thresholds = thresholdsFor(hub);
+  const inputs = {
+    cancelRate: [counts.cancellations, counts.total],
+    delay60Rate: [counts.delayed60, counts.operated],
+    divertRate: [counts.diversions, counts.total],
+  };
+
+  let level = 0;
+  const reasons = [];
+  for (const [metric, [count, base]] of Object.entries(inputs)) {
+    const t = thresholds[metric];
+    if (!base || count < t.minCount) continue;
+    const value = count / base;
+    // Highest level whose threshold this rate reaches
+    const hit = LEVELS.slice(1).reverse().find(l => value >= t[l]);
+    if (!hit) continue;
+    reasons.push({ metric, value: round3(value), count, threshold: t[hit], level: hit });
+    level = Math.max(level, LEVELS.indexOf(hit));
+  }
+  reasons.sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level));
+  return { level: LEVELS[level], reasons };
+}
@@ -0,0 +1,206 @@
+// Shared cache layer for API handlers
+// TTL + stale-while-revalidate + in-flight de-duplication over a swappable
+// backend: in-memory LRU (default), filesystem, or Redis protocol.
+//
+// Backend selection: CACHE_BACKEND=memory|fs|redis. When unset, Redis is used
+// if REDIS_URL is configured, otherwise per-instance memory.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+import { getRedisClient } from './_redis.js';
+
+// Entries are { data, time, expires, staleUntil } (epoch ms).
+// `expires` ends freshness; `staleUntil` is when the backend may drop it.
+
+/**
+ * In-memory LRU backend.
+ * @param {{ maxEntries?: number }} opts
+ */
+export function createMemoryBackend({ maxEntries = 200 } = {}) {
+  const map = new Map();
+  return {
+    async get(key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.staleUntil) { map.delete(key); return null; }
+      // Re-insert so Map order tracks recency
+      map.delete(key);
+      map.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      map.delete(key);
+      if (map.size >= maxEntries) {
+        // Evict least recently used
+        map.delete(map.keys().next().value);
+      }
+      map.set(key, entry);
+    },
+    async delete(key) {
+      map.delete(key);
+    },
+  };
+}
+
+/**
+ * Filesystem backend — one JSON file per key. Shared by every instance that
+ * mounts the same directory; on Vercel that is only /tmp of one instance.
+ * @param {string} dir
+ */
+export function createFileBackend(dir) {
+  const pathFor = (key) => join(dir, createHash('sha1').update(key).digest('hex') + '.json');
+  return {
+    async get(key) {
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(pathFor(key), 'utf8'));
+      } catch (e) {
+        return null;
+      }
+      if (Date.now() > entry.staleUntil) {
+        await fs.unlink(pathFor(key)).catch(() => {});
+        return null;
+      }
+      return entry;
+    },
+    async set(key, entry) {
+      await fs.mkdir(dir, { recursive: true });
+      // Write-then-rename so readers never see a half-written file
+      const tmp = pathFor(key) + '.' + process.pid + '.tmp';
+      await fs.writeFile(tmp, JSON.stringify(entry), 'utf8');
+      await fs.rename(tmp, pathFor(key));
+    },
+    async delete(key) {
+      await fs.unlink(pathFor(key)).catch(() => {});
+    },
+  };
+}
+
+/**
+ * Redis-protocol backend. Expiry is enforced server-side with PX.
+ * @param {{ command: Function }} client - see createRedisClient
+ * @param {{ prefix?: string }} opts
+ */
+export function createRedisBackend(client, { prefix = 'ww:cache:' } = {}) {
+  return {
+    async get(key) {
+      const raw = await client.command('GET', prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(key, entry) {
+      const px = Math.max(1, entry.staleUntil - Date.now());
+      await client.command('SET', prefix + key, JSON.stringify(entry), 'PX', px);
+    },
+    async delete(key) {
+      await client.command('DEL', prefix + key);
+    },
+  };
+}
+
+function defaultBackend(maxEntries) {
+  const kind = process.env.CACHE_BACKEND || (getRedisClient() ? 'redis' : 'memory');
+  if (kind === 'redis' && getRedisClient()) return createRedisBackend(getRedisClient());
+  if (kind === 'fs') return createFileBackend(process.env.CACHE_DIR || join(tmpdir(), 'widgetwatch-cache'));
+  return createMemoryBackend({ maxEntries });
+}
+
+/**
+ * Create a namespaced cache.
+ * @param {string} namespace - Key prefix (one per handler)
+ * @param {{ backend?: object, maxEntries?: number }} opts - maxEntries applies to the memory backend
+ */
+export function createCache(namespace, { backend, maxEntries = 200 } = {}) {
+  const store = backend || defaultBackend(maxEntries);
+  const inflight = new Map();
+  const fullKey = (key) => `${namespace}:${key}`;
+
+  /**
+   * @returns {Promise<{ data: any, time: number, stale: boolean }|null>}
+   */
+  async function get(key) {
+    let entry;
+    try {
+      entry = await store.get(fullKey(key));
+    } catch (e) {
+      // A cache outage should degrade to a miss, never fail the request
+      console.error(`Cache get failed (${namespace}):`, e.message);
+      return null;
+    }
+    if (!entry) return null;
+    return { data: entry.data, time: entry.time, stale: Date.now() > entry.expires };
+  }
+
+  /**
+   * @param {string} key
+   * @param {any} data
+   * @param {number} ttlMs - Fresh lifetime
+   * @param {number} staleMs - Extra time the entry is kept for stale serving
+   */
+  async function set(key, data, ttlMs, staleMs = 0) {
+    const now = Date.now();
+    try {
+      await store.set(fullKey(key), { data, time: now, expires: now + ttlMs, staleUntil: now + ttlMs + staleMs });
+    } catch (e) {
+      console.error(`Cache set failed (${namespace}):`, e.message);
+    }
+  }
+
+  async function del(key) {
+    try {
+      await store.delete(fullKey(key));
+    } catch (e) {
+      console.error(`Cache delete failed (${namespace}):`, e.message);
+    }
+  }
+
+  // Run fetcher once per key at a time; concurrent callers share the promise
+  function refresh(key, fetcher, { ttl, staleTtl }) {
+    if (inflight.has(key)) return { promise: inflight.get(key), shared: true };
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(async (data) => {
+        const ttlMs = typeof ttl === 'function' ? ttl(data) : ttl;
+        if (ttlMs > 0) await set(key, data, ttlMs, staleTtl);
+        return data;
+      })
+      .finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+    return { promise, shared: false };
+  }
+
+  /**
+   * Return the cached value for `key`, fetching it on a miss.
+   * - fresh hit: returned as-is
+   * - stale hit with `swr`: returned immediately, refreshed in the background
+   * - stale hit without `swr`: refetched; the stale value is served if that fails
+   * - fresh hit that `accept` rejects: refetched like a stale one
+   * @param {string} key
+   * @param {() => Promise<any>} fetcher
+   * @param {{ ttl: number|((data) => number), staleTtl?: number, swr?: boolean, accept?: (data) => boolean }} opts
+   * @returns {Promise<{ data: any, cached: boolean, stale: boolean, time: number }>}
+   */
+  async function wrap(key, fetcher, { ttl, staleTtl = 0, swr = false, accept = () => true }) {
+    const hit = await get(key);
+    if (hit && !hit.stale && accept(hit.data)) return { data: hit.data, cached: true, stale: false, time: hit.time };
+
+    if (hit?.stale && swr) {
+      refresh(key, fetcher, { ttl, staleTtl }).promise.catch((e) => {
+        console.error(`Cache background refresh failed (${namespace}:${key}):`, e.message);
+      });
+      return { data: hit.data, cached: true, stale: true, time: hit.time };
+    }
+
+    const { promise, shared } = refresh(key, fetcher, { ttl, staleTtl });
+    try {
+      const data = await promise;
+      return { data, cached: shared, stale: false, time: Date.now() };
+    } catch (e) {
+      if (hit) return { data: hit.data, cached: true, stale: true, time: hit.time, error: e };
+      throw e;
+    }
+  }
+
+  return { get, set, delete: del, wrap };
+}
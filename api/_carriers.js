@@ -0,0 +1,81 @@
+// Carriers that make up the branded operation, and which one operates a flight
+// Mainline is DL. Delta Connection partners are told apart by operator (FR24
+// `owner`) or callsign prefix; their DL flight-number ranges only suggest a
+// `likely` partner, since numbers move between partners with each schedule.
+// Partners only count on DL-marketed flights — SkyWest and Republic also fly
+// for other brands.
+
+export const CARRIERS = {
+  DL: { iata: 'DL', icao: 'DAL', name: 'Delta Air Lines', ranges: [] },
+  // SkyWest partner ranges, effective Jan 2026 (docs/skywest-flight-ranges-jan2026.png)
+  OO: { iata: 'OO', icao: 'SKW', name: 'SkyWest Airlines', marketedAs: 'DL', ranges: [[3500, 4627]] },
+  // Endeavor and Republic publish no table; these are the blocks seen on their DL flying
+  '9E': { iata: '9E', icao: 'EDV', name: 'Endeavor Air', marketedAs: 'DL', ranges: [[4628, 5399]] },
+  YX: { iata: 'YX', icao: 'RPA', name: 'Republic Airways', marketedAs: 'DL', ranges: [[5400, 6199]] },
+};
+
+// DL numbers in this block are Delta Connection even when the partner can't be told
+const CONNECTION_RANGE = [3000, 6999];
+
+const BY_ICAO = Object.fromEntries(Object.values(CARRIERS).map(c => [c.icao, c]));
+const PARTNERS = Object.values(CARRIERS).filter(c => c.marketedAs);
+
+/** IATA code for a carrier given by IATA or ICAO code; unknown codes pass through upper-cased. */
+export function carrierCode(code) {
+  const c = String(code).trim().toUpperCase();
+  return BY_ICAO[c]?.iata || c;
+}
+
+// Carrier set used when a request doesn't name one (comma-separated in AIRLINES)
+export const DEFAULT_AIRLINES = (() => {
+  const codes = (process.env.AIRLINES || 'DL').split(',').map(carrierCode).filter(c => CARRIERS[c]);
+  return codes.length ? [...new Set(codes)] : ['DL'];
+})();
+
+/** Listed carrier operating an FR24 schedule flight, from its owner or callsign. */
+function operatorOf(fl) {
+  return BY_ICAO[fl.owner?.code?.icao] || BY_ICAO[fl.identification?.callsign?.slice(0, 3)] || null;
+}
+
+const operation = (c) => ({ carrier: c.iata, name: c.name, connection: !!c.marketedAs });
+
+/**
+ * Operating carrier of a DL-branded FR24 schedule flight.
+ * @param {object} fl - FR24 schedule flight object
+ * @returns {{ carrier: string|null, name: string, connection: boolean, likely?: string|null }|null}
+ *   null when the flight isn't DL-branded. carrier is null for a Connection
+ *   flight whose operator FR24 doesn't confirm; `likely` is then the partner
+ *   its number range points to, if any
+ */
+export function classifyFlight(fl) {
+  const number = fl.identification?.number?.default || '';
+  const dlNumber = /^DL\d+$/.test(number) ? parseInt(number.slice(2), 10) : null;
+  if (fl.airline?.code?.iata !== 'DL' && dlNumber === null) return null;
+
+  const operator = operatorOf(fl);
+  if (operator) return operation(operator);
+  if (dlNumber !== null && dlNumber >= CONNECTION_RANGE[0] && dlNumber <= CONNECTION_RANGE[1]) {
+    const likely = PARTNERS.find(c => c.ranges.some(([lo, hi]) => dlNumber >= lo && dlNumber <= hi));
+    return { carrier: null, name: 'Delta Connection', connection: true, likely: likely?.iata ?? null };
+  }
+  return operation(CARRIERS.DL);
+}
+
+/** Copy of an FR24 schedule flight with its `operation` (see classifyFlight). */
+export function withOperation(fl) {
+  return { ...fl, operation: classifyFlight(fl) };
+}
+
+/**
+ * Whether an FR24 schedule flight is operated by any of the given carriers.
+ * A DL-marketed flight whose operator isn't confirmed can't be ruled in or out
+ * by carrier, so it counts for any set of DL and partner codes.
+ * @param {object} fl - FR24 schedule flight object
+ * @param {string[]} airlines - IATA codes from CARRIERS
+ */
+export function isCarrierFlight(fl, airlines) {
+  const op = classifyFlight(fl);
+  if (!op) return false;
+  if (op.carrier) return airlines.includes(op.carrier);
+  return airlines.some(c => CARRIERS[c]);
+}
@@ -0,0 +1,19 @@
+// Shared API configuration
+
+export const SITE_URL = 'https://widgetwatch.org';
+
+// Browser origins allowed to call the API (comma-separated in ALLOWED_ORIGINS).
+// Local dev servers on http://localhost:<port> are always allowed.
+export const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || SITE_URL)
+  .split(',')
+  .map(o => o.trim())
+  .filter(Boolean);
+
+const LOCALHOST_ORIGIN = /^http:\/\/localhost(:\d+)?$/;
+
+export function isAllowedOrigin(origin) {
+  return ALLOWED_ORIGINS.includes(origin) || LOCALHOST_ORIGIN.test(origin);
+}
+
+// Identifies us to upstreams that accept a descriptive User-Agent
+export const USER_AGENT = `WidgetWatchDashboard/1.0 (${SITE_URL})`;
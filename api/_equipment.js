@@ -0,0 +1,292 @@
+// Equipment swaps — aircraft type changes on a scheduled flight
+// The aircraft seen for each flight (per hub/direction, keyed by flight number
+// and scheduled time) is kept server-side, so a swap is caught by whichever
+// request first sees the new aircraft rather than by one browser. With Redis
+// each flight is its own hash field, updated by compare-and-set, so concurrent
+// instances can't overwrite each other's first-seen aircraft.
+// Seat maps come from the fleet database (public/data/fleet.json): the
+// registration's own config when known, else the type's most common one.
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { getRedisClient } from './_redis.js';
+
+// FR24 ICAO type codes → fleet database types
+export const ICAO_TO_FLEET_TYPE = {
+  B717: '717-200',
+  BCS1: 'A220-100', BCS3: 'A220-300',
+  A319: 'A319', A320: 'A320', A321: 'A321', A21N: 'A321neo',
+  A332: 'A330-200', A333: 'A330-300', A339: 'A330-900neo',
+  A359: 'A350-900',
+  B737: '737-700', B738: '737-800', B739: '737-900ER',
+  B752: '757-200', B753: '757-300',
+  B763: '767-300ER', B764: '767-400ER',
+};
+
+// Cabin ranking, most premium first: Delta One, First, Premium Select, Comfort+
+const CABIN_RANK = { J: 4, F: 3, PS: 2, 'C+': 1, Y: 0 };
+
+const HISTORY_LIMIT = 10;
+const STATE_TTL = 48 * 60 * 60 * 1000;
+// Compare-and-set rounds before a contended flight keeps its unsaved history
+const CAS_ATTEMPTS = 3;
+
+let fleet = null;
+
+// Fleet database indexed by registration and by type (most common config)
+function loadFleet() {
+  if (fleet) return fleet;
+  let rows = [];
+  try {
+    rows = JSON.parse(readFileSync(join(process.cwd(), 'public', 'data', 'fleet.json'), 'utf8'));
+  } catch (e) {
+    console.error('Equipment: fleet database unavailable:', e.message);
+  }
+  const byReg = new Map(rows.map(a => [a.r, a]));
+  const configs = new Map();
+  for (const a of rows) {
+    if (!a.seats || /stored/i.test(a.s || '')) continue;
+    if (!configs.has(a.t)) configs.set(a.t, new Map());
+    const counts = configs.get(a.t);
+    const entry = counts.get(a.c) || { aircraft: a, n: 0 };
+    entry.n++;
+    counts.set(a.c, entry);
+  }
+  const byType = new Map([...configs].map(([type, counts]) =>
+    [type, [...counts.values()].sort((x, y) => y.n - x.n)[0].aircraft]));
+  fleet = { byReg, byType };
+  return fleet;
+}
+
+/**
+ * Seat map for an aircraft: the registration's own, else typical for the type.
+ * @param {string|null} type - FR24 ICAO type code
+ * @param {string|null} [registration]
+ * @returns {{ seats: object, total: number }|null}
+ */
+export function seatMap(type, registration) {
+  const { byReg, byType } = loadFleet();
+  const a = (registration && byReg.get(registration.replace(/-/g, ''))) || byType.get(ICAO_TO_FLEET_TYPE[type]);
+  return a?.seats ? { seats: a.seats, total: a.tot || 0 } : null;
+}
+
+const topCabin = (seats) => Math.max(...Object.keys(seats).map(c => CABIN_RANK[c] ?? 0));
+const premiumSeats = (seats) => Object.entries(seats).reduce((n, [c, k]) => n + (c === 'Y' ? 0 : k), 0);
+
+/**
+ * Upgrade/downgrade between two aircraft: best cabin first, then premium
+ * seats, then total seats.
+ * @param {{ type: string, registration: string|null }} from
+ * @param {{ type: string, registration: string|null }} to
+ * @returns {{ classification: 'upgrade'|'downgrade'|'lateral'|null, seats: { from: number|null, to: number|null } }}
+ *   classification is null when either seat map is unknown
+ */
+export function classifySwap(from, to) {
+  const a = seatMap(from.type, from.registration);
+  const b = seatMap(to.type, to.registration);
+  const seats = { from: a?.total ?? null, to: b?.total ?? null };
+  if (!a || !b) return { classification: null, seats };
+  const diff = Math.sign(topCabin(b.seats) - topCabin(a.seats))
+    || Math.sign(premiumSeats(b.seats) - premiumSeats(a.seats))
+    || Math.sign(b.total - a.total);
+  return { classification: diff > 0 ? 'upgrade' : diff < 0 ? 'downgrade' : 'lateral', seats };
+}
+
+/**
+ * Fold one observation into a flight's equipment history. A registration
+ * appearing for the same type fills in the latest entry; a different type or
+ * tail is a new entry.
+ * @param {{ type: string, registration: string|null, seenAt: string }[]} history
+ * @param {{ type: string, registration: string|null, seenAt: string }} seen
+ */
+export function addObservation(history, seen) {
+  const last = history[history.length - 1];
+  if (!last) return [seen];
+  if (last.type === seen.type) {
+    if (!seen.registration || last.registration === seen.registration) return history;
+    if (!last.registration) return [...history.slice(0, -1), { ...last, registration: seen.registration }];
+  }
+  // Always keep the first-seen aircraft
+  const next = [...history, seen];
+  return next.length > HISTORY_LIMIT ? [next[0], ...next.slice(1 - HISTORY_LIMIT)] : next;
+}
+
+// Flight key → scheduled time (Unix seconds)
+const scheduledOf = (field) => Number(field.split(':')[1]);
+
+/**
+ * Per-instance equipment history (tests, local dev without Redis). Updates
+ * run one at a time on the event loop, so they are atomic within the instance.
+ */
+export function createMemoryEquipmentStore() {
+  const hashes = new Map();
+  return {
+    /**
+     * Apply each flight's update to its stored history.
+     * @param {string} key - hub:dir
+     * @param {Object<string, function(object[]): object[]>} updates - { [flightKey]: history => next }
+     * @param {number} cutoff - Unix seconds; flights scheduled earlier are dropped
+     * @returns {Promise<object>} { [flightKey]: updated history }
+     */
+    async update(key, updates, cutoff) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      const hash = hashes.get(key);
+      const out = {};
+      for (const [field, apply] of Object.entries(updates)) {
+        out[field] = apply(hash.get(field) || []);
+        hash.set(field, out[field]);
+      }
+      for (const field of hash.keys()) {
+        if (scheduledOf(field) < cutoff) hash.delete(field);
+      }
+      return out;
+    },
+  };
+}
+
+// Write each field only if it still holds what was read ('' = absent). Replies
+// per field: 1 when written, else the current value (0 when absent) to retry on
+const CAS_LUA = `
+local cutoff = tonumber(ARGV[2])
+local replies = {}
+for i = 3, #ARGV, 3 do
+  local current = redis.call('HGET', KEYS[1], ARGV[i]) or ''
+  if current == ARGV[i + 1] then
+    redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 2])
+    replies[#replies + 1] = 1
+  elseif current == '' then
+    replies[#replies + 1] = 0
+  else
+    replies[#replies + 1] = current
+  end
+end
+for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+  local scheduled = tonumber(string.match(field, ':(%d+)$'))
+  if scheduled and scheduled < cutoff then redis.call('HDEL', KEYS[1], field) end
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[1])
+return replies
+`;
+
+/**
+ * Equipment history shared by every instance: one hash per hub/direction,
+ * one field per flight.
+ * @param {{ command: Function }} client - see createRedisClient
+ * @param {{ prefix?: string }} opts
+ */
+export function createRedisEquipmentStore(client, { prefix = 'ww:equipment:' } = {}) {
+  return {
+    async update(key, updates, cutoff) {
+      let pending = Object.keys(updates);
+      const out = {};
+      if (!pending.length) return out;
+      const read = await client.command('HMGET', prefix + key, ...pending);
+      let current = Object.fromEntries(pending.map((f, i) => [f, read[i] || '']));
+      for (let attempt = 0; attempt < CAS_ATTEMPTS && pending.length; attempt++) {
+        const args = pending.flatMap(f => {
+          out[f] = updates[f](current[f] ? JSON.parse(current[f]) : []);
+          return [f, current[f], JSON.stringify(out[f])];
+        });
+        const replies = await client.command('EVAL', CAS_LUA, 1, prefix + key, STATE_TTL, cutoff, ...args);
+        const conflicts = pending.map((f, i) => [f, replies[i]]).filter(([, reply]) => reply !== 1);
+        current = Object.fromEntries(conflicts.map(([f, reply]) => [f, reply || '']));
+        pending = conflicts.map(([f]) => f);
+      }
+      return out;
+    },
+  };
+}
+
+let equipmentStore = null;
+
+function getEquipmentStore() {
+  if (!equipmentStore) {
+    const client = getRedisClient();
+    equipmentStore = client ? createRedisEquipmentStore(client) : createMemoryEquipmentStore();
+  }
+  return equipmentStore;
+}
+
+/**
+ * Record the aircraft on each flight and annotate the flights with
+ * `equipmentHistory` (oldest first) and `equipmentSwap` (first-seen type vs
+ * current, or null). Best-effort: on a store failure flights come back with
+ * just this observation.
+ * @param {string} hub
+ * @param {'departures'|'arrivals'} dir
+ * @param {object[]} flights - FR24 schedule flights
+ * @returns {Promise<object[]>} annotated copies
+ */
+export async function trackEquipment(hub, dir, flights) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const seenAt = new Date().toISOString();
+
+  const updates = {};
+  for (const fl of flights) {
+    const number = fl.identification?.number?.default;
+    const scheduled = fl.time?.scheduled?.[side];
+    const type = fl.aircraft?.model?.code;
+    if (!number || !scheduled || !type) continue;
+    const seen = { type, registration: fl.aircraft?.registration || null, seenAt };
+    updates[`${number}:${scheduled}`] = (history) => addObservation(history, seen);
+  }
+
+  // Forget flights scheduled before yesterday
+  const cutoff = Date.now() / 1000 - STATE_TTL / 1000;
+  let histories;
+  try {
+    histories = await getEquipmentStore().update(`${hub}:${dir}`, updates, cutoff);
+  } catch (e) {
+    console.error(`Equipment tracking failed (${hub} ${dir}):`, e.message);
+    histories = Object.fromEntries(Object.entries(updates).map(([k, apply]) => [k, apply([])]));
+  }
+
+  return flights.map(fl => {
+    const history = histories[`${fl.identification?.number?.default}:${fl.time?.scheduled?.[side]}`];
+    if (!history || !fl.aircraft?.model?.code) return { ...fl, equipmentHistory: [], equipmentSwap: null };
+    const first = history[0];
+    const current = history[history.length - 1];
+    const equipmentSwap = first.type === current.type ? null : { from: first.type, to: current.type, ...classifySwap(first, current) };
+    return { ...fl, equipmentHistory: history, equipmentSwap };
+  });
+}
+
+// Share of seats assumed filled when estimating stranded passengers
+export const LOAD_FACTOR = 0.85;
+
+const SEAT_COUNTERS = ['cancelled', 'seatsLost', 'swaps', 'netSwapSeats', 'unknown'];
+
+/**
+ * Seat capacity behind a set of flights' cancellations and equipment swaps.
+ * Seats come from seatMap (registration, else the type's typical config); a
+ * cancelled flight that no longer shows an aircraft uses the first one seen.
+ * @param {object[]} flights - FR24 schedule flights, annotated by trackEquipment
+ * @returns {{ cancelled: number, seatsLost: number, swaps: number, netSwapSeats: number, unknown: number, strandedEstimate: number }}
+ *   unknown counts cancellations and swaps without a seat map
+ */
+export function seatImpact(flights) {
+  const out = Object.fromEntries(SEAT_COUNTERS.map(k => [k, 0]));
+  for (const fl of flights) {
+    const status = fl.status?.generic?.status?.text?.toLowerCase();
+    if (status === 'canceled' || status === 'cancelled') {
+      out.cancelled++;
+      const first = fl.equipmentHistory?.[0];
+      const m = seatMap(fl.aircraft?.model?.code || first?.type, fl.aircraft?.registration || first?.registration);
+      if (m) out.seatsLost += m.total;
+      else out.unknown++;
+    } else if (fl.equipmentSwap) {
+      out.swaps++;
+      const { from, to } = fl.equipmentSwap.seats || {};
+      if (from != null && to != null) out.netSwapSeats += to - from;
+      else out.unknown++;
+    }
+  }
+  return withEstimate(out);
+}
+
+const withEstimate = (counts) => ({ ...counts, strandedEstimate: Math.round(counts.seatsLost * LOAD_FACTOR) });
+
+/** Sum of seatImpact results. */
+export function addSeatImpact(a, b) {
+  return withEstimate(Object.fromEntries(SEAT_COUNTERS.map(k => [k, (a?.[k] || 0) + (b?.[k] || 0)])));
+}
@@ -0,0 +1,208 @@
+// Schedule change events — cancellations, diversions, equipment swaps and
+// large delay increases, found by diffing each fresh schedule aggregation
+// (_schedule.js, IROPS) against what was last seen for that hub/direction.
+// Only flights seen before can produce an event, so a cold start doesn't
+// replay the day. The last-seen state is one Redis hash field per flight,
+// swapped atomically, so concurrent instances each see a given change once.
+// Events go to a snapshot-style store (see _snapshots.js).
+
+import { getRedisClient } from './_redis.js';
+import { createDefaultSnapshotStore } from './_snapshots.js';
+
+export const EVENT_TYPES = ['cancelled', 'diverted', 'equipment', 'delay'];
+// A delay that grows by at least this much between observations is an event
+export const DELAY_JUMP_MINUTES = 30;
+
+const SEEN_TTL = 36 * 60 * 60 * 1000; // last-seen state outlives a day's schedule
+
+const statusOf = (fl) => {
+  const s = fl.status?.generic?.status?.text?.toLowerCase() || '';
+  return s === 'canceled' ? 'cancelled' : s;
+};
+
+// Minutes late at the hub side (actual, then estimated); null before either is known
+function delayOf(fl, side) {
+  const sched = fl.time?.scheduled?.[side];
+  const act = fl.time?.real?.[side] || fl.time?.estimated?.[side];
+  return sched && act ? Math.max(0, Math.round((act - sched) / 60)) : null;
+}
+
+// Scheduled time (Unix seconds) from a `number:scheduled` state key
+const scheduledOf = (key) => Number(key.split(':')[1]);
+
+/**
+ * Current state of each flight in an aggregation.
+ * @param {object[]} flights - FR24 schedule flights
+ * @param {'departures'|'arrivals'} dir
+ * @returns {Map<string, { fl: object, number: string, scheduled: number, state: object }>} keyed by `number:scheduled`
+ */
+function observe(flights, dir) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const out = new Map();
+  for (const fl of flights) {
+    const number = fl.identification?.number?.default;
+    const scheduled = fl.time?.scheduled?.[side];
+    if (!number || !scheduled) continue;
+    out.set(`${number}:${scheduled}`, {
+      fl, number, scheduled,
+      state: { status: statusOf(fl), delay: delayOf(fl, side), equipment: fl.aircraft?.model?.code || null },
+    });
+  }
+  return out;
+}
+
+/**
+ * Compare one aggregation with the last-seen state for its hub/direction.
+ * @param {object} seen - { [flightKey]: { status, delay, equipment } } from the previous call
+ * @param {object[]} flights - FR24 schedule flights
+ * @param {{ hub: string, dir: string, at: string }} context - at: ISO detection time
+ * @returns {{ events: object[], seen: object }} events found and the updated state
+ */
+export function diffSchedule(seen, flights, { hub, dir, at }) {
+  const next = { ...seen };
+  const events = [];
+
+  for (const [key, { fl, number, scheduled, state: now }] of observe(flights, dir)) {
+    const before = seen[key];
+    next[key] = now;
+    if (!before) continue;
+
+    const event = (type, id, details = null) => events.push({
+      id: `${type}:${key}${id ? ':' + id : ''}`,
+      type,
+      at,
+      hub,
+      dir,
+      flight: number,
+      route: `${fl.airport?.origin?.code?.iata || '?'}→${fl.airport?.destination?.code?.iata || '?'}`,
+      scheduled: new Date(scheduled * 1000).toISOString(),
+      details,
+    });
+
+    if (now.status === 'cancelled' && before.status !== 'cancelled') event('cancelled');
+    if (now.status === 'diverted' && before.status !== 'diverted') event('diverted');
+    if (now.equipment && before.equipment && now.equipment !== before.equipment) {
+      event('equipment', now.equipment, { from: before.equipment, to: now.equipment });
+    }
+    if (now.delay !== null && now.delay - (before.delay || 0) >= DELAY_JUMP_MINUTES) {
+      event('delay', now.delay, { from: before.delay || 0, to: now.delay });
+    }
+  }
+
+  // Forget flights scheduled more than a day and a half ago
+  const cutoff = Date.parse(at) / 1000 - SEEN_TTL / 1000;
+  for (const key of Object.keys(next)) {
+    if (scheduledOf(key) < cutoff) delete next[key];
+  }
+  return { events, seen: next };
+}
+
+/**
+ * Per-instance last-seen state (tests, local dev without Redis). Swaps run
+ * one at a time on the event loop, so they are atomic within the instance.
+ */
+export function createMemorySeenStore() {
+  const hashes = new Map();
+  return {
+    /**
+     * Store each flight's new state and return the ones it replaced.
+     * @param {string} key - hub:dir
+     * @param {object} states - { [flightKey]: state }
+     * @param {number} cutoff - Unix seconds; flights scheduled earlier are dropped
+     * @returns {Promise<object>} { [flightKey]: previous state } for flights seen before
+     */
+    async swap(key, states, cutoff) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      const hash = hashes.get(key);
+      const previous = {};
+      for (const [field, state] of Object.entries(states)) {
+        if (hash.has(field)) previous[field] = hash.get(field);
+        hash.set(field, state);
+      }
+      for (const field of hash.keys()) {
+        if (scheduledOf(field) < cutoff) hash.delete(field);
+      }
+      return previous;
+    },
+  };
+}
+
+// Read-and-replace every field in one script so two instances diffing the
+// same board can't both see (or both miss) a change
+const SWAP_LUA = `
+local cutoff = tonumber(ARGV[2])
+local previous = {}
+for i = 3, #ARGV, 2 do
+  previous[#previous + 1] = redis.call('HGET', KEYS[1], ARGV[i])
+  redis.call('HSET', KEYS[1], ARGV[i], ARGV[i + 1])
+end
+for _, field in ipairs(redis.call('HKEYS', KEYS[1])) do
+  local scheduled = tonumber(string.match(field, ':(%d+)$'))
+  if scheduled and scheduled < cutoff then redis.call('HDEL', KEYS[1], field) end
+end
+redis.call('PEXPIRE', KEYS[1], ARGV[1])
+return previous
+`;
+
+/**
+ * Last-seen state shared by every instance: one hash per hub/direction, one
+ * field per flight.
+ * @param {{ command: Function }} client - see createRedisClient
+ * @param {{ prefix?: string }} opts
+ */
+export function createRedisSeenStore(client, { prefix = 'ww:events:seen:' } = {}) {
+  return {
+    async swap(key, states, cutoff) {
+      const fields = Object.keys(states);
+      if (!fields.length) return {};
+      const args = fields.flatMap(f => [f, JSON.stringify(states[f])]);
+      const replies = await client.command('EVAL', SWAP_LUA, 1, prefix + key, SEEN_TTL, cutoff, ...args);
+      const previous = {};
+      fields.forEach((f, i) => { if (replies[i]) previous[f] = JSON.parse(replies[i]); });
+      return previous;
+    },
+  };
+}
+
+let seenStore = null;
+
+function getSeenStore() {
+  if (!seenStore) {
+    const client = getRedisClient();
+    seenStore = client ? createRedisSeenStore(client) : createMemorySeenStore();
+  }
+  return seenStore;
+}
+
+let activeStore = null;
+
+export function getEventStore() {
+  if (!activeStore) activeStore = createDefaultSnapshotStore({ name: 'events', timeKey: 'at' });
+  return activeStore;
+}
+
+export function setEventStore(store) {
+  activeStore = store;
+}
+
+/**
+ * Diff a fresh aggregation against the last one for its hub/direction and
+ * store any events. Best-effort: failures are logged, never thrown.
+ * @param {string} hub
+ * @param {'departures'|'arrivals'} dir
+ * @param {object[]} flights - FR24 schedule flights
+ * @returns {Promise<object[]>} events recorded
+ */
+export async function recordSchedule(hub, dir, flights) {
+  try {
+    const at = new Date().toISOString();
+    const states = Object.fromEntries([...observe(flights, dir)].map(([key, o]) => [key, o.state]));
+    const previous = await getSeenStore().swap(`${hub}:${dir}`, states, Date.parse(at) / 1000 - SEEN_TTL / 1000);
+    const { events } = diffSchedule(previous, flights, { hub, dir, at });
+    for (const e of events) await getEventStore().save(e);
+    return events;
+  } catch (e) {
+    console.error(`Events: failed to record ${hub} ${dir}:`, e.message);
+    return [];
+  }
+}
@@ -0,0 +1,146 @@
+// FR24 live feed — the shared upstream fetch and its decoding
+// feed.js returns { full_count, version, stats, [fr24Id]: [...] } where each
+// flight is a positional array. This is the only place that knows the layout.
+
+import { createCache } from './_cache.js';
+import { USER_AGENT } from './_config.js';
+
+const cache = createCache('fr24-feed', { maxEntries: 10 });
+export const FEED_TTL = 15000; // 15 seconds
+const FEED_TIMEOUT = 15000;
+
+// Settle with `promise`, or reject as soon as `signal` aborts
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      (err) => { signal.removeEventListener('abort', onAbort); reject(err); },
+    );
+  });
+}
+
+/**
+ * Current FR24 feed, shared by the polling endpoint and the SSE stream.
+ * Concurrent callers share one upstream fetch; fetchedAt identifies the frame.
+ * The shared fetch runs on its own timeout, so one caller going away doesn't
+ * abort it for the rest; `signal` only stops that caller waiting.
+ * @param {string} airline
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<{ feed: object, fetchedAt: number }>}
+ */
+export async function getFeed(airline, { signal } = {}) {
+  const doFetch = async () => {
+    const upstream = await fetch(`https://data-cloud.flightradar24.com/zones/fcgi/feed.js?airline=${encodeURIComponent(airline)}`, {
+      signal: AbortSignal.timeout(FEED_TIMEOUT),
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      }
+    });
+    if (!upstream.ok) throw new Error(`FR24 feed returned ${upstream.status}`);
+    return { feed: await upstream.json(), fetchedAt: Date.now() };
+  };
+
+  // Fresh hit, or join an in-flight fetch — one entry per airline
+  const { data } = await untilAborted(cache.wrap(`feed:${airline}`, doFetch, { ttl: FEED_TTL }), signal);
+  return data;
+}
+
+const FEED_META_KEYS = new Set(['full_count', 'version', 'stats']);
+
+// Positional layout of a feed.js flight array
+const F = {
+  ICAO24: 0, LAT: 1, LON: 2, TRACK: 3, ALT_FT: 4, SPEED_KTS: 5, SQUAWK: 6,
+  TYPE: 8, REG: 9, TIMESTAMP: 10, ORIGIN: 11, DEST: 12, FLIGHT: 13,
+  ON_GROUND: 14, VRATE_FPM: 15, CALLSIGN: 16, AIRLINE: 18,
+};
+
+/** Flight entries of a raw feed: { [fr24Id]: feedArray } */
+export function feedFlights(feed) {
+  const flights = {};
+  for (const [id, arr] of Object.entries(feed || {})) {
+    if (!FEED_META_KEYS.has(id) && Array.isArray(arr)) flights[id] = arr;
+  }
+  return flights;
+}
+
+/**
+ * Flight phase from altitude, vertical rate and ground speed — same thresholds
+ * the live map used client-side.
+ * @returns {'Ground'|'Takeoff'|'Approach'|'Climb'|'Descent'|'Cruise'|'En Route'}
+ */
+export function getPhase(altitudeFt, verticalRateFpm, groundSpeedKts) {
+  const alt = altitudeFt ?? null;
+  const vr = verticalRateFpm ?? null;
+  const spd = groundSpeedKts ?? null;
+  if (alt !== null && alt < 100 && spd !== null && spd < 50) return 'Ground';
+  if (alt !== null && alt < 5000 && vr !== null && vr > 500) return 'Takeoff';
+  if (alt !== null && alt < 5000 && vr !== null && vr < -300) return 'Approach';
+  if (vr !== null && vr > 300) return 'Climb';
+  if (vr !== null && vr < -300) return 'Descent';
+  if (alt !== null && alt > 25000) return 'Cruise';
+  return 'En Route';
+}
+
+const orNull = (v) => (v === '' || v === undefined ? null : v);
+const numOrNull = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+/**
+ * Named-field flight from one feed array.
+ * Units are explicit in the field names; missing values are null.
+ * @param {string} id - FR24 flight id
+ * @param {any[]} arr
+ */
+export function normalizeFeedEntry(id, arr) {
+  const altitudeFt = numOrNull(arr[F.ALT_FT]);
+  const groundSpeedKts = numOrNull(arr[F.SPEED_KTS]);
+  const verticalRateFpm = numOrNull(arr[F.VRATE_FPM]);
+  const ts = numOrNull(arr[F.TIMESTAMP]);
+  return {
+    id,
+    icao24: orNull(arr[F.ICAO24]),
+    flight: orNull(arr[F.FLIGHT]),
+    callsign: orNull(arr[F.CALLSIGN]),
+    airline: orNull(arr[F.AIRLINE]),
+    aircraft: { type: orNull(arr[F.TYPE]), registration: orNull(arr[F.REG]) },
+    origin: orNull(arr[F.ORIGIN]),
+    destination: orNull(arr[F.DEST]),
+    position: {
+      lat: numOrNull(arr[F.LAT]),
+      lon: numOrNull(arr[F.LON]),
+      altitudeFt,
+      groundSpeedKts,
+      trackDeg: numOrNull(arr[F.TRACK]),
+      verticalRateFpm,
+      onGround: arr[F.ON_GROUND] === 1,
+    },
+    squawk: orNull(arr[F.SQUAWK]),
+    updatedAt: ts ? new Date(ts * 1000).toISOString() : null,
+    phase: getPhase(altitudeFt, verticalRateFpm, groundSpeedKts),
+  };
+}
+
+/** Map of feed arrays → map of normalized flights (same keys). */
+export function normalizeFlights(flights) {
+  const out = {};
+  for (const [id, arr] of Object.entries(flights)) out[id] = normalizeFeedEntry(id, arr);
+  return out;
+}
+
+/**
+ * Whole feed in the normalized format.
+ * @param {object} feed - Raw feed.js response
+ * @param {number} fetchedAt - Epoch ms the feed was fetched
+ */
+export function normalizeFeed(feed, fetchedAt) {
+  return {
+    format: 'normalized',
+    fetchedAt: new Date(fetchedAt).toISOString(),
+    fullCount: feed?.full_count ?? null,
+    flights: Object.entries(feedFlights(feed)).map(([id, arr]) => normalizeFeedEntry(id, arr)),
+  };
+}
@@ -0,0 +1,85 @@
+// FR24 official API — the authenticated fetch, the global quota limiter and
+// flight/airport code helpers shared by fr24-flight and flight-history.
+
+import { createRateLimiter, setRateLimitHeaders } from './_rate-limit.js';
+import { ApiError } from './_middleware.js';
+import { USER_AGENT } from './_config.js';
+
+const FR24_BASE = 'https://fr24api.flightradar24.com';
+export const LIVE_PATH = '/api/live/flight-positions/full';
+export const SUMMARY_PATH = '/api/flight-summary/light';
+const API_VERSION = 'v1';
+
+// 60 req/min across every caller and endpoint (shared FR24 API quota)
+export const isGloballyLimited = createRateLimiter('fr24-flight-global', 60, { key: () => 'global' });
+
+/**
+ * Charge an FR24 call to the caller's per-IP limiter and the global cap.
+ * Both are checked before either is charged, so a request one of them turns
+ * away spends nothing from the other. Headers describe the per-IP budget
+ * unless the global cap is what blocked.
+ * @param {function} isRateLimited - The endpoint's per-IP limiter
+ * @param {string} message - 429 message for the per-IP limit
+ */
+export async function enforceFr24Limits(isRateLimited, req, res, message) {
+  const [perIp, global] = await Promise.all([isRateLimited.peek(req), isGloballyLimited.peek(req)]);
+  if (!perIp.allowed) {
+    setRateLimitHeaders(res, perIp);
+    throw new ApiError(429, 'RATE_LIMITED', message);
+  }
+  const charged = global.allowed ? await isGloballyLimited.check(req) : global;
+  if (!charged.allowed) {
+    setRateLimitHeaders(res, charged);
+    throw new ApiError(429, 'RATE_LIMITED', 'Rate limited — try again shortly');
+  }
+  if (await isRateLimited(req, res)) throw new ApiError(429, 'RATE_LIMITED', message);
+}
+
+export function normalizeFlightNumber(raw) {
+  let q = (raw || '').trim().toUpperCase().replace(/\s+/g, '');
+  // "DAL838" → "DL838"
+  if (q.startsWith('DAL') && /^\d/.test(q.slice(3))) q = 'DL' + q.slice(3);
+  // Bare number "838" → "DL838"
+  if (/^\d{1,4}$/.test(q)) q = 'DL' + q;
+  return q;
+}
+
+/** `flight` query parameter in FR24 form (DL838). */
+export const flightParam = {
+  type: 'string',
+  description: 'Flight number — DL838, DAL838 or 838',
+  required: true,
+  transform: normalizeFlightNumber,
+  pattern: /^[A-Z]{1,3}\d{1,4}[A-Z]?$/,
+  message: 'Invalid flight number format',
+};
+
+export async function fr24Fetch(path, params) {
+  const url = new URL(FR24_BASE + path);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), 15000);
+
+  const resp = await fetch(url.toString(), {
+    signal: controller.signal,
+    headers: {
+      'Authorization': `Bearer ${process.env.FR24_API_TOKEN}`,
+      'Accept': 'application/json',
+      'Accept-Version': API_VERSION,
+      'User-Agent': USER_AGENT,
+    },
+  });
+  clearTimeout(timeout);
+  return resp;
+}
+
+// Common international mappings; US airports just drop the leading K
+const ICAO_TO_IATA = { RJAA: 'NRT', RJTT: 'HND', PGUM: 'GUM', EGLL: 'LHR', LFPG: 'CDG', EDDF: 'FRA', RCKH: 'KHH', VHHH: 'HKG', WSSS: 'SIN', NZAA: 'AKL', YSSY: 'SYD', LEMD: 'MAD', EHAM: 'AMS', OMDB: 'DXB', ZBAA: 'PEK' };
+
+// ICAO → IATA for FR24 summary airports; unknown codes come back as ICAO
+export function icaoToIata(icao) {
+  if (!icao) return '';
+  if (icao.length === 4 && icao.startsWith('K')) return icao.slice(1);
+  return ICAO_TO_IATA[icao] || icao;
+}
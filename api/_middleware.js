@@ -0,0 +1,147 @@
+// Request middleware pipeline for api/ handlers
+// Usage:
+//   export default withMiddleware('METAR API', [
+//     cors(), methods('GET'), rateLimit(isRateLimited), query(validate), upstreamTimeout(8000),
+//   ], handler);
+//
+// Middleware are (req, res, next) => Promise. Anything thrown — by middleware
+// or the handler — is turned into the JSON error envelope by sendError().
+
+import { isAllowedOrigin } from './_config.js';
+import { validateQuery, ValidationError } from './_schema.js';
+
+/**
+ * Error with an HTTP status and a stable machine-readable code.
+ * Extra fields are merged into the error body.
+ */
+export class ApiError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+export const badRequest = (message, extra) => new ApiError(400, 'BAD_REQUEST', message, extra);
+
+/**
+ * Write the uniform error envelope: { success: false, error, code, ...extra }.
+ * Aborted upstream fetches map to 504, anything unrecognized to 502.
+ */
+export function sendError(res, err, label = 'API') {
+  if (res.headersSent) {
+    // Mid-stream failure (SSE): the status is already out, just close
+    console.error(`${label} error:`, err);
+    return res.end();
+  }
+  if (!(err instanceof ApiError)) {
+    console.error(`${label} error:`, err);
+    err = err?.name === 'AbortError'
+      ? new ApiError(504, 'UPSTREAM_TIMEOUT', 'Upstream timeout')
+      : new ApiError(502, 'UPSTREAM_UNAVAILABLE', 'Upstream service unavailable');
+  }
+  return res.status(err.status).json({ success: false, error: err.message, code: err.code, ...err.extra });
+}
+
+/** CORS / origin policy: reflect allowed origins, reject others, answer preflights. */
+export function cors({ methods: allowed = ['GET'] } = {}) {
+  return async (req, res, next) => {
+    const origin = req.headers?.origin || '';
+    if (origin) {
+      if (!isAllowedOrigin(origin)) throw new ApiError(403, 'FORBIDDEN_ORIGIN', 'Forbidden');
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader('Access-Control-Allow-Methods', [...allowed, 'OPTIONS'].join(', '));
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Expose-Headers', 'RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After');
+    }
+    if (req.method === 'OPTIONS') return res.status(204).end();
+    return next();
+  };
+}
+
+/** Reject methods other than those listed. */
+export function methods(...allowed) {
+  return async (req, res, next) => {
+    if (!allowed.includes(req.method)) {
+      res.setHeader('Allow', allowed.join(', '));
+      throw new ApiError(405, 'METHOD_NOT_ALLOWED', 'Method not allowed');
+    }
+    return next();
+  };
+}
+
+/**
+ * Throw a 429 if `limiter` (from createRateLimiter) rejects the request.
+ * Exported for handlers that only count uncached requests.
+ */
+export async function enforceRateLimit(limiter, req, res, message = 'Rate limited — try again shortly') {
+  if (await limiter(req, res)) throw new ApiError(429, 'RATE_LIMITED', message);
+}
+
+export function rateLimit(limiter, message) {
+  return async (req, res, next) => {
+    await enforceRateLimit(limiter, req, res, message);
+    return next();
+  };
+}
+
+/**
+ * Validate req.query; the result is exposed as req.params.
+ * @param {object|function(object): object} schema - Schema for validateQuery() (see _schema.js),
+ *   or a function returning normalized params / throwing ApiError
+ * @param {function(object): object|void} [refine] - Cross-field checks on the validated params;
+ *   may return replacement params
+ */
+export function query(schema, refine) {
+  const middleware = async (req, res, next) => {
+    try {
+      const params = typeof schema === 'function' ? schema(req.query || {}) : validateQuery(schema, req.query || {});
+      req.params = (refine && refine(params)) || params;
+    } catch (e) {
+      if (e instanceof ValidationError) throw badRequest(e.message, { field: e.field, reason: e.reason });
+      throw e;
+    }
+    return next();
+  };
+  middleware.schema = typeof schema === 'function' ? null : schema;
+  return middleware;
+}
+
+/**
+ * Abort upstream work after `ms`: handlers pass req.signal to fetch().
+ * Cleared when the handler settles.
+ */
+export function upstreamTimeout(ms) {
+  return async (req, res, next) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    req.signal = controller.signal;
+    try {
+      return await next();
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * Wrap a handler in a middleware pipeline with uniform error handling.
+ * @param {string} label - Used in error logs ("FAA API error: ...")
+ * @param {Function[]} middleware - Run in order before the handler
+ * @param {function(req, res): Promise} handler
+ */
+export function withMiddleware(label, middleware, handler) {
+  return async function wrapped(req, res) {
+    const run = (i) => i < middleware.length
+      ? middleware[i](req, res, () => run(i + 1))
+      : handler(req, res);
+    try {
+      return await run(0);
+    } catch (e) {
+      return sendError(res, e, label);
+    }
+  };
+}
@@ -0,0 +1,741 @@
+// OpenAPI 3.1 description of the api/ handlers
+// Query parameters come from each handler's exported querySchema (see _schema.js);
+// response schemas live here and tests/openapi.test.js validates real handler
+// output against them, so neither side can drift silently.
+
+import { toParameters } from './_schema.js';
+import { SITE_URL } from './_config.js';
+import { querySchema as scheduleQuery } from './schedule.js';
+import { querySchema as fr24FlightQuery } from './fr24-flight.js';
+import { querySchema as flightTimesQuery } from './flight-times.js';
+import { querySchema as flightHistoryQuery } from './flight-history.js';
+import { querySchema as metarQuery } from './metar.js';
+import { querySchema as fleetQuery } from './fleet.js';
+import { querySchema as fr24FeedQuery } from './fr24-feed.js';
+import { querySchema as iropsQuery } from './irops.js';
+import { querySchema as iropsHistoryQuery } from './irops/history.js';
+import { querySchema as rotationsQuery } from './rotations.js';
+import { querySchema as routeQuery } from './route.js';
+import { querySchema as otpQuery } from './otp.js';
+import { querySchema as connectionRiskQuery } from './connection-risk.js';
+import { querySchema as eventsQuery } from './events.js';
+
+export const API_VERSION = '1.3.1';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+// ISO 8601 string, or '' when the upstream has no value
+const isoOrEmpty = { type: 'string', description: 'ISO 8601 timestamp, empty when unknown' };
+
+const obj = (properties, required = Object.keys(properties), extra = {}) => ({ type: 'object', properties, required, ...extra });
+
+// On-time performance for a group of flights (see api/_otp.js)
+const rate = { type: ['number', 'null'], minimum: 0, maximum: 1 };
+const otpMetrics = {
+  scheduled: int,
+  operated: int,
+  cancelled: int,
+  diverted: int,
+  otp0: { ...rate, description: 'D0/A0: operated at or before schedule' },
+  otp14: { ...rate, description: 'D14/A14: operated within 14 min (DOT on-time)' },
+  medianDelay: { type: ['integer', 'null'], description: 'Minutes, early as 0' },
+  p90Delay: { type: ['integer', 'null'], description: 'Minutes, nearest-rank' },
+  cancellationRate: rate,
+  completionFactor: { ...rate, description: 'Share of scheduled flights neither cancelled nor diverted' },
+};
+
+const schemas = {
+  Error: obj({
+    success: { const: false },
+    error: { ...str, description: 'Human-readable message' },
+    code: {
+      type: 'string',
+      enum: ['BAD_REQUEST', 'FORBIDDEN_ORIGIN', 'METHOD_NOT_ALLOWED', 'RATE_LIMITED', 'NOT_FOUND',
+        'NOT_CONFIGURED', 'INTERNAL', 'UPSTREAM_TIMEOUT', 'UPSTREAM_UNAVAILABLE'],
+    },
+    field: { ...str, description: 'Offending query parameter (400 only)' },
+    reason: { ...str, description: 'required | type | pattern | enum | min | max | maxItems | range' },
+  }, ['success', 'error', 'code']),
+
+  // Raw FR24 schedule entry (flight object); only the fields we rely on are described
+  Fr24ScheduleFlight: obj({
+    identification: obj({
+      number: obj({ default: { type: ['string', 'null'] } }, []),
+      callsign: { type: ['string', 'null'] },
+    }, []),
+    status: { type: 'object' },
+    airline: { type: ['object', 'null'], description: 'Marketing airline' },
+    owner: { type: ['object', 'null'], description: 'Operating carrier' },
+    operation: {
+      oneOf: [{ type: 'null' }, ref('Operation')],
+      description: 'Added by this API: who operates the flight (mainline or Delta Connection partner)',
+    },
+    airport: { type: 'object' },
+    time: obj({ scheduled: { type: 'object' }, real: { type: 'object' }, estimated: { type: 'object' } }, []),
+    equipmentHistory: {
+      type: 'array',
+      description: 'Added by this API on complete aggregated schedules: aircraft seen on this flight, first-seen first',
+      items: obj({ type: str, registration: { type: ['string', 'null'] }, seenAt: { ...str, format: 'date-time' } }),
+    },
+    equipmentSwap: {
+      oneOf: [{ type: 'null' }, ref('EquipmentSwap')],
+      description: 'Added by this API on complete aggregated schedules: set when the type differs from the first one seen',
+    },
+  }, ['time']),
+
+  EquipmentSwap: obj({
+    from: { ...str, description: 'First-seen ICAO type' },
+    to: { ...str, description: 'Current ICAO type' },
+    classification: { enum: ['upgrade', 'downgrade', 'lateral', null], description: 'By best cabin, then premium seats, then total seats; null without seat maps' },
+    seats: obj({ from: { type: ['integer', 'null'] }, to: { type: ['integer', 'null'] } }),
+  }),
+
+  // Registration's seat map when known, else the type's typical config
+  SeatImpact: obj({
+    cancelled: int,
+    seatsLost: { ...int, description: 'Seats on cancelled flights' },
+    swaps: int,
+    netSwapSeats: { ...int, description: 'Seats gained (positive) or lost (negative) to equipment swaps' },
+    unknown: { ...int, description: 'Cancellations and swaps left out for lack of a seat map' },
+    strandedEstimate: { ...int, description: 'seatsLost at an assumed 85% load factor' },
+  }),
+
+  Operation: obj({
+    carrier: { type: ['string', 'null'], description: 'IATA code; null for a Connection flight whose operator FR24 doesn\'t confirm' },
+    name: str,
+    connection: bool,
+    likely: { type: ['string', 'null'], description: 'Unconfirmed Connection flights only: the partner its DL flight-number range points to' },
+  }, ['carrier', 'name', 'connection']),
+
+  OperationMetrics: obj({
+    total: int, cancellations: int, delayed30: int, delayed60: int, diversions: int, operated: int, onTime: int,
+    score: { ...num, description: 'Weighted disruptions per 100 flights' },
+  }),
+
+  SchedulePage: obj({
+    page: obj({ current: int, total: int }, []),
+    data: { type: 'array', items: obj({ flight: ref('Fr24ScheduleFlight') }, []) },
+    cached: bool,
+  }, ['data', 'cached']),
+
+  ScheduleAggregate: obj({
+    flights: { type: 'array', items: ref('Fr24ScheduleFlight') },
+    total: int,
+    totalFetched: int,
+    pagesScanned: { ...int, description: 'Upstream pages read (max 50)' },
+    totalPages: int,
+    cached: bool,
+    partial: { ...bool, description: 'True when the 8s handler deadline (or the 50-page cap) cut aggregation short' },
+    cursor: { type: ['string', 'null'], description: 'Pass back as `cursor` to resume a partial aggregation; null once there is nothing left to fetch' },
+    hub: str,
+    dir: { enum: ['departures', 'arrivals'] },
+    airlines: { type: 'array', items: str, description: 'Carrier IATA codes the flights were filtered to' },
+    seatImpact: ref('SeatImpact'),
+    byType: {
+      type: 'array',
+      description: 'Per aircraft type, busiest first',
+      items: obj({
+        type: { type: ['string', 'null'], description: 'ICAO type; null when FR24 has none' },
+        fleetType: { type: ['string', 'null'], description: 'Fleet database type (e.g. A321neo)' },
+        seats: { ...int, description: 'Seats scheduled: registration\'s seat map, else the type\'s typical config' },
+        seatsUnknown: { ...int, description: 'Flights without a seat map' },
+        ...otpMetrics,
+      }),
+    },
+  }),
+
+  // Range mode: flights grouped by hub-local scheduled date
+  ScheduleRange: obj({
+    hub: str,
+    dir: { enum: ['departures', 'arrivals'] },
+    airlines: { type: 'array', items: str },
+    timeZone: { ...str, description: 'IANA zone the operating days are in' },
+    from: { ...str, format: 'date' },
+    to: { ...str, format: 'date' },
+    days: {
+      type: 'array',
+      items: obj({
+        date: { ...str, format: 'date' },
+        timestamp: { ...int, description: 'Local midnight (Unix seconds); the single-day `timestamp` for this day' },
+        total: int,
+        partial: bool,
+        cursor: { type: ['string', 'null'], description: 'Resumes this day in single-day mode' },
+        flights: { type: 'array', items: ref('Fr24ScheduleFlight') },
+      }),
+    },
+    total: int,
+    partial: { ...bool, description: 'True when any day is incomplete' },
+    cached: { ...bool, description: 'True when every day came from cache' },
+  }),
+
+  RouteTimes: obj({
+    scheduled: { type: ['string', 'null'], format: 'date-time' },
+    estimated: { type: ['string', 'null'], format: 'date-time' },
+    actual: { type: ['string', 'null'], format: 'date-time' },
+  }),
+
+  RouteFlight: obj({
+    flight: { type: ['string', 'null'] },
+    operation: { oneOf: [{ type: 'null' }, ref('Operation')] },
+    status: { type: ['string', 'null'], description: 'FR24 status text' },
+    cancelled: bool,
+    diverted: bool,
+    delayMin: { type: ['integer', 'null'], description: 'Departure delay once operated, early as 0' },
+    departure: ref('RouteTimes'),
+    arrival: ref('RouteTimes'),
+    aircraft: obj({ type: { type: ['string', 'null'] }, registration: { type: ['string', 'null'] } }),
+    equipmentSwap: { oneOf: [{ type: 'null' }, ref('EquipmentSwap')] },
+    seenAt: { type: 'array', items: { enum: ['origin', 'destination'] }, description: 'Hub boards the flight was found on' },
+  }),
+
+  Route: obj({
+    from: str,
+    to: str,
+    date: { ...str, format: 'date' },
+    timeZone: { ...str, description: 'Zone of `date`: the origin\'s, or the destination\'s when only it is a hub' },
+    airlines: { type: 'array', items: str },
+    sources: obj({ departures: { type: ['string', 'null'] }, arrivals: { type: ['string', 'null'] } }),
+    summary: obj({
+      total: int, cancelled: int, diverted: int, operated: int,
+      onTime: { ...int, description: 'Departed within 30 min' },
+      delayed30: int,
+      avgDelay: { type: ['integer', 'null'] },
+    }),
+    flights: { type: 'array', items: ref('RouteFlight') },
+    partial: bool,
+    cached: bool,
+    generatedAt: { ...str, format: 'date-time' },
+  }),
+
+  Otp: obj({
+    hub: str,
+    dir: { enum: ['departures', 'arrivals'] },
+    from: { ...str, format: 'date' },
+    to: { ...str, format: 'date' },
+    timeZone: str,
+    airlines: { type: 'array', items: str },
+    ...otpMetrics,
+    byHour: { type: 'array', minItems: 24, maxItems: 24, items: obj({ hour: { ...int, minimum: 0, maximum: 23 }, ...otpMetrics }) },
+    byType: { type: 'array', items: obj({ type: { type: ['string', 'null'], description: 'ICAO type' }, ...otpMetrics }) },
+    byAirport: { type: 'array', items: obj({ airport: { type: ['string', 'null'], description: 'Destination for departures, origin for arrivals' }, ...otpMetrics }) },
+    byDay: { type: 'array', items: obj({ date: { ...str, format: 'date' }, partial: bool, ...otpMetrics }) },
+    partial: bool,
+    cached: bool,
+    generatedAt: { ...str, format: 'date-time' },
+  }),
+
+  // An outbound whose inbound aircraft leaves less than the minimum turn
+  AtRiskTurn: obj({
+    registration: str,
+    aircraft: { type: ['string', 'null'], description: 'ICAO type code' },
+    status: { enum: ['tight', 'broken'], description: 'broken: the inbound arrives after the outbound is due out, or won\'t arrive' },
+    reason: { enum: ['late-inbound', 'inbound-cancelled', 'inbound-diverted'] },
+    minTurn: { ...int, description: 'Minutes' },
+    slack: { type: ['integer', 'null'], description: 'Minutes between inbound arrival (actual/estimated/scheduled) and outbound scheduled departure' },
+    projectedDelay: { type: ['integer', 'null'], description: 'Minutes the outbound goes late if it needs the full minimum turn' },
+    inbound: obj({
+      flight: { type: ['string', 'null'] },
+      from: { type: ['string', 'null'] },
+      scheduledArrival: { type: ['integer', 'null'], description: 'Unix seconds' },
+      estimatedArrival: { type: ['integer', 'null'], description: 'Unix seconds; actual once landed' },
+      landed: bool,
+    }),
+    outbound: obj({
+      flight: { type: ['string', 'null'] },
+      to: { type: ['string', 'null'] },
+      scheduledDeparture: { ...int, description: 'Unix seconds' },
+    }),
+  }),
+
+  Rotations: obj({
+    hub: str,
+    timestamp: { ...int, description: 'Start of the schedule window (Unix seconds)' },
+    airlines: { type: 'array', items: str },
+    tails: { ...int, description: 'Registrations seen at the hub' },
+    turns: { ...int, description: 'Inbound-to-outbound pairs' },
+    atRisk: { type: 'array', items: ref('AtRiskTurn'), description: 'Broken turns first, then by projected delay' },
+    partial: { ...bool, description: 'True when either schedule direction was cut short' },
+    cached: bool,
+    generatedAt: { ...str, format: 'date-time' },
+  }),
+
+  // A change seen between two schedule aggregations (api/_events.js)
+  ScheduleEvent: obj({
+    id: { ...str, description: 'Stable per change; feed guid' },
+    type: { enum: ['cancelled', 'diverted', 'equipment', 'delay'] },
+    at: { ...str, format: 'date-time', description: 'When the change was detected' },
+    hub: str,
+    dir: { enum: ['departures', 'arrivals'] },
+    flight: str,
+    route: { ...str, description: 'ORIGIN→DEST' },
+    scheduled: { ...str, format: 'date-time', description: 'Scheduled time at the hub' },
+    details: {
+      oneOf: [{ type: 'null' }, obj({ from: { type: ['string', 'integer'] }, to: { type: ['string', 'integer'] } })],
+      description: 'equipment: aircraft type codes; delay: minutes late before and after',
+    },
+    title: str,
+  }),
+
+  ScheduleEvents: obj({
+    events: { type: 'array', items: ref('ScheduleEvent'), description: 'Newest first' },
+    count: int,
+    from: { ...str, format: 'date-time' },
+    to: { ...str, format: 'date-time' },
+  }),
+
+  // Scoring model behind `score`, and each factor's share of it
+  ScoringReport: obj({
+    model: { ...str, description: 'Scoring model id (api/_scoring.js)' },
+    thresholds: obj({ delayed30: int, delayed60: int }),
+    weights: obj({ cancellations: num, delayed30: num, delayed60: num, diversions: num }),
+    per: { ...int, description: 'Score is weighted disruptions per this many scheduled flights' },
+    contributions: obj({ cancellations: num, delayed30: num, delayed60: num, diversions: num }),
+  }),
+
+  // Arrivals count once landed at the hub; diversions are inbound flights that went elsewhere
+  ArrivalMetrics: obj({
+    total: int, cancellations: int, delayed30: int, delayed60: int, diversions: int, operated: int, onTime: int,
+    score: num,
+  }, ['total', 'cancellations', 'delayed30', 'delayed60', 'diversions', 'operated', 'onTime']),
+
+  // One scheduled hour at a hub, in hub-local time
+  HourlyBucket: obj({
+    hour: { ...int, minimum: 0, maximum: 23 },
+    scheduled: int,
+    operated: int,
+    delayed: { ...int, description: 'Operated more than 30 min late' },
+    cancelled: int,
+    avgDelay: { type: ['integer', 'null'], description: 'Mean delay (min) of operated flights, early as 0; null when none operated' },
+  }),
+
+  HourlyProfile: obj({
+    timeZone: { ...str, description: 'IANA zone the hours are in' },
+    departures: { type: 'array', minItems: 24, maxItems: 24, items: ref('HourlyBucket') },
+    arrivals: { type: 'array', minItems: 24, maxItems: 24, items: ref('HourlyBucket') },
+  }),
+
+  // Flat counters are departures; arrivals sit alongside
+  HubMetrics: obj({
+    total: int, cancellations: int, delayed30: int, delayed60: int, diversions: int, operated: int, onTime: int,
+    arrivals: ref('ArrivalMetrics'),
+    level: { enum: ['normal', 'elevated', 'severe', 'meltdown'], description: 'From per-hub rate thresholds (api/_alerts.js), both directions' },
+    reasons: {
+      type: 'array',
+      description: 'Thresholds that tripped, most severe first',
+      items: obj({
+        metric: { enum: ['cancelRate', 'delay60Rate', 'divertRate'] },
+        value: { ...num, description: 'Rate, 0–1' },
+        count: int,
+        threshold: num,
+        level: { enum: ['elevated', 'severe', 'meltdown'] },
+      }),
+    },
+    hourly: ref('HourlyProfile'),
+    seats: obj({ departures: ref('SeatImpact'), arrivals: ref('SeatImpact') }),
+  }, ['total', 'cancellations', 'delayed30', 'delayed60', 'diversions']),
+
+  Irops: obj({
+    score: { ...num, description: 'Weighted disruptions per N flights (see `scoring`), departures and arrivals combined' },
+    scoring: ref('ScoringReport'),
+    totalFlights: { ...int, description: 'Departures; arrival counters are under `arrivals`' },
+    cancellations: int,
+    delayed30: int,
+    delayed60: int,
+    diversions: int,
+    worstDelays: { type: 'array', maxItems: 8, items: obj({ ident: str, route: str, delay: int }) },
+    arrivals: ref('ArrivalMetrics'),
+    // Departures across hubs, so a flight between two hubs counts once
+    seats: ref('SeatImpact'),
+    byOperation: obj({ mainline: ref('OperationMetrics'), connection: ref('OperationMetrics') }),
+    hubMetrics: { type: 'object', additionalProperties: ref('HubMetrics') },
+    hubFlights: { type: 'object', additionalProperties: { type: 'array', items: ref('Fr24ScheduleFlight') } },
+    hubArrivals: { type: 'object', additionalProperties: { type: 'array', items: ref('Fr24ScheduleFlight') } },
+    generatedAt: { ...str, format: 'date-time' },
+    cached: bool,
+    stale: { ...bool, description: 'Present when the last good result is served after a failed recompute' },
+  }, ['score', 'totalFlights', 'cancellations', 'delayed30', 'delayed60', 'diversions', 'worstDelays', 'hubMetrics', 'generatedAt', 'cached']),
+
+  IropsPoint: obj({
+    takenAt: { ...str, format: 'date-time' },
+    score: num, totalFlights: int, cancellations: int, delayed30: int, delayed60: int, diversions: int,
+  }),
+
+  IropsHistory: obj({
+    hub: { type: ['string', 'null'] },
+    points: { type: 'array', items: ref('IropsPoint') },
+    count: int,
+    dayOverDay: {
+      oneOf: [
+        { type: 'null' },
+        obj({
+          current: ref('IropsPoint'),
+          previous: ref('IropsPoint'),
+          delta: obj({ score: num, cancellations: int, delayed30: int, delayed60: int, diversions: int }),
+        }),
+      ],
+    },
+    from: { ...str, format: 'date-time' },
+    to: { ...str, format: 'date-time' },
+  }),
+
+  Fr24Flight: obj({
+    success: { const: true },
+    flight: obj({
+      flightNumber: str,
+      callsign: str,
+      status: str,
+      origin: obj({ iata: str, icao: str, name: str }),
+      destination: obj({ iata: str, icao: str, name: str }),
+      aircraft: obj({ type: str, reg: str, icao24: str }, ['type', 'reg']),
+      departure: obj({ scheduled: str, actual: str }),
+      arrival: obj({ scheduled: str, estimated: str }),
+      position: {
+        oneOf: [
+          { type: 'null' },
+          obj({ lat: { type: ['number', 'null'] }, lon: { type: ['number', 'null'] }, alt: { type: ['number', 'null'] },
+            speed: { type: ['number', 'null'] }, heading: { type: ['number', 'null'] } }),
+        ],
+      },
+      flightId: str,
+    }),
+    source: { enum: ['fr24-official-live', 'fr24-official-summary', 'fr24-official-live+summary'] },
+    cached: bool,
+  }),
+
+  FlightTimes: (() => {
+    const times = obj({ scheduled: isoOrEmpty, estimated: isoOrEmpty, actual: isoOrEmpty });
+    const airport = obj({ iata: str, name: str, terminal: str, gate: str, tz: str });
+    return obj({
+      success: { const: true },
+      flight: str,
+      origin: airport,
+      destination: airport,
+      departure: obj({ gate: times, takeoff: times }),
+      arrival: obj({ landing: times, gate: times }),
+      aircraft: str,
+      status: str,
+      cancelled: bool,
+      diverted: bool,
+      source: { enum: ['flightaware', 'fr24-summary'] },
+      cached: bool,
+    });
+  })(),
+
+  FlightHistory: (() => {
+    const time = { type: ['string', 'null'], format: 'date-time' };
+    const minutes = { type: ['integer', 'null'] };
+    return obj({
+      flight: str,
+      days: int,
+      from: { ...str, format: 'date-time' },
+      to: { ...str, format: 'date-time' },
+      summary: obj({
+        operated: { ...int, description: 'Instances FR24 saw fly, including en-route' },
+        completed: { ...int, description: 'Landed at the scheduled destination' },
+        diverted: int,
+        delayKnown: { ...int, description: 'Instances with a known departure delay' },
+        otp14: { ...rate, description: 'Share of delayKnown that left within 14 min' },
+        medianDelay: minutes,
+        medianFlightMinutes: { ...minutes, description: 'Takeoff to landing' },
+      }),
+      instances: {
+        type: 'array',
+        description: 'Newest first',
+        items: obj({
+          date: { type: ['string', 'null'], format: 'date', description: 'Departure date, origin-local for hubs, else UTC' },
+          fr24Id: { type: ['string', 'null'] },
+          origin: str,
+          destination: { ...str, description: 'Scheduled destination' },
+          divertedTo: { type: ['string', 'null'] },
+          registration: { type: ['string', 'null'] },
+          type: { type: ['string', 'null'], description: 'ICAO type code' },
+          scheduledDeparture: time,
+          actualDeparture: { ...time, description: 'Gate departure' },
+          takeoff: time,
+          landed: time,
+          delayMin: { ...minutes, description: 'Departure delay from the origin hub\'s cached departures board (or FR24, when it reports both times); null when neither has it' },
+          flightMinutes: minutes,
+          status: { enum: ['landed', 'en-route', 'diverted'] },
+        }),
+      },
+      source: { const: 'fr24-official-summary' },
+      cached: bool,
+      generatedAt: { ...str, format: 'date-time' },
+    });
+  })(),
+
+  ConnectionRisk: (() => {
+    const leg = (place, time) => obj({
+      flight: str,
+      [place]: str,
+      [time]: { ...str, format: 'date-time' },
+      [`${time}Source`]: { enum: ['actual', 'estimated', 'scheduled'] },
+      terminal: str,
+      gate: str,
+      status: str,
+    });
+    return obj({
+      hub: str,
+      risk: { enum: ['low', 'moderate', 'high', 'missed'], description: 'high: less than the minimum connect time; moderate: under 15 min to spare' },
+      reason: {
+        enum: [null, 'inbound-cancelled', 'inbound-diverted', 'outbound-cancelled', 'outbound-departed', 'outbound-before-arrival'],
+        description: 'Why the connection is missed; null otherwise',
+      },
+      connectMinutes: { ...int, description: 'Inbound gate arrival to outbound gate departure' },
+      minConnect: { ...int, description: 'Minimum connect time applied (src/data/hubs.js)' },
+      slack: { ...int, description: 'connectMinutes − minConnect' },
+      terminalChange: { type: ['boolean', 'null'], description: 'null when either terminal is unknown' },
+      inbound: leg('from', 'arrival'),
+      outbound: leg('to', 'departure'),
+      generatedAt: { ...str, format: 'date-time' },
+    });
+  })(),
+
+  // aviationweather.gov METAR JSON, passed through unchanged
+  Metar: obj({ icaoId: str, rawOb: str }, ['icaoId'], { additionalProperties: true }),
+
+  FaaStatus: obj({
+    airportCode: str,
+    type: { enum: ['delay', 'closure'] },
+    reason: str,
+    delays: { type: 'array', items: obj({ reason: str }) },
+  }),
+
+  // Raw FR24 feed.js: flight id → positional array, plus counters
+  Fr24Feed: obj({ full_count: int, version: int }, [], {
+    additionalProperties: { type: 'array' },
+  }),
+
+  // format=normalized — see _feed.js
+  LiveFlight: obj({
+    id: str,
+    icao24: { type: ['string', 'null'] },
+    flight: { type: ['string', 'null'], description: 'IATA flight number, e.g. DL838' },
+    callsign: { type: ['string', 'null'] },
+    airline: { type: ['string', 'null'], description: 'ICAO airline code' },
+    aircraft: obj({ type: { type: ['string', 'null'] }, registration: { type: ['string', 'null'] } }),
+    origin: { type: ['string', 'null'] },
+    destination: { type: ['string', 'null'] },
+    position: obj({
+      lat: { type: ['number', 'null'] },
+      lon: { type: ['number', 'null'] },
+      altitudeFt: { type: ['number', 'null'] },
+      groundSpeedKts: { type: ['number', 'null'] },
+      trackDeg: { type: ['number', 'null'] },
+      verticalRateFpm: { type: ['number', 'null'] },
+      onGround: bool,
+    }),
+    squawk: { type: ['string', 'null'] },
+    updatedAt: { type: ['string', 'null'], format: 'date-time' },
+    phase: { enum: ['Ground', 'Takeoff', 'Approach', 'Climb', 'Descent', 'Cruise', 'En Route'] },
+  }),
+
+  Fr24FeedNormalized: obj({
+    format: { const: 'normalized' },
+    fetchedAt: { ...str, format: 'date-time' },
+    fullCount: { type: ['integer', 'null'] },
+    flights: { type: 'array', items: ref('LiveFlight') },
+  }),
+
+  // Data of the /fr24-feed/stream SSE events; flights are raw arrays or LiveFlight
+  Fr24FeedSnapshot: obj({
+    flights: { type: 'object', additionalProperties: { oneOf: [{ type: 'array' }, ref('LiveFlight')] } },
+    full_count: int,
+  }, ['flights']),
+
+  Fr24FeedDelta: obj({
+    added: { type: 'object', additionalProperties: { oneOf: [{ type: 'array' }, ref('LiveFlight')] } },
+    moved: { type: 'object', additionalProperties: { oneOf: [{ type: 'array' }, ref('LiveFlight')] } },
+    removed: { type: 'array', items: str },
+  }),
+};
+
+const errors = (...statuses) => Object.fromEntries(statuses.map(s => [s, { $ref: `#/components/responses/E${s}` }]));
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+function get({ summary, description, tags, query, ok, errorCodes = [] }) {
+  return {
+    get: {
+      summary,
+      ...(description ? { description } : {}),
+      tags,
+      parameters: query ? toParameters(query) : [],
+      responses: {
+        200: ok,
+        ...errors(...new Set([...(query ? [400] : []), 403, 405, ...errorCodes])),
+      },
+    },
+  };
+}
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid query parameter',
+  403: 'Origin not allowed',
+  404: 'Not found',
+  405: 'Method not allowed',
+  429: 'Rate limited (see RateLimit-* and Retry-After headers)',
+  500: 'Server error or missing configuration',
+  502: 'Upstream unavailable',
+  504: 'Upstream timeout',
+};
+
+/** Build the OpenAPI document. */
+export function buildSpec() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Widget Watch API',
+      version: API_VERSION,
+      description: 'Read-only endpoints behind the Widget Watch dashboard. Errors share one envelope: `{ success: false, error, code }`.',
+    },
+    servers: [{ url: `${SITE_URL}/api` }],
+    paths: {
+      '/schedule': get({
+        summary: 'Delta departures/arrivals for an airport',
+        description: 'Aggregates FR24 schedule pages filtered to DL flights, or returns one raw page when `page` is given. A `partial` result carries a `cursor`; repeating the request with it continues from the flights saved under that cursor until the day is complete. `partial` results are cached briefly. With `from`/`to` instead of `timestamp`, returns up to 7 hub-local operating days with per-day totals.',
+        tags: ['flights'],
+        query: scheduleQuery,
+        ok: json({ oneOf: [ref('ScheduleAggregate'), ref('SchedulePage'), ref('ScheduleRange')] }, 'Aggregated schedule, a single page, or a date range'),
+        errorCodes: [429, 502, 504],
+      }),
+      '/rotations': get({
+        summary: 'Outbound flights at risk from their inbound aircraft',
+        description: 'Pairs each tail\'s arrivals and departures at the hub from the aggregated schedule and lists tight or broken turns.',
+        tags: ['flights'],
+        query: rotationsQuery,
+        ok: json(ref('Rotations'), 'At-risk turns'),
+        errorCodes: [400, 429, 502, 504],
+      }),
+      '/route': get({
+        summary: 'Delta flights on a city pair for one day',
+        description: 'Joins the origin hub\'s departures with the destination hub\'s arrivals (matched by flight number and scheduled departure) from the cached schedule aggregations. At least one end must be a hub.',
+        tags: ['flights'],
+        query: routeQuery,
+        ok: json(ref('Route'), 'Flights with scheduled/actual times, equipment and status'),
+        errorCodes: [400, 429, 502, 504],
+      }),
+      '/otp': get({
+        summary: 'On-time performance for a hub',
+        description: 'D0/A0, D14/A14, median and p90 delay, cancellation rate and completion factor over up to 7 hub-local operating days, by hour, aircraft type, airport and day. Rates are over operated flights except cancellationRate and completionFactor.',
+        tags: ['flights'],
+        query: otpQuery,
+        ok: json(ref('Otp'), 'OTP metrics with breakdowns'),
+        errorCodes: [400, 429, 502, 504],
+      }),
+      '/irops': get({
+        summary: 'Network and per-hub disruption metrics',
+        tags: ['irops'],
+        query: iropsQuery,
+        ok: json(ref('Irops'), 'Current IROPS metrics'),
+        errorCodes: [400, 429, 502],
+      }),
+      '/irops/history': get({
+        summary: 'Stored IROPS snapshots as a time series',
+        tags: ['irops'],
+        query: iropsHistoryQuery,
+        ok: json(ref('IropsHistory'), 'Snapshot series with day-over-day comparison'),
+        errorCodes: [429, 500],
+      }),
+      '/fr24-flight': get({
+        summary: 'Live position and times for one flight (FR24 official API)',
+        tags: ['flights'],
+        query: fr24FlightQuery,
+        ok: json(ref('Fr24Flight'), 'Flight found'),
+        errorCodes: [404, 429, 500, 502, 504],
+      }),
+      '/flight-times': get({
+        summary: 'Gate and runway times for a Delta flight',
+        tags: ['flights'],
+        query: flightTimesQuery,
+        ok: json(ref('FlightTimes'), 'Flight times'),
+        errorCodes: [404, 429],
+      }),
+      '/flight-history': get({
+        summary: 'Recent operated instances of a flight number',
+        description: 'Each flight FR24 saw under the number over the last `days` days (flight-summary endpoint) with registration, type, runway times and status, plus an on-time summary. Scheduled and gate departure, and so the delay, come from the origin hub\'s departures board when the schedule cache holds that day.',
+        tags: ['flights'],
+        query: flightHistoryQuery,
+        ok: json(ref('FlightHistory'), 'Instances, newest first'),
+        errorCodes: [404, 429, 500, 502, 504],
+      }),
+      '/connection-risk': get({
+        summary: 'Misconnect risk for a Delta connection at a hub',
+        description: 'Compares the inbound\'s gate arrival with the outbound\'s gate departure (from /flight-times) against the hub\'s minimum connect time.',
+        tags: ['flights'],
+        query: connectionRiskQuery,
+        ok: json(ref('ConnectionRisk'), 'Connection risk'),
+        errorCodes: [400, 404, 429, 502, 504],
+      }),
+      '/events': get({
+        summary: 'Cancellation, diversion, equipment and delay events',
+        description: 'Changes found by diffing successive schedule aggregations. `format=rss` or `format=atom` returns a feed instead of JSON; /events.xml is the RSS feed.',
+        tags: ['irops'],
+        query: eventsQuery,
+        ok: {
+          description: 'Events, newest first',
+          content: {
+            'application/json': { schema: ref('ScheduleEvents') },
+            'application/rss+xml': { schema: str },
+            'application/atom+xml': { schema: str },
+          },
+        },
+        errorCodes: [429, 500],
+      }),
+      '/fr24-feed': get({
+        summary: 'Live FR24 positions for an airline',
+        tags: ['flights'],
+        query: fr24FeedQuery,
+        ok: json({ oneOf: [ref('Fr24Feed'), ref('Fr24FeedNormalized')] }, 'Raw FR24 feed, or the normalized flight list'),
+        errorCodes: [429, 502, 504],
+      }),
+      '/fr24-feed/stream': get({
+        summary: 'Live FR24 positions as Server-Sent Events',
+        description: 'First event is `snapshot` (Fr24FeedSnapshot), then `delta` (Fr24FeedDelta) events keyed by FR24 flight id as the feed changes (~15s). '
+          + 'Event ids are frame times; reconnecting with Last-Event-ID resumes with a delta. The stream closes after ~4.5 minutes and EventSource reconnects.',
+        tags: ['flights'],
+        query: fr24FeedQuery,
+        ok: { description: 'Event stream', content: { 'text/event-stream': { schema: str } } },
+        errorCodes: [429, 502, 504],
+      }),
+      '/metar': get({
+        summary: 'METAR observations (aviationweather.gov)',
+        tags: ['weather'],
+        query: metarQuery,
+        ok: json({ type: 'array', items: ref('Metar') }, 'METARs'),
+        errorCodes: [429, 502, 504],
+      }),
+      '/faa': get({
+        summary: 'FAA NAS airport delays and closures',
+        tags: ['weather'],
+        ok: json({ type: 'array', items: ref('FaaStatus') }, 'Active delay programs and closures'),
+        errorCodes: [429, 502, 504],
+      }),
+      '/fleet': get({
+        summary: 'Delta fleet sheet tab as CSV',
+        tags: ['fleet'],
+        query: fleetQuery,
+        ok: { description: 'CSV export of the sheet tab', content: { 'text/csv': { schema: str } } },
+        errorCodes: [429, 502, 504],
+      }),
+      '/changelog': get({
+        summary: 'CHANGELOG.md as plain text',
+        tags: ['meta'],
+        ok: { description: 'Markdown changelog', content: { 'text/plain': { schema: str } } },
+        errorCodes: [404],
+      }),
+      '/openapi.json': get({
+        summary: 'This document',
+        tags: ['meta'],
+        ok: json({ type: 'object' }, 'OpenAPI 3.1 document'),
+      }),
+    },
+    components: {
+      schemas,
+      responses: Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) =>
+        [`E${status}`, json(ref('Error'), description)])),
+    },
+  };
+}
@@ -0,0 +1,163 @@
+// On-time performance — the industry OTP metrics for one hub and direction.
+// D0/A0 is the share of operated flights that left/arrived at or before
+// schedule; D14/A14 within 14 minutes (the DOT on-time standard). Delays are
+// measured by flightOutcome below, as IROPS and route measure them: actual time,
+// else estimated once operated, early counting as 0. On-time rates and delay
+// percentiles are over operated flights; cancellations and diversions show up
+// in cancellationRate and completionFactor, which are over everything scheduled.
+
+import { localHour } from './_time.js';
+import { ICAO_TO_FLEET_TYPE, seatMap } from './_equipment.js';
+
+export const DOT_ON_TIME_MINUTES = 14;
+
+// IROPS and route on-time: within 30 min whatever the scoring model's delay buckets are
+export const ON_TIME_MINUTES = 30;
+
+// What happened to one flight at this hub. Departures count as operated from
+// pushback (a diverted flight still departed); arrivals only once the flight
+// has landed here, so a diverted arrival never operated. delayMin is null
+// until the flight has operated; early counts as 0.
+export function flightOutcome(fl, dir) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const status = fl.status?.generic?.status?.text?.toLowerCase() || '';
+  if (status === 'canceled' || status === 'cancelled') return { cancelled: true, diverted: false, delayMin: null };
+  const diverted = status === 'diverted';
+  if (diverted && dir === 'arrivals') return { cancelled: false, diverted, delayMin: null };
+
+  const hasOperated = dir === 'arrivals'
+    ? status === 'landed'
+    : status === 'departed' || status === 'en-route' || status === 'landed' || diverted;
+  const realT = fl.time?.real?.[side];
+  const estT = fl.time?.estimated?.[side];
+  const actT = realT || (hasOperated ? estT : null);
+  if (!actT) return { cancelled: false, diverted, delayMin: null };
+
+  const schedT = fl.time?.scheduled?.[side] || 0;
+  const delayMin = schedT && actT > schedT ? Math.round((actT - schedT) / 60) : 0;
+  return { cancelled: false, diverted, delayMin };
+}
+
+// Fraction 0–1 to three places; null without a denominator
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+/**
+ * Nearest-rank percentile.
+ * @param {number[]} sorted - Ascending
+ * @param {number} p - 0–100
+ * @returns {number|null} null for an empty list
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+const emptyGroup = () => ({ scheduled: 0, cancelled: 0, diverted: 0, delays: [] });
+
+function addOutcome(group, { cancelled, diverted, delayMin }) {
+  group.scheduled++;
+  if (cancelled) group.cancelled++;
+  if (diverted) group.diverted++;
+  if (delayMin !== null) group.delays.push(delayMin);
+}
+
+function finish({ scheduled, cancelled, diverted, delays }) {
+  const sorted = [...delays].sort((a, b) => a - b);
+  const operated = sorted.length;
+  return {
+    scheduled,
+    operated,
+    cancelled,
+    diverted,
+    otp0: rate(sorted.filter(d => d === 0).length, operated),
+    otp14: rate(sorted.filter(d => d <= DOT_ON_TIME_MINUTES).length, operated),
+    medianDelay: percentile(sorted, 50),
+    p90Delay: percentile(sorted, 90),
+    cancellationRate: rate(cancelled, scheduled),
+    // Flights that reached their destination as planned: neither cancelled nor diverted
+    completionFactor: rate(scheduled - cancelled - diverted, scheduled),
+  };
+}
+
+/**
+ * OTP metrics for a set of flights, without breakdowns.
+ * @param {object[]} flights - FR24 schedule flights from one hub board
+ * @param {'departures'|'arrivals'} dir
+ */
+export function otpMetrics(flights, dir) {
+  const group = emptyGroup();
+  for (const fl of flights) addOutcome(group, flightOutcome(fl, dir));
+  return finish(group);
+}
+
+/**
+ * OTP metrics overall and by hub-local scheduled hour, aircraft type and the
+ * airport at the other end (destination for departures, origin for arrivals).
+ * Type and airport groups are busiest first; unknown ones are grouped as null.
+ * @param {object[]} flights - FR24 schedule flights from one hub board
+ * @param {'departures'|'arrivals'} dir
+ * @param {string} tz - Hub's IANA zone
+ */
+export function computeOtp(flights, dir, tz) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const overall = emptyGroup();
+  const hours = Array.from({ length: 24 }, emptyGroup);
+  const types = new Map();
+  const airports = new Map();
+  const groupFor = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyGroup());
+    return map.get(key);
+  };
+
+  for (const fl of flights) {
+    const sched = fl.time?.scheduled?.[side];
+    if (!sched) continue;
+    const outcome = flightOutcome(fl, dir);
+    const other = dir === 'arrivals' ? fl.airport?.origin : fl.airport?.destination;
+    for (const group of [
+      overall,
+      hours[localHour(sched, tz)],
+      groupFor(types, fl.aircraft?.model?.code || null),
+      groupFor(airports, other?.code?.iata || null),
+    ]) addOutcome(group, outcome);
+  }
+
+  const ranked = (map, name) => [...map]
+    .map(([key, group]) => ({ [name]: key, ...finish(group) }))
+    .sort((a, b) => b.scheduled - a.scheduled);
+  return {
+    ...finish(overall),
+    byHour: hours.map((group, hour) => ({ hour, ...finish(group) })),
+    byType: ranked(types, 'type'),
+    byAirport: ranked(airports, 'airport'),
+  };
+}
+
+/**
+ * Per-aircraft-type summary of a schedule board: OTP metrics plus seats
+ * scheduled (the registration's seat map, else the type's typical config;
+ * seatsUnknown counts flights with neither). Busiest type first.
+ * @param {object[]} flights - FR24 schedule flights from one hub board
+ * @param {'departures'|'arrivals'} dir
+ */
+export function typeBreakdown(flights, dir) {
+  const groups = new Map();
+  for (const fl of flights) {
+    const type = fl.aircraft?.model?.code || null;
+    if (!groups.has(type)) groups.set(type, { flights: [], seats: 0, seatsUnknown: 0 });
+    const group = groups.get(type);
+    group.flights.push(fl);
+    const seats = seatMap(type, fl.aircraft?.registration);
+    if (seats) group.seats += seats.total;
+    else group.seatsUnknown++;
+  }
+  return [...groups]
+    .map(([type, g]) => ({
+      type,
+      fleetType: ICAO_TO_FLEET_TYPE[type] ?? null,
+      seats: g.seats,
+      seatsUnknown: g.seatsUnknown,
+      ...otpMetrics(g.flights, dir),
+    }))
+    .sort((a, b) => b.scheduled - a.scheduled);
+}
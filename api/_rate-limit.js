@@ -1,8 +1,9 @@
-// Shared IP-based rate limiter for API endpoints
-// In-memory Map with periodic TTL cleanup
+// Shared rate limiter for API endpoints
+// Sliding-window log or token bucket over a pluggable store: per-process
+// memory by default, Redis (REDIS_URL) so every instance shares one budget.
+
+import { getRedisClient } from './_redis.js';
 
-const stores = new Map(); // keyed by endpoint name
-let lastCleanup = Date.now();
 const CLEANUP_INTERVAL = 300_000; // 5 minutes
 
 function getClientIp(req) {
@@ -14,40 +15,193 @@ function getClientIp(req) {
   return raw.split(',')[0]?.trim() || 'unknown';
 }
 
+// Store interface — both methods resolve to { allowed, remaining, resetMs }
+// where resetMs is how long until the next request would be allowed. With
+// `peek` set they only report whether a request would be allowed, without
+// recording it.
+
+/** Per-process store: Map of timestamp logs / bucket states with periodic TTL cleanup. */
+export function createMemoryStore() {
+  const logs = new Map();
+  const buckets = new Map();
+  let lastCleanup = Date.now();
+
+  function cleanup(now) {
+    if (now - lastCleanup <= CLEANUP_INTERVAL) return;
+    lastCleanup = now;
+    for (const [k, v] of logs) {
+      while (v.log.length && v.log[0] < now - v.windowMs) v.log.shift();
+      if (!v.log.length) logs.delete(k);
+    }
+    for (const [k, b] of buckets) {
+      if (now > b.fullAt) buckets.delete(k);
+    }
+  }
+
+  return {
+    async slidingWindow(key, { now, windowMs, limit, peek = false }) {
+      if (!logs.has(key)) logs.set(key, { log: [], windowMs });
+      const { log } = logs.get(key);
+      // Evict entries older than the window
+      while (log.length && log[0] < now - windowMs) log.shift();
+      const allowed = log.length < limit;
+      if (allowed && !peek) log.push(now);
+      cleanup(now);
+      return {
+        allowed,
+        remaining: Math.max(0, limit - log.length),
+        resetMs: log.length ? log[0] + windowMs - now : 0,
+      };
+    },
+
+    async tokenBucket(key, { now, capacity, refillPerMs, peek = false }) {
+      const b = buckets.get(key) || { tokens: capacity, updated: now };
+      let tokens = Math.min(capacity, b.tokens + (now - b.updated) * refillPerMs);
+      const allowed = tokens >= 1;
+      if (!peek) {
+        if (allowed) tokens -= 1;
+        buckets.set(key, { tokens, updated: now, fullAt: now + (capacity - tokens) / refillPerMs });
+      }
+      cleanup(now);
+      return {
+        allowed,
+        remaining: Math.floor(tokens),
+        resetMs: allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs),
+      };
+    },
+  };
+}
+
+// Both scripts run atomically server-side so concurrent instances can't race
+const SLIDING_WINDOW_LUA = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  allowed = 1
+  if ARGV[5] ~= '1' then
+    redis.call('ZADD', KEYS[1], now, ARGV[4])
+    redis.call('PEXPIRE', KEYS[1], window)
+    count = count + 1
+  end
+end
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+local reset = 0
+if oldest[2] then reset = tonumber(oldest[2]) + window - now end
+return {allowed, limit - count, reset}
+`;
+
+const TOKEN_BUCKET_LUA = `
+local now = tonumber(ARGV[1])
+local capacity = tonumber(ARGV[2])
+local rate = tonumber(ARGV[3])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(state[1]) or capacity
+local updated = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updated) * rate)
+local allowed = 0
+local reset = 0
+if tokens >= 1 then
+  allowed = 1
+  if ARGV[4] ~= '1' then tokens = tokens - 1 end
+else
+  reset = math.ceil((1 - tokens) / rate)
+end
+if ARGV[4] ~= '1' then
+  redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+  redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate))
+end
+return {allowed, math.floor(tokens), reset}
+`;
+
+/**
+ * Redis-backed store shared by every instance.
+ * @param {{ command: Function }} client - see createRedisClient
+ * @param {{ prefix?: string }} opts
+ */
+export function createRedisStore(client, { prefix = 'ww:rl:' } = {}) {
+  const toResult = ([allowed, remaining, resetMs]) => ({ allowed: allowed === 1, remaining: Math.max(0, remaining), resetMs });
+  return {
+    async slidingWindow(key, { now, windowMs, limit, peek = false }) {
+      const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+      return toResult(await client.command('EVAL', SLIDING_WINDOW_LUA, 1, prefix + key, now, windowMs, limit, member, peek ? 1 : 0));
+    },
+    async tokenBucket(key, { now, capacity, refillPerMs, peek = false }) {
+      return toResult(await client.command('EVAL', TOKEN_BUCKET_LUA, 1, prefix + key, now, capacity, refillPerMs, peek ? 1 : 0));
+    },
+  };
+}
+
+let defaultStore = null;
+function getDefaultStore() {
+  if (!defaultStore) {
+    const client = getRedisClient();
+    defaultStore = client ? createRedisStore(client) : createMemoryStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Set standard rate limit headers (IETF RateLimit fields + Retry-After).
+ * @param {object} res
+ * @param {{ allowed: boolean, limit: number, remaining: number, resetMs: number }} result
+ */
+export function setRateLimitHeaders(res, result) {
+  const resetSec = Math.ceil(result.resetMs / 1000);
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(resetSec));
+  if (!result.allowed) res.setHeader('Retry-After', String(Math.max(1, resetSec)));
+}
+
 /**
  * Create a rate limiter for an endpoint.
- * @param {string} name - Endpoint name (for separate stores)
- * @param {number} maxPerMinute - Max requests per IP per 60s window
- * @returns {function(req): boolean} - Returns true if rate limited
+ * @param {string} name - Endpoint name (for separate key spaces)
+ * @param {number} maxPerMinute - Max requests per key per window (token bucket: refill rate)
+ * @param {object} [opts]
+ * @param {'sliding-window'|'token-bucket'} [opts.algorithm='sliding-window']
+ * @param {number} [opts.windowMs=60000] - Window length (token bucket: refill period)
+ * @param {number} [opts.burst] - Token bucket capacity (defaults to maxPerMinute)
+ * @param {function(req): string} [opts.key] - Client key, defaults to client IP; return a constant for a global cap
+ * @param {object} [opts.store] - createMemoryStore() / createRedisStore(); defaults to Redis when configured
+ * @returns {function(req, res?): Promise<boolean>} - Resolves true if rate limited; sets headers when res is given.
+ *   `.check(req)` resolves the raw result; `.peek(req)` the same without spending from the budget
  */
-export function createRateLimiter(name, maxPerMinute = 60) {
-  if (!stores.has(name)) stores.set(name, new Map());
+export function createRateLimiter(name, maxPerMinute = 60, opts = {}) {
+  const {
+    algorithm = 'sliding-window',
+    windowMs = 60_000,
+    burst = maxPerMinute,
+    key = getClientIp,
+    store,
+  } = opts;
+  const limit = algorithm === 'token-bucket' ? burst : maxPerMinute;
 
-  return function isRateLimited(req) {
+  async function check(req, { peek = false } = {}) {
+    const s = store || getDefaultStore();
+    const k = `${name}:${key(req)}`;
     const now = Date.now();
-    const store = stores.get(name);
-    const ip = getClientIp(req);
-
-    if (!store.has(ip)) store.set(ip, []);
-    const log = store.get(ip);
-
-    // Evict entries older than 60s
-    while (log.length && log[0] < now - 60_000) log.shift();
-
-    if (log.length >= maxPerMinute) return true;
-    log.push(now);
-
-    // Periodic cleanup: remove stale IPs across all stores
-    if (now - lastCleanup > CLEANUP_INTERVAL) {
-      lastCleanup = now;
-      for (const [, s] of stores) {
-        for (const [k, v] of s) {
-          while (v.length && v[0] < now - 60_000) v.shift();
-          if (!v.length) s.delete(k);
-        }
-      }
+    try {
+      const result = algorithm === 'token-bucket'
+        ? await s.tokenBucket(k, { now, capacity: burst, refillPerMs: maxPerMinute / windowMs, peek })
+        : await s.slidingWindow(k, { now, windowMs, limit: maxPerMinute, peek });
+      return { ...result, limit };
+    } catch (e) {
+      // Fail open: a store outage must not take every endpoint down with it
+      console.error(`Rate limit store error (${name}):`, e.message);
+      return { allowed: true, limit, remaining: limit, resetMs: 0 };
     }
+  }
 
-    return false;
-  };
+  async function isRateLimited(req, res) {
+    const result = await check(req);
+    if (res) setRateLimitHeaders(res, result);
+    return !result.allowed;
+  }
+  isRateLimited.check = (req) => check(req);
+  isRateLimited.peek = (req) => check(req, { peek: true });
+  return isRateLimited;
 }
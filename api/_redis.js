@@ -0,0 +1,156 @@
+// Minimal Redis (RESP2) client over a raw socket — no dependency needed for
+// the handful of commands the cache and rate limiter use.
+// Works with Redis, Valkey, KeyDB, Upstash (rediss://) and other RESP servers.
+
+import net from 'net';
+import tls from 'tls';
+
+const COMMAND_TIMEOUT = 2000;
+
+export function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP reply from `buf` starting at `offset`.
+ * @returns {[any, number]|null} - [value, nextOffset], or null if incomplete
+ */
+export function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+': return [line, next];
+    case '-': return [new RedisError(line), next];
+    case ':': return [parseInt(line, 10), next];
+    case '$': {
+      const len = parseInt(line, 10);
+      if (len === -1) return [null, next];
+      if (buf.length < next + len + 2) return null;
+      return [buf.toString('utf8', next, next + len), next + len + 2];
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return [null, next];
+      const items = [];
+      let pos = next;
+      for (let i = 0; i < count; i++) {
+        const parsed = parseReply(buf, pos);
+        if (!parsed) return null;
+        items.push(parsed[0]);
+        pos = parsed[1];
+      }
+      return [items, pos];
+    }
+    default:
+      throw new RedisError(`Unexpected RESP type byte: ${type}`);
+  }
+}
+
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * Create a lazily-connecting Redis client.
+ * @param {string} url - redis://[user:pass@]host:port[/db] or rediss:// for TLS
+ * @returns {{ command: (...args) => Promise<any>, quit: () => void }}
+ */
+export function createRedisClient(url) {
+  const u = new URL(url);
+  const port = parseInt(u.port || '6379', 10);
+  const db = u.pathname && u.pathname.length > 1 ? u.pathname.slice(1) : null;
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let pending = [];
+
+  function failAll(err) {
+    const waiting = pending;
+    pending = [];
+    for (const p of waiting) { clearTimeout(p.timer); p.reject(err); }
+  }
+
+  function connect() {
+    const opts = { host: u.hostname, port };
+    socket = u.protocol === 'rediss:'
+      ? tls.connect({ ...opts, servername: u.hostname })
+      : net.connect(opts);
+    // Don't keep the function (or a test run) alive just for an idle connection
+    socket.unref();
+    buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed;
+      try {
+        while (pending.length && (parsed = parseReply(buffer))) {
+          buffer = buffer.subarray(parsed[1]);
+          const p = pending.shift();
+          clearTimeout(p.timer);
+          if (parsed[0] instanceof RedisError) p.reject(parsed[0]);
+          else p.resolve(parsed[0]);
+        }
+      } catch (e) {
+        socket.destroy(e);
+      }
+    });
+    socket.on('error', (e) => failAll(e));
+    socket.on('close', () => {
+      socket = null;
+      failAll(new RedisError('Connection closed'));
+    });
+
+    // Handshake is queued ahead of the caller's first command
+    if (u.password) {
+      const auth = u.username
+        ? ['AUTH', decodeURIComponent(u.username), decodeURIComponent(u.password)]
+        : ['AUTH', decodeURIComponent(u.password)];
+      send(auth).catch(() => {});
+    }
+    if (db) send(['SELECT', db]).catch(() => {});
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const entry = { resolve, reject, timer: null };
+      entry.timer = setTimeout(() => {
+        // A timed-out reply would desync the queue — drop the connection
+        if (socket) socket.destroy(new RedisError('Redis command timeout'));
+      }, COMMAND_TIMEOUT);
+      pending.push(entry);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    },
+    quit() {
+      if (socket) socket.end();
+    },
+  };
+}
+
+let sharedClient;
+
+/** Shared client for REDIS_URL, or null when no Redis is configured. */
+export function getRedisClient() {
+  if (sharedClient === undefined) {
+    const url = process.env.REDIS_URL || process.env.KV_URL;
+    sharedClient = url ? createRedisClient(url) : null;
+  }
+  return sharedClient;
+}
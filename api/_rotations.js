@@ -0,0 +1,129 @@
+// Aircraft rotations through a hub — which outbound a late inbound will delay
+// FR24 schedule entries carry aircraft.registration. Each tail's arrivals and
+// departures at the hub are paired in scheduled order (an inbound turns into
+// the next outbound). A turn is tight when the inbound's best arrival time
+// leaves less than the minimum turn before the outbound's scheduled departure,
+// and broken when the inbound lands after it, or won't arrive at all.
+
+import { classifyFlight } from './_carriers.js';
+
+// Minimum ground time (minutes) before an aircraft can go out again, by the
+// outbound's operation; regional jets turn faster
+export const MIN_TURN_MINUTES = { mainline: 40, connection: 30 };
+
+const statusOf = (fl) => fl.status?.generic?.status?.text?.toLowerCase() || '';
+const isCancelled = (fl) => ['canceled', 'cancelled'].includes(statusOf(fl));
+const hasDeparted = (fl) => !!fl.time?.real?.departure || ['departed', 'en-route', 'landed', 'diverted'].includes(statusOf(fl));
+const registration = (fl) => fl.aircraft?.registration?.toUpperCase() || null;
+const flightNumber = (fl) => fl.identification?.number?.default || null;
+
+// Best known arrival: actual, then estimated, then scheduled
+const arrivalTime = (fl) => fl.time?.real?.arrival || fl.time?.estimated?.arrival || fl.time?.scheduled?.arrival || null;
+
+/**
+ * Per-tail rotation chains at a hub.
+ * @param {object[]} arrivals - FR24 schedule flights arriving at the hub
+ * @param {object[]} departures - FR24 schedule flights departing the hub
+ * @returns {Map<string, { inbound: object|null, outbound: object|null }[]>}
+ *   Turns per registration in time order; inbound is null for a tail's first
+ *   departure of the window, outbound null for its last arrival
+ */
+export function buildRotations(arrivals, departures) {
+  const events = new Map();
+  const add = (fl, t, inbound) => {
+    const reg = registration(fl);
+    if (!reg || !t) return;
+    if (!events.has(reg)) events.set(reg, []);
+    events.get(reg).push({ t, inbound, fl });
+  };
+  for (const fl of arrivals) add(fl, fl.time?.scheduled?.arrival || arrivalTime(fl), true);
+  for (const fl of departures) add(fl, fl.time?.scheduled?.departure, false);
+
+  const chains = new Map();
+  for (const [reg, list] of events) {
+    // At equal times the arrival comes first — it's the one feeding the departure
+    list.sort((a, b) => a.t - b.t || (b.inbound - a.inbound));
+    const turns = [];
+    let pending = null;
+    for (const { inbound, fl } of list) {
+      if (inbound) {
+        if (pending) turns.push({ inbound: pending, outbound: null });
+        pending = fl;
+      } else {
+        turns.push({ inbound: pending, outbound: fl });
+        pending = null;
+      }
+    }
+    if (pending) turns.push({ inbound: pending, outbound: null });
+    chains.set(reg, turns);
+  }
+  return chains;
+}
+
+/**
+ * How one turn stands.
+ * @param {{ inbound: object|null, outbound: object|null }} turn
+ * @param {number} [minTurn] - Minutes; defaults by the outbound's operation
+ * @returns {{ status: 'ok'|'tight'|'broken', reason: string|null, minTurn: number, slack: number|null, projectedDelay: number|null }|null}
+ *   null when there is nothing left to assess: no inbound or outbound, or the
+ *   outbound has already gone or been cancelled
+ */
+export function assessTurn({ inbound, outbound }, minTurn) {
+  if (!inbound || !outbound || isCancelled(outbound) || hasDeparted(outbound)) return null;
+  const scheduled = outbound.time?.scheduled?.departure;
+  if (!scheduled) return null;
+  minTurn ??= (outbound.operation ?? classifyFlight(outbound))?.connection ? MIN_TURN_MINUTES.connection : MIN_TURN_MINUTES.mainline;
+
+  if (isCancelled(inbound)) return { status: 'broken', reason: 'inbound-cancelled', minTurn, slack: null, projectedDelay: null };
+  if (statusOf(inbound) === 'diverted') return { status: 'broken', reason: 'inbound-diverted', minTurn, slack: null, projectedDelay: null };
+  const eta = arrivalTime(inbound);
+  if (!eta) return null;
+
+  // Ground time the inbound leaves, and how late the outbound goes if it needs all of minTurn
+  const slack = Math.round((scheduled - eta) / 60);
+  const projectedDelay = Math.max(0, minTurn - slack);
+  const status = slack < 0 ? 'broken' : slack < minTurn ? 'tight' : 'ok';
+  return { status, reason: status === 'ok' ? null : 'late-inbound', minTurn, slack, projectedDelay };
+}
+
+/**
+ * Outbound flights at risk from their inbound aircraft, worst first.
+ * @param {object[]} arrivals - FR24 schedule flights arriving at the hub
+ * @param {object[]} departures - FR24 schedule flights departing the hub
+ * @param {{ minTurn?: number }} [options] - minTurn overrides MIN_TURN_MINUTES
+ */
+export function findAtRisk(arrivals, departures, { minTurn } = {}) {
+  const chains = buildRotations(arrivals, departures);
+  const atRisk = [];
+  let turns = 0;
+  for (const [reg, list] of chains) {
+    for (const turn of list) {
+      if (turn.inbound && turn.outbound) turns++;
+      const risk = assessTurn(turn, minTurn);
+      if (!risk || risk.status === 'ok') continue;
+      const { inbound, outbound } = turn;
+      atRisk.push({
+        registration: reg,
+        aircraft: outbound.aircraft?.model?.code || inbound.aircraft?.model?.code || null,
+        ...risk,
+        inbound: {
+          flight: flightNumber(inbound),
+          from: inbound.airport?.origin?.code?.iata || null,
+          scheduledArrival: inbound.time?.scheduled?.arrival || null,
+          estimatedArrival: arrivalTime(inbound),
+          landed: !!inbound.time?.real?.arrival || statusOf(inbound) === 'landed',
+        },
+        outbound: {
+          flight: flightNumber(outbound),
+          to: outbound.airport?.destination?.code?.iata || null,
+          scheduledDeparture: outbound.time.scheduled.departure,
+        },
+      });
+    }
+  }
+  // Broken turns first, then by how late the outbound is projected to go
+  atRisk.sort((a, b) => (b.status === 'broken') - (a.status === 'broken')
+    || (b.projectedDelay ?? Infinity) - (a.projectedDelay ?? Infinity)
+    || a.outbound.scheduledDeparture - b.outbound.scheduledDeparture);
+  return { tails: chains.size, turns, atRisk };
+}
@@ -0,0 +1,295 @@
+// Schedule aggregation — every page of an FR24 airport schedule for one
+// hub-local operating day, filtered to the requested carriers and cached so
+// the schedule board, rotations, route, OTP and flight history share one
+// fetch. FR24 calls are paced through one clock per instance.
+
+import { createCache } from './_cache.js';
+import { USER_AGENT } from './_config.js';
+import { isCarrierFlight, withOperation } from './_carriers.js';
+import { recordSchedule } from './_events.js';
+import { trackEquipment, seatImpact } from './_equipment.js';
+import { typeBreakdown } from './_otp.js';
+import { tzFor, localDate, localMidnight, isDate } from './_time.js';
+import { badRequest } from './_middleware.js';
+
+// Shared cache (see _cache.js) — pages and aggregations are reusable across instances
+const cache = createCache('schedule', { maxEntries: 200 });
+let lastFR24Request = 0;
+const MIN_REQUEST_INTERVAL = 2000; // 2 seconds between FR24 requests
+
+async function rateLimitedFetch(url, deadlineMs) {
+  const now = Date.now();
+  const wait = Math.max(0, MIN_REQUEST_INTERVAL - (now - lastFR24Request));
+  if (wait > 0) await new Promise(r => setTimeout(r, wait));
+  lastFR24Request = Date.now();
+
+  // Use remaining time until deadline if provided, capped at 8s
+  const remaining = deadlineMs ? Math.max(500, deadlineMs - Date.now()) : 8000;
+  const fetchTimeout = Math.min(remaining, 8000);
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), fetchTimeout);
+  try {
+    const resp = await fetch(url, {
+      signal: controller.signal,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/json'
+      }
+    });
+    clearTimeout(timeout);
+    return resp;
+  } catch (e) {
+    clearTimeout(timeout);
+    throw e;
+  }
+}
+
+async function fetchOnePage(hub, dir, timestamp, page, deadlineMs) {
+  const url = `https://api.flightradar24.com/common/v1/airport.json?code=${encodeURIComponent(hub)}&plugin[]=schedule&plugin-setting[schedule][mode]=${encodeURIComponent(dir)}&plugin-setting[schedule][timestamp]=${timestamp}&page=${page}&limit=100`;
+  const resp = await rateLimitedFetch(url, deadlineMs);
+  if (!resp.ok) throw new Error(`FR24 returned ${resp.status}`);
+  const data = await resp.json();
+  const sched = data?.result?.response?.airport?.pluginData?.schedule?.[dir];
+  if (!sched) throw new Error('No schedule data in response');
+  return sched;
+}
+
+const pageKey = (hub, dir, timestamp, page) => `sched:${hub}:${dir}:${timestamp}:${page}`;
+
+// Cached per page so aggregation can reuse pages fetched by any instance
+async function fetchPageCached(hub, dir, timestamp, page, ttl, deadlineMs) {
+  const { data } = await getSchedulePage(hub, dir, timestamp, page, ttl, deadlineMs);
+  return data;
+}
+
+/**
+ * One upstream schedule page through the page cache.
+ * @returns {Promise<{ data: object, cached: boolean }>}
+ */
+export function getSchedulePage(hub, dir, timestamp, page, ttl, deadlineMs) {
+  return cache.wrap(pageKey(hub, dir, timestamp, page),
+    () => fetchOnePage(hub, dir, timestamp, page, deadlineMs), { ttl });
+}
+
+const HANDLER_TIMEOUT = 8000; // Return partial results before Vercel kills us
+const MAX_PAGES = 50; // Hard stop across all resumed calls
+// How long a partial aggregation's progress waits for its cursor to come back
+const PROGRESS_TTL = 15 * 60 * 1000;
+
+// Continuation cursor: the timestamp and the first page not yet collected
+const encodeCursor = (ts, page) => `${ts}:${page}`;
+export function parseCursor(s) {
+  const m = /^(\d+):(\d+)$/.exec(s);
+  return m && Number(m[2]) >= 1 ? { timestamp: Number(m[1]), page: Number(m[2]) } : undefined;
+}
+
+const progressKey = (hub, dir, ts, carriers, page) => `progress:${hub}:${dir}:${ts}:${carriers.join(',')}:${page}`;
+
+// Aggregation: fetch all pages, keep the requested carriers, return combined
+// with each flight's operating carrier (see _carriers.js). A partial run saves
+// what it collected under its cursor in the shared cache, and a resume picks
+// up from there, so every call gets further whichever instance serves it.
+// Without saved progress it starts over from page 1, stitching in pages still
+// in the page cache for free; any page that has to come from FR24 counts
+// against the deadline, and the cursor points at the first one that didn't
+// make it.
+async function aggregateSchedule(hub, dir, ts, airlines, ttl, resumeFrom = 1) {
+  const deadline = Date.now() + HANDLER_TIMEOUT;
+  const dayEnd = ts + 86400;
+  const saved = resumeFrom > 1 ? await cache.get(progressKey(hub, dir, ts, airlines, resumeFrom)) : null;
+  const progress = saved && !saved.stale ? saved.data : null;
+  const flights = progress ? [...progress.flights] : [];
+  let pageNum = progress ? resumeFrom : 1;
+  let totalPages = progress ? progress.totalPages : 1;
+  let totalFetched = progress ? progress.totalFetched : 0;
+  let partial = false;
+  let cursor = null;
+
+  while (pageNum <= totalPages && pageNum <= MAX_PAGES) {
+    const hit = await cache.get(pageKey(hub, dir, ts, pageNum));
+    let sched = hit && !hit.stale ? hit.data : null;
+    if (!sched && Date.now() > deadline - 1000) { // 1s buffer
+      partial = true;
+      cursor = encodeCursor(ts, pageNum);
+      break;
+    }
+    try {
+      sched ??= await fetchPageCached(hub, dir, ts, pageNum, ttl, deadline);
+    } catch (e) {
+      if (e.name === 'AbortError' && flights.length > 0) { partial = true; cursor = encodeCursor(ts, pageNum); break; }
+      throw e;
+    }
+    totalPages = sched.page?.total || 1;
+    if (!sched.data || sched.data.length === 0) break;
+
+    let pastDay = false;
+    for (const entry of sched.data) {
+      const fl = entry.flight;
+      if (!fl) continue;
+      if (!isCarrierFlight(fl, airlines)) continue;
+      const schedDep = fl.time?.scheduled?.departure;
+      const schedArr = fl.time?.scheduled?.arrival;
+      const flightTime = dir === 'departures' ? schedDep : schedArr;
+      if (flightTime && flightTime >= dayEnd) { pastDay = true; break; }
+      flights.push(withOperation(fl));
+    }
+    totalFetched += sched.data.length;
+    if (pastDay) break;
+    pageNum++;
+  }
+  // Busier than MAX_PAGES: incomplete, and resuming won't help
+  if (!partial && pageNum > MAX_PAGES && totalPages > MAX_PAGES) partial = true;
+
+  let annotated = flights;
+  if (cursor) {
+    await cache.set(progressKey(hub, dir, ts, airlines, pageNum), { flights, totalPages, totalFetched }, PROGRESS_TTL);
+  } else if (!partial) {
+    // Only a complete day is diffed for change events (see _events.js) and
+    // tracked for equipmentHistory / equipmentSwap (see _equipment.js): pages
+    // not fetched yet would read as cancelled flights and lost aircraft
+    await recordSchedule(hub, dir, flights);
+    annotated = await trackEquipment(hub, dir, flights);
+  }
+
+  return {
+    flights: annotated,
+    total: flights.length,
+    totalFetched,
+    pagesScanned: Math.min(pageNum, totalPages, MAX_PAGES),
+    totalPages,
+    cached: false,
+    partial,
+    cursor,
+    hub,
+    dir,
+    airlines,
+    seatImpact: seatImpact(annotated),
+    // Counts, seats and OTP per aircraft type (see _otp.js)
+    byType: typeBreakdown(annotated, dir)
+  };
+}
+
+const aggKey = (hub, dir, ts, carriers) => `agg:${hub}:${dir}:${ts}:${carriers.join(',')}`;
+
+export const nowSec = () => Math.floor(Date.now() / 1000);
+// In-memory cache lifetime: 10 min for schedules over a day old, 5 min for live ones
+export const ttlFor = (ts) => (nowSec() - ts) > 86400 ? 600000 : 300000;
+
+/**
+ * Aggregated schedule for a hub and direction through the shared cache, so
+ * other endpoints (rotations) reuse what the schedule board already fetched.
+ * Concurrent requests for the same key share one run; partial results are
+ * cached for a minute only. Resuming from a cursor skips a cached partial
+ * result and continues from the progress saved under that cursor; concurrent
+ * resumes share one run like any other request.
+ * @param {string[]} airlines - IATA codes from CARRIERS
+ * @param {number} [resumeFrom] - Page from a continuation cursor
+ * @returns {Promise<{ data: object, cached: boolean }>}
+ */
+export async function getAggregatedSchedule(hub, dir, ts, airlines, ttl = ttlFor(ts), resumeFrom = 1) {
+  const carriers = [...new Set(airlines)].sort();
+  return cache.wrap(aggKey(hub, dir, ts, carriers), () => aggregateSchedule(hub, dir, ts, carriers, ttl, resumeFrom), {
+    ttl: (r) => r.partial ? 60000 : ttl,
+    accept: resumeFrom > 1 ? (r) => !r.partial : undefined,
+  });
+}
+
+/**
+ * An aggregation someone already fetched, stale or not, without going
+ * upstream; null when it isn't cached.
+ * @param {string[]} airlines - IATA codes from CARRIERS
+ * @returns {Promise<object|null>}
+ */
+export async function peekAggregatedSchedule(hub, dir, ts, airlines) {
+  const hit = await cache.get(aggKey(hub, dir, ts, [...new Set(airlines)].sort()));
+  return hit ? hit.data : null;
+}
+
+// Range mode: several hub-local operating days in one response
+export const MAX_RANGE_DAYS = 7;
+const FUNCTION_TIMEOUT = 60000; // maxDuration of schedule.js and otp.js in vercel.json
+const RESPONSE_HEADROOM = 2000; // Regrouping and serializing the days
+// Longest one day can take: its own deadline, a paced FR24 call started just
+// before it, then event and equipment bookkeeping
+const DAY_BUDGET = HANDLER_TIMEOUT + MIN_REQUEST_INTERVAL + 2000;
+
+// YYYY-MM-DD dates from..to inclusive
+function datesBetween(from, to) {
+  const dates = [];
+  for (let t = Date.parse(`${from}T00:00:00Z`); t <= Date.parse(`${to}T00:00:00Z`); t += 86400000) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Flights for a run of operating days, each day aggregated (and cached) on its
+ * own. Flights are regrouped by hub-local scheduled date, so a day that a DST
+ * change makes 23 or 25 hours long still holds exactly its own flights. A day
+ * is only started while a full DAY_BUDGET still fits in the function's time
+ * limit; the rest come back empty and `partial`, with a cursor that resumes
+ * them in single-day mode.
+ * @param {string} from - First operating day, YYYY-MM-DD (see checkDateRange)
+ * @param {string} to - Last operating day, inclusive
+ */
+export async function getScheduleRange(hub, dir, from, to, airlines) {
+  const tz = tzFor(hub);
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const deadline = Date.now() + FUNCTION_TIMEOUT - RESPONSE_HEADROOM;
+  const runs = [];
+  for (const date of datesBetween(from, to)) {
+    const timestamp = localMidnight(date, tz);
+    if (Date.now() + DAY_BUDGET > deadline) {
+      runs.push({ date, timestamp, flights: [], partial: true, cursor: encodeCursor(timestamp, 1), cached: false });
+      continue;
+    }
+    const { data, cached } = await getAggregatedSchedule(hub, dir, timestamp, airlines);
+    runs.push({ date, timestamp, flights: data.flights, partial: data.partial, cursor: data.cursor, cached });
+  }
+
+  const byDate = new Map(runs.map(r => [r.date, []]));
+  const seen = new Set();
+  for (const fl of runs.flatMap(r => r.flights)) {
+    const scheduled = fl.time?.scheduled?.[side];
+    const key = `${fl.identification?.number?.default}:${scheduled}`;
+    if (!scheduled || seen.has(key)) continue;
+    seen.add(key);
+    byDate.get(localDate(scheduled, tz))?.push(fl);
+  }
+
+  const days = runs.map(({ date, timestamp, partial, cursor }) =>
+    ({ date, timestamp, total: byDate.get(date).length, partial, cursor, flights: byDate.get(date) }));
+  return {
+    hub,
+    dir,
+    airlines: [...new Set(airlines)].sort(),
+    timeZone: tz,
+    from,
+    to,
+    days,
+    total: days.reduce((n, d) => n + d.total, 0),
+    partial: days.some(d => d.partial),
+    cached: runs.every(r => r.cached),
+  };
+}
+
+/**
+ * Validate a from/to pair of operating days for getScheduleRange: real dates,
+ * in order, at most MAX_RANGE_DAYS, and within ±7 days of the hub's today.
+ * @returns {string} to (defaults to from)
+ * @throws {ApiError} 400
+ */
+export function checkDateRange(hub, from, to = from) {
+  if (!isDate(from) || !isDate(to)) throw badRequest('Invalid from/to — use YYYY-MM-DD', { field: isDate(from) ? 'to' : 'from', reason: 'pattern' });
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1 || days > MAX_RANGE_DAYS) {
+    throw badRequest(`Invalid range — from must not follow to, max ${MAX_RANGE_DAYS} days`, { field: 'to', reason: 'range' });
+  }
+  // Same ±7-day window as timestamp, in the hub's dates
+  const tz = tzFor(hub);
+  if (from < localDate(nowSec() - 86400 * 7, tz) || to > localDate(nowSec() + 86400 * 7, tz)) {
+    throw badRequest('from/to must be within ±7 days of today', { field: 'from', reason: 'range' });
+  }
+  return to;
+}
@@ -0,0 +1,142 @@
+// Declarative query-parameter schemas for api/ handlers
+// Usage:
+//   export const querySchema = {
+//     hub: { type: 'string', required: true, pattern: /^[A-Z]{3,4}$/, transform: s => s.toUpperCase() },
+//     page: { type: 'integer', min: 1, max: 100 },
+//   };
+//   withMiddleware('Schedule API', [..., query(querySchema)], handler);
+//
+// Field options:
+//   type        'string' | 'integer' | 'number' | 'boolean'
+//   description Shown in the API reference
+//   required    Missing/empty value is a 400
+//   default     Value (or function returning one) used when missing
+//   transform   fn(string) → string, applied before pattern/enum checks
+//   parse       fn(string) → value; NaN/undefined rejects the value (custom formats)
+//   pattern     RegExp the (transformed) string must match
+//   enum        Array or Set of allowed values
+//   min / max   Numeric bounds; may be functions evaluated per request
+//   array       Accept repeated (?ids=A&ids=B) and comma-separated values;
+//               true or { maxItems }. Scalars given several times use the first.
+//   format      OpenAPI format hint ('date-time', ...); docs only
+//   bounds      Human-readable note for dynamic min/max; docs only
+//   message     Error message override (defaults to "Invalid <field>")
+//
+// Violations throw ValidationError; the query() middleware turns it into a
+// 400 { error, code, field, reason } where reason is one of
+// required | type | pattern | enum | min | max | maxItems. Cross-field checks
+// go in query()'s refine hook (e.g. irops/history's from/to range).
+
+export class ValidationError extends Error {
+  constructor(field, reason, message) {
+    super(message || `Invalid ${field}`);
+    this.name = 'ValidationError';
+    this.field = field;
+    this.reason = reason;
+  }
+}
+
+const resolve = (v) => (typeof v === 'function' ? v() : v);
+
+const invalid = (field, reason, message) => new ValidationError(field, reason, message);
+
+function coerce(field, spec, raw) {
+  let str = String(raw).trim();
+  if (spec.transform) str = spec.transform(str);
+
+  let value = str;
+  if (spec.parse) {
+    value = spec.parse(str);
+    if (value === undefined || Number.isNaN(value)) throw invalid(field, 'type', spec.message);
+  } else if (spec.type === 'integer') {
+    if (!/^-?\d+$/.test(str)) throw invalid(field, 'type', spec.message);
+    value = parseInt(str, 10);
+  } else if (spec.type === 'number') {
+    value = Number(str);
+    if (str === '' || !Number.isFinite(value)) throw invalid(field, 'type', spec.message);
+  } else if (spec.type === 'boolean') {
+    if (!['true', 'false', '1', '0'].includes(str.toLowerCase())) throw invalid(field, 'type', spec.message);
+    value = str === 'true' || str === '1';
+  }
+
+  if (spec.pattern && !spec.pattern.test(str)) throw invalid(field, 'pattern', spec.message);
+  if (spec.enum && ![...spec.enum].includes(value)) throw invalid(field, 'enum', spec.message);
+
+  const min = resolve(spec.min);
+  const max = resolve(spec.max);
+  if (min !== undefined && value < min) throw invalid(field, 'min', spec.message);
+  if (max !== undefined && value > max) throw invalid(field, 'max', spec.message);
+  return value;
+}
+
+/**
+ * Validate and normalize a query object against a schema.
+ * @param {object} schema - { [param]: fieldSpec }
+ * @param {object} q - req.query (values may be strings or arrays of strings)
+ * @returns {object} Params keyed like the schema; absent optional params are undefined
+ */
+export function validateQuery(schema, q = {}) {
+  const params = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    let raw = q[field];
+
+    if (spec.array) {
+      const parts = (Array.isArray(raw) ? raw : raw === undefined ? [] : [raw])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+      if (!parts.length) {
+        if (spec.required) throw invalid(field, 'required', `Missing ${field} parameter`);
+        params[field] = resolve(spec.default);
+        continue;
+      }
+      const maxItems = spec.array.maxItems;
+      if (maxItems && parts.length > maxItems) {
+        throw invalid(field, 'maxItems', spec.message || `Too many ${field} values (max ${maxItems})`);
+      }
+      params[field] = parts.map(p => coerce(field, spec, p));
+      continue;
+    }
+
+    if (Array.isArray(raw)) raw = raw[0];
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      if (spec.required) throw invalid(field, 'required', `Missing ${field} parameter`);
+      params[field] = resolve(spec.default);
+      continue;
+    }
+    params[field] = coerce(field, spec, raw);
+  }
+  return params;
+}
+
+/**
+ * Describe a schema as OpenAPI 3 query parameter objects (for the API reference).
+ * Dynamic bounds are left out of the JSON Schema and noted in the description.
+ * @param {object} schema
+ * @returns {object[]}
+ */
+export function toParameters(schema) {
+  return Object.entries(schema).map(([name, spec]) => {
+    const item = { type: spec.type || 'string' };
+    if (spec.format) item.format = spec.format;
+    if (spec.pattern) item.pattern = spec.pattern.source;
+    if (spec.enum) item.enum = [...spec.enum];
+    if (typeof spec.min === 'number') item.minimum = spec.min;
+    if (typeof spec.max === 'number') item.maximum = spec.max;
+    const schemaObj = spec.array
+      ? { type: 'array', items: item, ...(spec.array.maxItems ? { maxItems: spec.array.maxItems } : {}) }
+      : item;
+    // Arrays carry their default on the array, not on each item
+    if (spec.default !== undefined && typeof spec.default !== 'function') schemaObj.default = spec.default;
+    const description = [spec.description, spec.bounds].filter(Boolean).join(' — ');
+
+    return {
+      name,
+      in: 'query',
+      required: !!spec.required,
+      ...(description ? { description } : {}),
+      schema: schemaObj,
+      ...(spec.array ? { style: 'form', explode: false } : {}),
+    };
+  });
+}
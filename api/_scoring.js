@@ -0,0 +1,157 @@
+// IROPS disruption scoring models
+// A model is versioned config: delay thresholds (minutes) for the two delay
+// buckets, a weight per factor and the normalization (score per N scheduled
+// flights). Released models are never edited — add a new id instead, so
+// stored snapshots stay comparable by the model that scored them.
+// Analysts add tuned models without a code change through IROPS_SCORING_MODELS
+// (JSON: id → partial model, missing settings inherited from the default).
+// The active model comes from IROPS_SCORING_MODEL; /api/irops?model= rescores
+// the current data with any registered model.
+
+export const SCORING_MODELS = {
+  'standard-v1': {
+    description: 'Original weighting: cancellations 3x, 60+ min delays and diversions 2x',
+    thresholds: { delayed30: 30, delayed60: 60 },
+    weights: { cancellations: 3, delayed30: 1, delayed60: 2, diversions: 2 },
+    per: 100,
+  },
+};
+
+export const DEFAULT_SCORING_MODEL = 'standard-v1';
+
+const FACTORS = ['cancellations', 'delayed30', 'delayed60', 'diversions'];
+
+const isNonNegative = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+
+/**
+ * Complete model from a partial config, or the reason it can't be used.
+ * Thresholds, weights and `per` fall back to the default model's.
+ * @param {object} config - { description?, thresholds?, weights?, per? }
+ * @returns {{ model?: object, error?: string }}
+ */
+export function parseScoringModel(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return { error: 'must be an object' };
+  const base = SCORING_MODELS[DEFAULT_SCORING_MODEL];
+  const model = {
+    description: typeof config.description === 'string' ? config.description : 'Custom model',
+    thresholds: { ...base.thresholds, ...config.thresholds },
+    weights: { ...base.weights, ...config.weights },
+    per: config.per ?? base.per,
+  };
+  const { delayed30, delayed60 } = model.thresholds;
+  if (!isNonNegative(delayed30) || !isNonNegative(delayed60) || delayed60 <= delayed30) {
+    return { error: 'thresholds must be minutes with delayed60 above delayed30' };
+  }
+  const bad = FACTORS.find(f => !isNonNegative(model.weights[f]));
+  if (bad) return { error: `weight ${bad} must be a non-negative number` };
+  if (!isNonNegative(model.per) || model.per === 0) return { error: 'per must be a positive number' };
+  return { model };
+}
+
+/**
+ * Register models from IROPS_SCORING_MODELS. Invalid entries are logged and
+ * skipped; released ids can't be overridden.
+ * @param {string} [raw] - JSON object of model id → partial model
+ * @returns {string[]} Ids registered
+ */
+export function loadScoringModels(raw = process.env.IROPS_SCORING_MODELS) {
+  if (!raw) return [];
+  let configs;
+  try {
+    configs = JSON.parse(raw);
+  } catch (e) {
+    console.warn(`IROPS_SCORING_MODELS is not valid JSON (${e.message}); ignoring it`);
+    return [];
+  }
+  if (!configs || typeof configs !== 'object' || Array.isArray(configs)) {
+    console.warn('IROPS_SCORING_MODELS must be a JSON object of model id → model; ignoring it');
+    return [];
+  }
+  const added = [];
+  for (const [id, config] of Object.entries(configs)) {
+    if (SCORING_MODELS[id]) {
+      console.warn(`IROPS scoring model ${id} already exists; add a new id instead of redefining it`);
+      continue;
+    }
+    const { model, error } = parseScoringModel(config);
+    if (error) {
+      console.warn(`IROPS scoring model ${id} skipped: ${error}`);
+      continue;
+    }
+    SCORING_MODELS[id] = model;
+    added.push(id);
+  }
+  return added;
+}
+
+/**
+ * The model id to score with: IROPS_SCORING_MODEL when it's registered, else
+ * the default, with a warning so a typo doesn't take the IROPS endpoint down.
+ * @param {string} [id]
+ */
+export function resolveActiveModel(id = process.env.IROPS_SCORING_MODEL) {
+  if (!id || SCORING_MODELS[id]) return id || DEFAULT_SCORING_MODEL;
+  console.warn(`Unknown IROPS_SCORING_MODEL ${id}; using ${DEFAULT_SCORING_MODEL}`);
+  return DEFAULT_SCORING_MODEL;
+}
+
+loadScoringModels();
+let activeEnv = process.env.IROPS_SCORING_MODEL;
+let activeModel = resolveActiveModel(activeEnv);
+
+/**
+ * Scoring model by id, with the id attached.
+ * @param {string} [id] - Defaults to the active model (IROPS_SCORING_MODEL,
+ *   checked at load, else DEFAULT_SCORING_MODEL)
+ */
+export function getScoringModel(id) {
+  if (id === undefined) {
+    // Re-resolve (and re-warn) only when the env changed since load
+    if (process.env.IROPS_SCORING_MODEL !== activeEnv) {
+      activeEnv = process.env.IROPS_SCORING_MODEL;
+      activeModel = resolveActiveModel(activeEnv);
+    }
+    id = activeModel;
+  }
+  const model = SCORING_MODELS[id];
+  if (!model) throw new Error(`Unknown IROPS scoring model: ${id}`);
+  return { id, ...model };
+}
+
+/**
+ * How much each factor adds to the score (weighted count per `per` flights).
+ * @param {{ total: number, cancellations: number, delayed30: number, delayed60: number, diversions: number }} counts
+ * @param {object} model - From getScoringModel()
+ * @returns {{ cancellations: number, delayed30: number, delayed60: number, diversions: number }}
+ */
+export function scoreBreakdown(counts, model) {
+  const out = {};
+  for (const f of FACTORS) {
+    out[f] = counts.total ? (counts[f] || 0) * model.weights[f] / counts.total * model.per : 0;
+  }
+  return out;
+}
+
+const round1 = (n) => parseFloat(n.toFixed(1));
+
+/** Disruption score for a set of counters under a model (one decimal). */
+export function scoreWith(counts, model) {
+  if (!counts.total) return 0;
+  const weighted = FACTORS.reduce((sum, f) => sum + (counts[f] || 0) * model.weights[f], 0);
+  return round1(weighted / counts.total * model.per);
+}
+
+/**
+ * Which model scored a result and how much each factor contributed, as
+ * reported alongside the score in API responses.
+ */
+export function describeScore(counts, model) {
+  const parts = scoreBreakdown(counts, model);
+  return {
+    model: model.id,
+    thresholds: model.thresholds,
+    weights: model.weights,
+    per: model.per,
+    contributions: Object.fromEntries(FACTORS.map(f => [f, round1(parts[f])])),
+  };
+}
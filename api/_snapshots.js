@@ -0,0 +1,140 @@
+// Snapshot storage for IROPS history
+// Pluggable adapter: { save(snapshot), list({ from, to }) }. With REDIS_URL the
+// default adapter is a Redis sorted set, shared by every function that writes
+// or reads it; otherwise it appends JSON lines to one file per UTC day under
+// SNAPSHOT_DIR, which on Vercel is only visible to the instance that wrote it
+// (local dev). The same stores keep other timestamped records (schedule
+// events) under another name.
+
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { getRedisClient } from './_redis.js';
+
+const DAY_MS = 86_400_000;
+const RETENTION_DAYS = parseInt(process.env.SNAPSHOT_RETENTION_DAYS || '45', 10);
+
+function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+}
+
+function inRange(record, timeKey, from, to) {
+  const t = Date.parse(record[timeKey]);
+  return !isNaN(t) && t >= from && t <= to;
+}
+
+/**
+ * File-backed snapshot store (JSON lines, one file per UTC day).
+ * @param {string} dir - Directory to write snapshot files into
+ * @param {{ name?: string, timeKey?: string }} [options] - File name prefix
+ *   (`<name>-YYYY-MM-DD.jsonl`) and the ISO timestamp field records are filed by
+ */
+export function createFileSnapshotStore(dir, { name = 'irops', timeKey = 'takenAt' } = {}) {
+  let lastPrune = 0;
+  const filePattern = new RegExp(`^${name}-(\\d{4}-\\d{2}-\\d{2})\\.jsonl$`);
+
+  async function prune(now) {
+    if (now - lastPrune < DAY_MS) return;
+    lastPrune = now;
+    const cutoff = dayKey(now - RETENTION_DAYS * DAY_MS);
+    const files = await fs.readdir(dir).catch(() => []);
+    for (const file of files) {
+      const m = file.match(filePattern);
+      if (m && m[1] < cutoff) await fs.unlink(join(dir, file)).catch(() => {});
+    }
+  }
+
+  return {
+    async save(snapshot) {
+      const t = Date.parse(snapshot[timeKey]) || Date.now();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(join(dir, `${name}-${dayKey(t)}.jsonl`), JSON.stringify(snapshot) + '\n', 'utf8');
+      await prune(Date.now());
+    },
+
+    async list({ from, to }) {
+      const out = [];
+      for (let day = from - (from % DAY_MS); day <= to; day += DAY_MS) {
+        let content;
+        try {
+          content = await fs.readFile(join(dir, `${name}-${dayKey(day)}.jsonl`), 'utf8');
+        } catch (e) {
+          if (e.code === 'ENOENT') continue;
+          throw e;
+        }
+        for (const line of content.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            const snapshot = JSON.parse(line);
+            if (inRange(snapshot, timeKey, from, to)) out.push(snapshot);
+          } catch (e) {
+            // Skip a torn line from an interrupted write
+          }
+        }
+      }
+      return out.sort((a, b) => Date.parse(a[timeKey]) - Date.parse(b[timeKey]));
+    },
+  };
+}
+
+/**
+ * Redis-backed snapshot store: one sorted set per name, scored by record time.
+ * @param {{ command: Function }} client - see createRedisClient
+ * @param {{ name?: string, timeKey?: string, prefix?: string }} [options]
+ */
+export function createRedisSnapshotStore(client, { name = 'irops', timeKey = 'takenAt', prefix = 'ww:snap:' } = {}) {
+  const key = prefix + name;
+  return {
+    async save(snapshot) {
+      const t = Date.parse(snapshot[timeKey]) || Date.now();
+      await client.command('ZADD', key, t, JSON.stringify(snapshot));
+      await client.command('ZREMRANGEBYSCORE', key, '-inf', `(${Date.now() - RETENTION_DAYS * DAY_MS}`);
+    },
+
+    async list({ from, to }) {
+      const members = await client.command('ZRANGEBYSCORE', key, from, to);
+      return (members || []).map(m => JSON.parse(m));
+    },
+  };
+}
+
+/**
+ * In-memory snapshot store (tests, local dev without a writable disk).
+ * @param {number} maxEntries - Oldest snapshots are dropped beyond this
+ * @param {{ timeKey?: string }} [options] - ISO timestamp field records are filed by
+ */
+export function createMemorySnapshotStore(maxEntries = 5000, { timeKey = 'takenAt' } = {}) {
+  const entries = [];
+  return {
+    async save(snapshot) {
+      entries.push(snapshot);
+      if (entries.length > maxEntries) entries.shift();
+    },
+    async list({ from, to }) {
+      return entries
+        .filter(s => inRange(s, timeKey, from, to))
+        .sort((a, b) => Date.parse(a[timeKey]) - Date.parse(b[timeKey]));
+    },
+  };
+}
+
+/**
+ * Redis store when REDIS_URL is configured, else files under SNAPSHOT_DIR.
+ * @param {{ name?: string, timeKey?: string }} [options]
+ */
+export function createDefaultSnapshotStore(options = {}) {
+  const client = getRedisClient();
+  if (client) return createRedisSnapshotStore(client, options);
+  return createFileSnapshotStore(process.env.SNAPSHOT_DIR || join(tmpdir(), 'widgetwatch-snapshots'), options);
+}
+
+let activeStore = null;
+
+export function getSnapshotStore() {
+  if (!activeStore) activeStore = createDefaultSnapshotStore();
+  return activeStore;
+}
+
+export function setSnapshotStore(store) {
+  activeStore = store;
+}
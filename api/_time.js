@@ -0,0 +1,84 @@
+// Hub-local time — operating days, midnights and hours in a hub's time zone,
+// plus the from/to query times the history and events endpoints accept.
+// Hub zones come from src/data/hubs.js; any other airport is treated as
+// Eastern, as the IROPS and schedule endpoints always have.
+
+import { hubTimeZones } from '../src/data/hubs.js';
+
+/** IANA time zone by upper-case hub IATA code. */
+export const HUB_TZ = Object.fromEntries(Object.entries(hubTimeZones).map(([hub, tz]) => [hub.toUpperCase(), tz]));
+
+export const tzFor = (hub) => HUB_TZ[hub] || 'America/New_York';
+
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const dateFormats = new Map();
+// Wall-clock parts of a Unix time in a zone
+function zonedParts(ts, tz) {
+  if (!dateFormats.has(tz)) {
+    dateFormats.set(tz, new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+    }));
+  }
+  const parts = Object.fromEntries(dateFormats.get(tz).formatToParts(new Date(ts * 1000)).map(p => [p.type, p.value]));
+  const [year, month, day, hour, minute, second] = ['year', 'month', 'day', 'hour', 'minute', 'second'].map(k => Number(parts[k]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, year, month, day, hour, minute, second };
+}
+
+/** Hub-local operating day (YYYY-MM-DD) of a Unix time. */
+export const localDate = (ts, tz) => zonedParts(ts, tz).date;
+
+// Hour of day (0-23) of a unix timestamp in a time zone
+export const localHour = (ts, tz) => zonedParts(ts, tz).hour;
+
+/**
+ * Unix seconds of local midnight on a date in a zone.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} tz - IANA zone
+ */
+export function localMidnight(date, tz) {
+  const utc = Date.parse(`${date}T00:00:00Z`) / 1000;
+  const offset = (ts) => {
+    const p = zonedParts(ts, tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - ts;
+  };
+  // Second pass settles dates where the offset changes overnight
+  return utc - offset(utc - offset(utc));
+}
+
+/** A YYYY-MM-DD date moved by whole calendar days. */
+export const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * 86_400_000).toISOString().slice(0, 10);
+
+/** Real calendar date in YYYY-MM-DD form. */
+export function isDate(s) {
+  const t = Date.parse(`${s}T00:00:00Z`);
+  return DATE_RE.test(s) && !isNaN(t) && new Date(t).toISOString().slice(0, 10) === s;
+}
+
+/**
+ * Start (Unix seconds) of a hub's current operating day: local midnight, or
+ * the previous one before 6 AM local, when nothing has departed yet. Found
+ * through localMidnight so DST-change days start at their real midnight.
+ */
+export function getStartOfDayForHub(hub) {
+  const tz = tzFor(hub);
+  const { date, hour } = zonedParts(Math.floor(Date.now() / 1000), tz);
+  return localMidnight(hour < 6 ? addDays(date, -1) : date, tz);
+}
+
+// Query time: Unix seconds or an ISO 8601 date/datetime, as epoch ms; null
+// when absent, NaN when malformed
+export function parseTime(raw) {
+  if (raw === undefined || raw === '') return null;
+  const str = String(raw);
+  if (/^\d{9,10}$/.test(str)) return parseInt(str, 10) * 1000;
+  if (!/^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(str)) return NaN;
+  return Date.parse(str);
+}
+
+// Range end: a bare date means through the end of that UTC day, not its midnight
+export function parseEndTime(raw) {
+  const t = parseTime(raw);
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(raw)) ? t + 86_400_000 - 1 : t;
+}
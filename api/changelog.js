@@ -1,15 +1,18 @@
 // Changelog API — serves CHANGELOG.md as plain text
 import { readFileSync } from 'fs';
 import { join } from 'path';
+import { withMiddleware, cors, methods, ApiError } from './_middleware.js';
 
-export default function handler(req, res) {
-  if (req.method !== 'GET') return res.status(405).end();
+async function handler(req, res) {
+  let content;
   try {
-    const content = readFileSync(join(process.cwd(), 'CHANGELOG.md'), 'utf8');
-    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
-    return res.status(200).send(content);
+    content = readFileSync(join(process.cwd(), 'CHANGELOG.md'), 'utf8');
   } catch (e) {
-    return res.status(404).json({ error: 'Changelog not found' });
+    throw new ApiError(404, 'NOT_FOUND', 'Changelog not found');
   }
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+  return res.status(200).send(content);
 }
+
+export default withMiddleware('Changelog API', [cors(), methods('GET')], handler);
@@ -0,0 +1,132 @@
+// Connection risk — will a traveler make their connection at a hub?
+// Usage: /api/connection-risk?inbound=DL123&outbound=DL456&hub=ATL
+// Inbound gate arrival and outbound gate departure come from flight-times
+// (actual, then estimated, then scheduled). Slack is the connection time left
+// over after the hub's minimum connect time (src/data/hubs.js), which is
+// longer when FlightAware reports the two flights at different terminals.
+// Both lookups count against the caller's flight-times limit on a cache miss.
+
+import { createRateLimiter } from './_rate-limit.js';
+import { getFlightTimes, querySchema as flightTimesQuery } from './flight-times.js';
+import { hubMinConnect } from '../src/data/hubs.js';
+import { withMiddleware, cors, methods, rateLimit, query, badRequest, ApiError } from './_middleware.js';
+
+const isRateLimited = createRateLimiter('connection-risk', 15);
+
+// Airports without a table entry
+export const DEFAULT_MIN_CONNECT = { sameTerminal: 45, terminalChange: 75 };
+// Less slack than this past the minimum connect time is a moderate risk
+export const RISK_BUFFER_MINUTES = 15;
+
+// First time that's set, with which kind it is
+function bestTime(times, kinds) {
+  for (const kind of kinds) {
+    if (times?.[kind]) return { time: Date.parse(times[kind]), source: kind };
+  }
+  return null;
+}
+
+/**
+ * Risk for an inbound → outbound connection at a hub.
+ * @param {object} inbound - flight-times response for the arriving flight
+ * @param {object} outbound - flight-times response for the departing flight
+ * @param {string} hub - IATA code
+ * @returns {{ risk: 'low'|'moderate'|'high'|'missed', reason: string|null, connectMinutes: number, minConnect: number, slack: number, terminalChange: boolean|null, arrival: object, departure: object }}
+ */
+export function assessConnection(inbound, outbound, hub) {
+  const arrival = bestTime(inbound.arrival?.gate, ['actual', 'estimated', 'scheduled']);
+  const departure = bestTime(outbound.departure?.gate, ['actual', 'estimated', 'scheduled']);
+  if (!arrival || !departure) return null;
+
+  const inTerminal = inbound.destination?.terminal || '';
+  const outTerminal = outbound.origin?.terminal || '';
+  const terminalChange = inTerminal && outTerminal ? inTerminal !== outTerminal : null;
+  const mct = hubMinConnect[hub.toLowerCase()] || DEFAULT_MIN_CONNECT;
+  const minConnect = terminalChange ? mct.terminalChange : mct.sameTerminal;
+
+  const connectMinutes = Math.round((departure.time - arrival.time) / 60000);
+  const slack = connectMinutes - minConnect;
+
+  let reason = null;
+  if (inbound.cancelled) reason = 'inbound-cancelled';
+  else if (inbound.diverted) reason = 'inbound-diverted';
+  else if (outbound.cancelled) reason = 'outbound-cancelled';
+  else if (connectMinutes < 0) reason = departure.source === 'actual' ? 'outbound-departed' : 'outbound-before-arrival';
+
+  const risk = reason ? 'missed' : slack < 0 ? 'high' : slack < RISK_BUFFER_MINUTES ? 'moderate' : 'low';
+  return { risk, reason, connectMinutes, minConnect, slack, terminalChange, arrival, departure };
+}
+
+// flight-times lookup that says which leg it couldn't find
+async function timesFor(flight, field, req, res) {
+  try {
+    return (await getFlightTimes(flight, req, res)).data;
+  } catch (e) {
+    if (e instanceof ApiError && e.status === 404) {
+      throw new ApiError(404, 'NOT_FOUND', `No flight data for ${field} ${flight.replace('DAL', 'DL')}`);
+    }
+    throw e;
+  }
+}
+
+export const querySchema = {
+  inbound: { ...flightTimesQuery.flight, description: 'Arriving Delta flight — DL123, DAL123 or 123' },
+  outbound: { ...flightTimesQuery.flight, description: 'Departing Delta flight — DL456, DAL456 or 456' },
+  hub: {
+    type: 'string',
+    description: 'Connecting airport IATA code',
+    required: true,
+    transform: s => s.toUpperCase(),
+    pattern: /^[A-Z]{3}$/,
+    message: 'Invalid hub code',
+  },
+};
+
+async function handler(req, res) {
+  const { hub } = req.params;
+  const [inbound, outbound] = await Promise.all([
+    timesFor(req.params.inbound, 'inbound', req, res),
+    timesFor(req.params.outbound, 'outbound', req, res),
+  ]);
+
+  // Only checked when the source knows the airport (the FR24 fallback may not)
+  if (inbound.destination?.iata && inbound.destination.iata !== hub) {
+    throw badRequest(`${inbound.flight} arrives at ${inbound.destination.iata}, not ${hub}`, { field: 'inbound', reason: 'route' });
+  }
+  if (outbound.origin?.iata && outbound.origin.iata !== hub) {
+    throw badRequest(`${outbound.flight} departs from ${outbound.origin.iata}, not ${hub}`, { field: 'outbound', reason: 'route' });
+  }
+
+  const result = assessConnection(inbound, outbound, hub);
+  if (!result) throw new ApiError(404, 'NOT_FOUND', 'No gate times for this connection');
+  const { arrival, departure, ...risk } = result;
+
+  res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=60');
+  return res.status(200).json({
+    hub,
+    ...risk,
+    inbound: {
+      flight: inbound.flight,
+      from: inbound.origin?.iata || '',
+      arrival: new Date(arrival.time).toISOString(),
+      arrivalSource: arrival.source,
+      terminal: inbound.destination?.terminal || '',
+      gate: inbound.destination?.gate || '',
+      status: inbound.status,
+    },
+    outbound: {
+      flight: outbound.flight,
+      to: outbound.destination?.iata || '',
+      departure: new Date(departure.time).toISOString(),
+      departureSource: departure.source,
+      terminal: outbound.origin?.terminal || '',
+      gate: outbound.origin?.gate || '',
+      status: outbound.status,
+    },
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+export default withMiddleware('Connection risk', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema),
+], handler);
@@ -0,0 +1,190 @@
+// Schedule events — cancellations, diversions, equipment swaps and delay jumps
+// Usage: /api/events?hub=ATL&type=cancelled,diverted&format=json|rss|atom
+// Events are recorded as schedule aggregations refresh (see _events.js); this
+// endpoint only reads them. /events.xml serves the RSS format.
+
+import { createRateLimiter } from './_rate-limit.js';
+import { SITE_URL } from './_config.js';
+import { EVENT_TYPES, getEventStore } from './_events.js';
+import { parseTime, parseEndTime } from './_time.js';
+import { hubOrder } from '../src/data/hubs.js';
+import { withMiddleware, cors, methods, rateLimit, query, badRequest, ApiError } from './_middleware.js';
+
+const isRateLimited = createRateLimiter('events', 30);
+
+const DEFAULT_RANGE_MS = 86_400_000;
+const MAX_RANGE_MS = 7 * 86_400_000;
+
+const FEED_TITLE = 'Widget Watch — Delta schedule events';
+const FEED_DESCRIPTION = 'Cancellations, diversions, equipment swaps and large delay increases at Delta hubs, as they show up in the schedule.';
+
+/** One-line description of an event, as used for feed titles. */
+export function eventTitle(e) {
+  const what = {
+    cancelled: 'cancelled',
+    diverted: 'diverted',
+    equipment: `equipment change ${e.details?.from} → ${e.details?.to}`,
+    delay: `now ${e.details?.to} min late (was ${e.details?.from})`,
+  }[e.type];
+  return `${e.flight} ${e.route} ${what}`;
+}
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+
+const hubLink = (hub) => hubOrder.includes(hub.toLowerCase()) ? `${SITE_URL}/hubs/${hub.toLowerCase()}` : SITE_URL;
+
+function describe(e) {
+  const when = e.scheduled.slice(0, 16).replace('T', ' ');
+  return `${eventTitle(e)}. Scheduled ${e.dir === 'arrivals' ? 'arrival at' : 'departure from'} ${e.hub} ${when} UTC.`;
+}
+
+/**
+ * RSS 2.0 document for a list of events (newest first).
+ * @param {object[]} events
+ * @param {string} self - Absolute URL of this feed
+ */
+export function toRss(events, self) {
+  const items = events.map(e => `    <item>
+      <title>${escapeXml(eventTitle(e))}</title>
+      <link>${escapeXml(hubLink(e.hub))}</link>
+      <guid isPermaLink="false">${escapeXml(e.id)}</guid>
+      <pubDate>${new Date(e.at).toUTCString()}</pubDate>
+      <category>${e.type}</category>
+      <description>${escapeXml(describe(e))}</description>
+    </item>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(FEED_TITLE)}</title>
+    <link>${SITE_URL}</link>
+    <description>${escapeXml(FEED_DESCRIPTION)}</description>
+    <language>en-us</language>
+    <atom:link href="${escapeXml(self)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date(events[0]?.at || Date.now()).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Atom 1.0 document for a list of events (newest first).
+ * @param {object[]} events
+ * @param {string} self - Absolute URL of this feed
+ */
+export function toAtom(events, self) {
+  const host = new URL(SITE_URL).hostname;
+  const entries = events.map(e => `  <entry>
+    <id>tag:${host},${e.at.slice(0, 10)}:events/${escapeXml(e.id)}</id>
+    <title>${escapeXml(eventTitle(e))}</title>
+    <updated>${e.at}</updated>
+    <link href="${escapeXml(hubLink(e.hub))}"/>
+    <category term="${e.type}"/>
+    <summary>${escapeXml(describe(e))}</summary>
+  </entry>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(FEED_TITLE)}</title>
+  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>
+  <id>${SITE_URL}/api/events</id>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(self)}"/>
+  <link href="${SITE_URL}"/>
+  <author><name>Widget Watch</name></author>
+  <updated>${events[0]?.at || new Date().toISOString()}</updated>
+${entries}
+</feed>
+`;
+}
+
+export const querySchema = {
+  hub: {
+    type: 'string',
+    description: 'Hub IATA code; omit for all hubs',
+    transform: s => s.toUpperCase(),
+    pattern: /^[A-Z]{3}$/,
+    message: 'Invalid hub code',
+  },
+  type: {
+    type: 'string',
+    description: 'Event types to include (default: all)',
+    array: { maxItems: EVENT_TYPES.length },
+    transform: s => s.toLowerCase(),
+    enum: EVENT_TYPES,
+    message: `type must be among ${EVENT_TYPES.join(', ')}`,
+  },
+  from: {
+    type: 'string',
+    format: 'date-time',
+    description: 'Range start, ISO 8601 or Unix seconds (default: 24 hours before to)',
+    parse: parseTime,
+    message: 'Invalid from/to — use ISO 8601 or Unix seconds',
+  },
+  to: {
+    type: 'string',
+    format: 'date-time',
+    description: 'Range end, ISO 8601 or Unix seconds; a date alone includes that whole day (default: now)',
+    parse: parseEndTime,
+    default: () => Date.now(),
+    message: 'Invalid from/to — use ISO 8601 or Unix seconds',
+  },
+  limit: {
+    type: 'integer',
+    description: 'Most recent events to return',
+    min: 1,
+    max: 500,
+    default: 100,
+    message: 'limit must be 1–500',
+  },
+  format: {
+    type: 'string',
+    enum: ['json', 'rss', 'atom'],
+    default: 'json',
+    message: 'format must be json, rss or atom',
+  },
+};
+
+function checkRange(params) {
+  const from = params.from ?? params.to - DEFAULT_RANGE_MS;
+  if (from > params.to || params.to - from > MAX_RANGE_MS) {
+    throw badRequest('Invalid range — from must precede to, max 7 days', { field: 'from', reason: 'range' });
+  }
+  return { ...params, from };
+}
+
+async function handler(req, res) {
+  const { hub, type, from, to, limit, format } = req.params;
+  let stored;
+  try {
+    stored = await getEventStore().list({ from, to });
+  } catch (e) {
+    console.error('Events read error:', e);
+    throw new ApiError(500, 'INTERNAL', 'Failed to read events');
+  }
+
+  // Instances can observe the same change; keep the first record of each
+  const byId = new Map();
+  for (const e of stored) {
+    if (hub && e.hub !== hub) continue;
+    if (type && !type.includes(e.type)) continue;
+    if (!byId.has(e.id)) byId.set(e.id, e);
+  }
+  const events = [...byId.values()].reverse().slice(0, limit);
+
+  res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=120');
+  if (format !== 'json') {
+    const search = new URLSearchParams({ format, ...(hub ? { hub } : {}), ...(type ? { type: type.join(',') } : {}) });
+    const self = `${SITE_URL}/api/events?${search}`;
+    res.setHeader('Content-Type', format === 'rss' ? 'application/rss+xml; charset=utf-8' : 'application/atom+xml; charset=utf-8');
+    return res.status(200).send(format === 'rss' ? toRss(events, self) : toAtom(events, self));
+  }
+  return res.status(200).json({
+    events: events.map(e => ({ ...e, title: eventTitle(e) })),
+    count: events.length,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+  });
+}
+
+export default withMiddleware('Events API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema, checkRange),
+], handler);
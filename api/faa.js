@@ -1,5 +1,6 @@
 import { XMLParser } from 'fast-xml-parser';
 import { createRateLimiter } from './_rate-limit.js';
+import { withMiddleware, cors, methods, rateLimit, upstreamTimeout } from './_middleware.js';
 
 const isRateLimited = createRateLimiter('faa', 60);
 
@@ -10,97 +11,79 @@ const parser = new XMLParser({
   trimValues: true,
 });
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
-
-  const origin = req.headers?.origin || '';
-  if (origin && origin !== 'https://widgetwatch.org' && !/^http:\/\/localhost(:\d+)?$/.test(origin)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+async function handler(req, res) {
+  const upstream = await fetch('https://nasstatus.faa.gov/api/airport-status-information', {
+    signal: req.signal
+  });
+  if (!upstream.ok) throw new Error(`FAA returned ${upstream.status}`);
+  const xml = await upstream.text();
 
-  if (isRateLimited(req)) {
-    return res.status(429).json({ error: 'Rate limited — try again shortly' });
+  if (!xml || !xml.trim()) {
+    res.setHeader('Cache-Control', 's-maxage=60');
+    return res.status(200).json([]);
   }
 
+  let parsed;
   try {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-    const upstream = await fetch('https://nasstatus.faa.gov/api/airport-status-information', {
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-    if (!upstream.ok) return res.status(502).json({ error: 'Upstream service unavailable' });
-    const xml = await upstream.text();
-
-    if (!xml || !xml.trim()) {
-      res.setHeader('Cache-Control', 's-maxage=60');
-      return res.status(200).json([]);
-    }
-
-    let parsed;
-    try {
-      parsed = parser.parse(xml);
-    } catch (parseErr) {
-      console.error('FAA XML parse error:', parseErr.message);
-      return res.status(200).json([]);
-    }
-
-    const delays = [];
+    parsed = parser.parse(xml);
+  } catch (parseErr) {
+    console.error('FAA XML parse error:', parseErr.message);
+    return res.status(200).json([]);
+  }
 
-    // Extract delay entries — structure varies, normalize to array
-    const delayEntries = toArray(
-      parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Ground_Delay?.Delay ||
-      parsed?.Delay_type?.Ground_Delay?.Delay
-    ).concat(toArray(
-      parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Ground_Stop?.Delay ||
-      parsed?.Delay_type?.Ground_Stop?.Delay
-    )).concat(toArray(
-      parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Arrival_Departure_Delay?.Delay ||
-      parsed?.Delay_type?.Arrival_Departure_Delay?.Delay
-    ));
+  const delays = [];
 
-    for (const entry of delayEntries) {
-      const arpt = String(entry?.ARPT || '').trim();
-      const reason = String(entry?.Reason || '').trim();
-      if (!arpt) continue;
-      delays.push({
-        airportCode: arpt,
-        type: 'delay',
-        reason,
-        delays: [{ reason }],
-      });
-    }
+  // Extract delay entries — structure varies, normalize to array
+  const delayEntries = toArray(
+    parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Ground_Delay?.Delay ||
+    parsed?.Delay_type?.Ground_Delay?.Delay
+  ).concat(toArray(
+    parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Ground_Stop?.Delay ||
+    parsed?.Delay_type?.Ground_Stop?.Delay
+  )).concat(toArray(
+    parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Arrival_Departure_Delay?.Delay ||
+    parsed?.Delay_type?.Arrival_Departure_Delay?.Delay
+  ));
 
-    // Extract closure entries
-    const closureEntries = toArray(
-      parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Airport_Closure?.Airport ||
-      parsed?.Delay_type?.Airport_Closure?.Airport
-    );
+  for (const entry of delayEntries) {
+    const arpt = String(entry?.ARPT || '').trim();
+    const reason = String(entry?.Reason || '').trim();
+    if (!arpt) continue;
+    delays.push({
+      airportCode: arpt,
+      type: 'delay',
+      reason,
+      delays: [{ reason }],
+    });
+  }
 
-    for (const entry of closureEntries) {
-      const arpt = String(entry?.ARPT || '').trim();
-      const reason = String(entry?.Reason || '').trim();
-      if (!arpt) continue;
-      delays.push({
-        airportCode: arpt,
-        type: 'closure',
-        reason,
-        delays: [{ reason: 'CLOSED: ' + reason.split(' ').slice(0, 8).join(' ') }],
-      });
-    }
+  // Extract closure entries
+  const closureEntries = toArray(
+    parsed?.AIRPORT_STATUS_INFORMATION?.Delay_type?.Airport_Closure?.Airport ||
+    parsed?.Delay_type?.Airport_Closure?.Airport
+  );
 
-    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
-    res.setHeader('Content-Type', 'application/json');
-    return res.status(200).json(delays);
-  } catch (e) {
-    console.error('FAA API error:', e);
-    if (e.name === 'AbortError') return res.status(504).json({ error: 'Upstream timeout' });
-    return res.status(502).json({ error: 'Upstream service unavailable' });
+  for (const entry of closureEntries) {
+    const arpt = String(entry?.ARPT || '').trim();
+    const reason = String(entry?.Reason || '').trim();
+    if (!arpt) continue;
+    delays.push({
+      airportCode: arpt,
+      type: 'closure',
+      reason,
+      delays: [{ reason: 'CLOSED: ' + reason.split(' ').slice(0, 8).join(' ') }],
+    });
   }
+
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+  res.setHeader('Content-Type', 'application/json');
+  return res.status(200).json(delays);
 }
 
+export default withMiddleware('FAA API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), upstreamTimeout(8000),
+], handler);
+
 // Normalize a value to an array (handles undefined, single object, or array)
 export function toArray(val) {
   if (!val) return [];
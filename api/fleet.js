@@ -1,4 +1,5 @@
 import { createRateLimiter } from './_rate-limit.js';
+import { withMiddleware, cors, methods, rateLimit, query, upstreamTimeout } from './_middleware.js';
 
 const isRateLimited = createRateLimiter('fleet', 60);
 
@@ -16,41 +17,28 @@ const ALLOWED_GIDS = new Set([
   '948315825',                 // MASTER FLEET
 ]);
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export const querySchema = {
+  // Numeric only, and one of the published fleet tabs
+  gid: {
+    type: 'string',
+    description: 'Fleet sheet tab (defaults to the master fleet list)',
+    pattern: /^\d{1,10}$/,
+    enum: ALLOWED_GIDS,
+    default: '948315825',
+    message: 'Invalid gid parameter',
+  },
+};
 
-  const origin = req.headers?.origin || '';
-  if (origin && origin !== 'https://widgetwatch.org' && !/^http:\/\/localhost(:\d+)?$/.test(origin)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-
-  if (isRateLimited(req)) {
-    return res.status(429).json({ error: 'Rate limited — try again shortly' });
-  }
-
-  try {
-    const gid = req.query.gid || '948315825';
-    // Validate gid: numeric only
-    if (!/^\d{1,10}$/.test(gid)) {
-      return res.status(400).json({ error: 'Invalid gid parameter' });
-    }
-    if (!ALLOWED_GIDS.has(gid)) {
-      return res.status(400).json({ error: 'Invalid gid parameter' });
-    }
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-    const upstream = await fetch(`https://docs.google.com/spreadsheets/d/e/${PUBLISHED_ID}/pub?output=csv&gid=${encodeURIComponent(gid)}`, { signal: controller.signal });
-    clearTimeout(timeout);
-    if (!upstream.ok) return res.status(502).send('Upstream service unavailable');
-    const csv = await upstream.text();
-    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=7200');
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    return res.status(200).send(csv);
-  } catch (e) {
-    console.error('Fleet API error:', e);
-    if (e.name === 'AbortError') return res.status(504).json({ error: 'Upstream timeout' });
-    return res.status(502).json({ error: 'Upstream service unavailable' });
-  }
+async function handler(req, res) {
+  const { gid } = req.params;
+  const upstream = await fetch(`https://docs.google.com/spreadsheets/d/e/${PUBLISHED_ID}/pub?output=csv&gid=${encodeURIComponent(gid)}`, { signal: req.signal });
+  if (!upstream.ok) throw new Error(`Google Sheets returned ${upstream.status}`);
+  const csv = await upstream.text();
+  res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=7200');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  return res.status(200).send(csv);
 }
+
+export default withMiddleware('Fleet API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema), upstreamTimeout(8000),
+], handler);
@@ -0,0 +1,205 @@
+// Flight history — every operated instance of a flight number over recent days
+// Usage: /api/flight-history?flight=DL838&days=7
+// One FR24 flight-summary call (the endpoint flight-times falls back to) over
+// the whole window. The light summary has runway times but no schedule, so
+// scheduled and gate departure come from the origin hub's departures board
+// when the schedule cache already holds that day (no extra upstream calls);
+// the delay is measured as IROPS measures it. Takeoff times would count
+// taxi-out, so without a board the delay stays unknown.
+
+import { createCache } from './_cache.js';
+import { createRateLimiter } from './_rate-limit.js';
+import { fr24Fetch, SUMMARY_PATH, enforceFr24Limits, flightParam, icaoToIata } from './_fr24.js';
+import { peekAggregatedSchedule } from './_schedule.js';
+import { CARRIERS, DEFAULT_AIRLINES } from './_carriers.js';
+import { HUB_TZ, localDate, localMidnight } from './_time.js';
+import { percentile, flightOutcome, DOT_ON_TIME_MINUTES } from './_otp.js';
+import { withMiddleware, cors, methods, query, ApiError } from './_middleware.js';
+
+const CACHE_TTL_MS = 600_000; // 10 minutes; past days don't change
+const cache = createCache('flight-history', { maxEntries: 200 });
+
+// Per IP; FR24 calls also count against the global FR24 cap (see _fr24.js)
+const isRateLimited = createRateLimiter('flight-history', 10);
+
+// Board carrier sets the schedule cache may hold: the default, then every carrier
+const BOARD_AIRLINES = [DEFAULT_AIRLINES, Object.keys(CARRIERS)];
+
+const toEpoch = (v) => (typeof v === 'number' ? v : v ? Date.parse(v) / 1000 || null : null);
+const iso = (ts) => (ts ? new Date(ts * 1000).toISOString() : null);
+
+/**
+ * One FR24 flight-summary entry as a history instance.
+ * @param {object} f - FR24 flight summary (light) entry
+ */
+export function toInstance(f) {
+  const takeoff = toEpoch(f.datetime_takeoff);
+  const landed = toEpoch(f.datetime_landed);
+  const schedDep = toEpoch(f.scheduled_departure || f.datetime_scheduled_departure);
+  const actualDep = toEpoch(f.datetime_departure || f.actual_departure);
+  const origin = icaoToIata(f.orig_icao);
+  const diverted = !!(f.dest_icao_actual && f.dest_icao && f.dest_icao !== f.dest_icao_actual);
+  const start = takeoff || toEpoch(f.first_seen);
+  return {
+    // Departure date at the origin when it's a hub, else UTC
+    date: start ? (HUB_TZ[origin] ? localDate(start, HUB_TZ[origin]) : iso(start).slice(0, 10)) : null,
+    fr24Id: f.fr24_id || null,
+    origin,
+    destination: icaoToIata(f.dest_icao),
+    divertedTo: diverted ? icaoToIata(f.dest_icao_actual) : null,
+    registration: f.reg || f.registration || null,
+    type: f.type || null,
+    scheduledDeparture: iso(schedDep),
+    actualDeparture: iso(actualDep),
+    takeoff: iso(takeoff),
+    landed: iso(landed),
+    delayMin: schedDep && actualDep ? Math.max(0, Math.round((actualDep - schedDep) / 60)) : null,
+    flightMinutes: takeoff && landed ? Math.round((landed - takeoff) / 60) : null,
+    status: !f.flight_ended ? 'en-route' : diverted ? 'diverted' : 'landed',
+  };
+}
+
+/**
+ * The origin departures-board entry for an instance: same flight number and
+ * scheduled destination, latest scheduled departure at or before takeoff.
+ * @param {object[]} flights - FR24 schedule flights from the origin board
+ * @param {string} flight - Flight number as on the board (DL838)
+ * @param {object} instance - From toInstance
+ */
+export function findScheduled(flights, flight, instance) {
+  const takeoff = instance.takeoff ? Date.parse(instance.takeoff) / 1000 : Infinity;
+  let best = null;
+  for (const fl of flights) {
+    if (fl.identification?.number?.default !== flight) continue;
+    const dest = fl.airport?.destination?.code?.iata;
+    if (dest && instance.destination && dest !== instance.destination) continue;
+    const t = fl.time?.scheduled?.departure;
+    if (t && t <= takeoff && !(best && best.time.scheduled.departure >= t)) best = fl;
+  }
+  return best;
+}
+
+/**
+ * An instance with scheduled and gate departure, and the delay, from its
+ * board entry. Instances FR24 already gave a delay for are left alone.
+ * @param {object} instance - From toInstance
+ * @param {object|null} fl - From findScheduled
+ */
+export function withScheduledTimes(instance, fl) {
+  if (!fl || instance.delayMin !== null) return instance;
+  return {
+    ...instance,
+    scheduledDeparture: iso(fl.time?.scheduled?.departure),
+    actualDeparture: iso(fl.time?.real?.departure) ?? instance.actualDeparture,
+    delayMin: flightOutcome(fl, 'departures').delayMin,
+  };
+}
+
+// Departures on a hub's cached boards for one operating day
+async function cachedBoard(hub, date) {
+  const ts = localMidnight(date, HUB_TZ[hub]);
+  const flights = [];
+  for (const airlines of BOARD_AIRLINES) {
+    const agg = await peekAggregatedSchedule(hub, 'departures', ts, airlines);
+    if (agg) flights.push(...agg.flights);
+  }
+  return flights;
+}
+
+async function addScheduledTimes(instances, flight) {
+  const boards = new Map();
+  return Promise.all(instances.map(async (i) => {
+    if (i.delayMin !== null || !i.date || !HUB_TZ[i.origin]) return i;
+    const key = `${i.origin}:${i.date}`;
+    if (!boards.has(key)) boards.set(key, cachedBoard(i.origin, i.date));
+    return withScheduledTimes(i, findScheduled(await boards.get(key), flight, i));
+  }));
+}
+
+/** Reliability over a flight's instances. */
+export function summarizeHistory(instances) {
+  const delays = instances.map(i => i.delayMin).filter(d => d !== null).sort((a, b) => a - b);
+  const durations = instances.map(i => i.flightMinutes).filter(d => d !== null).sort((a, b) => a - b);
+  return {
+    operated: instances.length,
+    completed: instances.filter(i => i.status === 'landed').length,
+    diverted: instances.filter(i => i.status === 'diverted').length,
+    delayKnown: delays.length,
+    otp14: delays.length ? Math.round((delays.filter(d => d <= DOT_ON_TIME_MINUTES).length / delays.length) * 1000) / 1000 : null,
+    medianDelay: percentile(delays, 50),
+    medianFlightMinutes: percentile(durations, 50),
+  };
+}
+
+export const querySchema = {
+  flight: flightParam,
+  days: {
+    type: 'integer',
+    description: 'Days back from now to search',
+    min: 1,
+    max: 14,
+    default: 7,
+    message: 'days must be 1–14',
+  },
+};
+
+async function handler(req, res) {
+  if (!process.env.FR24_API_TOKEN) {
+    console.error('FR24_API_TOKEN not configured');
+    throw new ApiError(500, 'NOT_CONFIGURED', 'FR24 API not configured');
+  }
+
+  const { flight, days } = req.params;
+  const cacheKey = `${flight}:${days}`;
+  const cached = await cache.get(cacheKey);
+  if (cached && !cached.stale) {
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=300');
+    return res.status(200).json({ ...cached.data, cached: true });
+  }
+
+  // Rate limit (cache hits are free)
+  await enforceFr24Limits(isRateLimited, req, res, 'Rate limited — max 10 requests/minute');
+
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 86_400_000);
+  let data;
+  try {
+    const resp = await fr24Fetch(SUMMARY_PATH, {
+      flights: flight,
+      flight_datetime_from: from.toISOString(),
+      flight_datetime_to: to.toISOString(),
+    });
+    if (!resp.ok) {
+      await resp.text().catch(() => '');
+      throw new Error(`FR24 summary returned ${resp.status}`);
+    }
+    data = await resp.json();
+  } catch (e) {
+    console.error('FR24 flight history error:', e);
+    if (e.name === 'AbortError') throw new ApiError(504, 'UPSTREAM_TIMEOUT', 'FR24 API timeout');
+    throw new ApiError(502, 'UPSTREAM_UNAVAILABLE', 'FR24 API unavailable');
+  }
+
+  const instances = (await addScheduledTimes((data?.data || []).map(toInstance), flight))
+    .sort((a, b) => (b.takeoff || '').localeCompare(a.takeoff || ''));
+  if (!instances.length) throw new ApiError(404, 'NOT_FOUND', `No flights found for ${flight} in the last ${days} days`);
+
+  const result = {
+    flight,
+    days,
+    from: from.toISOString(),
+    to: to.toISOString(),
+    summary: summarizeHistory(instances),
+    instances,
+    source: 'fr24-official-summary',
+    cached: false,
+    generatedAt: to.toISOString(),
+  };
+  await cache.set(cacheKey, result, CACHE_TTL_MS);
+  res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=300');
+  return res.status(200).json(result);
+}
+
+export default withMiddleware('Flight history', [
+  cors(), methods('GET'), query(querySchema),
+], handler);
@@ -2,59 +2,16 @@
 // Usage: /api/flight-times?flight=DL2221
 // Returns scheduled, estimated, and actual gate/takeoff/landing times
 
-const CACHE_TTL_MS = 120_000; // 2 minutes
-const cache = new Map();
+import { createCache } from './_cache.js';
+import { createRateLimiter } from './_rate-limit.js';
+import { icaoToIata } from './_fr24.js';
+import { withMiddleware, cors, methods, query, enforceRateLimit, ApiError } from './_middleware.js';
 
-function getCached(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > CACHE_TTL_MS) { cache.delete(key); return null; }
-  return entry.data;
-}
-function setCache(key, data) {
-  if (cache.size > 200) { const oldest = cache.keys().next().value; cache.delete(oldest); }
-  cache.set(key, { data, ts: Date.now() });
-}
+const CACHE_TTL_MS = 120_000; // 2 minutes
+const cache = createCache('flight-times', { maxEntries: 200 });
 
 // Rate limiting: 15 req/min per IP
-const rateLimitByIp = new Map();
-function getClientIp(req) {
-  // Prefer x-real-ip (set by Vercel edge, not spoofable) over x-forwarded-for
-  const realIp = req.headers?.['x-real-ip'];
-  if (realIp) return realIp;
-  const xff = req.headers?.['x-forwarded-for'];
-  const raw = Array.isArray(xff) ? xff[0] : (typeof xff === 'string' ? xff : '');
-  return raw.split(',')[0]?.trim() || 'unknown';
-}
-let lastRateLimitCleanup = Date.now();
-function isRateLimited(req) {
-  const now = Date.now();
-  const ip = getClientIp(req);
-  if (!rateLimitByIp.has(ip)) rateLimitByIp.set(ip, []);
-  const ipLog = rateLimitByIp.get(ip);
-  while (ipLog.length && ipLog[0] < now - 60_000) ipLog.shift();
-  if (ipLog.length >= 15) return true;
-  ipLog.push(now);
-  // Evict stale IPs every 5 minutes
-  if (now - lastRateLimitCleanup > 300_000) {
-    lastRateLimitCleanup = now;
-    for (const [k, v] of rateLimitByIp) {
-      while (v.length && v[0] < now - 60_000) v.shift();
-      if (!v.length) rateLimitByIp.delete(k);
-    }
-  }
-  return false;
-}
-
-function corsHeaders(req) {
-  const origin = req.headers?.origin || '';
-  const allowed = origin === 'https://widgetwatch.org' || /^http:\/\/localhost(:\d+)?$/.test(origin);
-  return {
-    'Access-Control-Allow-Origin': allowed ? origin : 'https://widgetwatch.org',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-}
+const isRateLimited = createRateLimiter('flight-times', 15);
 
 export function normalizeFlightNumber(raw) {
   const str = Array.isArray(raw) ? raw[0] : (raw || '');
@@ -69,9 +26,11 @@ export function epochToISO(epoch) {
   return new Date(epoch * 1000).toISOString();
 }
 
-async function tryFR24Summary(req, res, flight, cacheKey) {
+const noFlightData = () => new ApiError(404, 'NOT_FOUND', 'No flight data available');
+
+async function tryFR24Summary(flight) {
   if (!process.env.FR24_API_TOKEN) {
-    return res.status(404).json({ success: false, error: 'No flight data available' });
+    throw noFlightData();
   }
   try {
     // Convert DAL2221 -> DL2221 for FR24
@@ -94,14 +53,14 @@ async function tryFR24Summary(req, res, flight, cacheKey) {
     );
     clearTimeout(timeout);
     if (!resp.ok) {
-      return res.status(404).json({ success: false, error: 'No flight data available' });
+      throw noFlightData();
     }
     const data = await resp.json();
     const flights = data?.data || [];
     // Find the active/most recent flight
     const f = flights.find(fl => !fl.flight_ended) || flights[0];
     if (!f) {
-      return res.status(404).json({ success: false, error: 'No flight data available' });
+      throw noFlightData();
     }
     const result = {
       success: true,
@@ -139,49 +98,27 @@ async function tryFR24Summary(req, res, flight, cacheKey) {
       source: 'fr24-summary',
       cached: false,
     };
-    // Map ICAO to IATA for origin/dest (strip leading K for US airports, else use ICAO as-is)
-    function icaoToIata(icao) {
-      if (!icao) return '';
-      if (icao.length === 4 && icao.startsWith('K')) return icao.slice(1);
-      // Common international mappings
-      const map = { RJAA: 'NRT', RJTT: 'HND', PGUM: 'GUM', EGLL: 'LHR', LFPG: 'CDG', EDDF: 'FRA', RCKH: 'KHH', VHHH: 'HKG', WSSS: 'SIN', NZAA: 'AKL', YSSY: 'SYD', LEMD: 'MAD', EHAM: 'AMS', OMDB: 'DXB', ZBAA: 'PEK' };
-      return map[icao] || icao;
-    }
     if (f.orig_icao) result.origin.iata = icaoToIata(f.orig_icao);
     if (f.dest_icao_actual || f.dest_icao) result.destination.iata = icaoToIata(f.dest_icao_actual || f.dest_icao);
-    setCache(cacheKey, result);
-    res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=300');
-    return res.status(200).json(result);
+    return result;
   } catch (e) {
-    return res.status(404).json({ success: false, error: 'No flight data available' });
+    throw noFlightData();
   }
 }
 
-export default async function handler(req, res) {
-  const cors = corsHeaders(req);
-  for (const [k, v] of Object.entries(cors)) res.setHeader(k, v);
-  if (req.method === 'OPTIONS') return res.status(204).end();
-  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
-
-  const rawFlight = req.query.flight;
-  if (!rawFlight) return res.status(400).json({ success: false, error: 'Missing flight parameter' });
-
-  const flight = normalizeFlightNumber(rawFlight);
-  if (!/^DAL\d{1,4}[A-Z]?$/i.test(flight)) {
-    return res.status(400).json({ success: false, error: 'Invalid flight number' });
-  }
-
-  const cacheKey = `fa:${flight}`;
-  const cached = getCached(cacheKey);
-  if (cached) {
-    res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=300');
-    return res.status(200).json({ ...cached, cached: true });
-  }
-
-  if (isRateLimited(req)) {
-    return res.status(429).json({ success: false, error: 'Rate limited' });
-  }
+export const querySchema = {
+  flight: {
+    type: 'string',
+    description: 'Delta flight number — DL2221, DAL2221 or 2221',
+    required: true,
+    transform: normalizeFlightNumber,
+    pattern: /^DAL\d{1,4}[A-Z]?$/,
+    message: 'Invalid flight number',
+  },
+};
 
+// FlightAware first, FR24 flight summary when it fails or is blocked
+async function fetchFlightTimes(flight) {
   try {
     const controller = new AbortController();
     const timeout = setTimeout(() => controller.abort(), 10000);
@@ -196,7 +133,7 @@ export default async function handler(req, res) {
     clearTimeout(timeout);
 
     if (!resp.ok) {
-      return await tryFR24Summary(req, res, flight, cacheKey);
+      return await tryFR24Summary(flight);
     }
 
     const html = await resp.text();
@@ -205,14 +142,14 @@ export default async function handler(req, res) {
     const match = html.match(/trackpollBootstrap\s*=\s*(\{.+?\});\s*(?:var|<\/script)/s);
     if (!match) {
       // FlightAware blocked — try FR24 summary as fallback
-      return await tryFR24Summary(req, res, flight, cacheKey);
+      return await tryFR24Summary(flight);
     }
 
     let bootstrap;
     try {
       bootstrap = JSON.parse(match[1]);
     } catch (e) {
-      return await tryFR24Summary(req, res, flight, cacheKey);
+      return await tryFR24Summary(flight);
     }
 
     // Find the most recent/active flight
@@ -234,7 +171,7 @@ export default async function handler(req, res) {
     }
 
     if (!bestFlight) {
-      return await tryFR24Summary(req, res, flight, cacheKey);
+      return await tryFR24Summary(flight);
     }
 
     const f = bestFlight;
@@ -286,12 +223,45 @@ export default async function handler(req, res) {
       source: 'flightaware',
       cached: false,
     };
-
-    setCache(cacheKey, result);
-    res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=300');
-    return res.status(200).json(result);
+    return result;
   } catch (e) {
+    // The FR24 fallback already ran and had nothing
+    if (e instanceof ApiError) throw e;
     console.error('FlightAware scrape error:', e);
-    return await tryFR24Summary(req, res, flight, cacheKey);
+    return await tryFR24Summary(flight);
   }
 }
+
+// Fetch and cache for 2 minutes
+async function refreshFlightTimes(flight) {
+  const result = await fetchFlightTimes(flight);
+  await cache.set(`fa:${flight}`, result, CACHE_TTL_MS);
+  return result;
+}
+
+/**
+ * Times for a flight from the shared cache, fetching on a miss.
+ * @param {string} flight - Normalized (see normalizeFlightNumber), e.g. DAL2221
+ * @param {object} [req] - Caller's request: a miss is charged to that client's
+ *   flight-times limit, so every endpoint draws on one FlightAware budget
+ * @param {object} [res] - Gets the rate limit headers
+ * @returns {Promise<{ data: object, cached: boolean }>} data as served by this endpoint
+ * @throws {ApiError} 404 when neither source has the flight, 429 when req is over the limit
+ */
+export async function getFlightTimes(flight, req, res) {
+  const cached = await cache.get(`fa:${flight}`);
+  if (cached && !cached.stale) return { data: cached.data, cached: true };
+  // Cache hits don't count against the limit
+  if (req) await enforceRateLimit(isRateLimited, req, res, 'Rate limited');
+  return { data: await refreshFlightTimes(flight), cached: false };
+}
+
+async function handler(req, res) {
+  const { data, cached } = await getFlightTimes(req.params.flight, req, res);
+  res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=300');
+  return res.status(200).json(cached ? { ...data, cached: true } : data);
+}
+
+export default withMiddleware('Flight times', [
+  cors(), methods('GET'), query(querySchema),
+], handler);
@@ -0,0 +1,134 @@
+// FR24 feed stream — Server-Sent Events with live position deltas
+// Usage: new EventSource('/api/fr24-feed/stream?airline=DAL')
+//
+// Events (data is JSON, keyed by FR24 flight id; values are raw feed arrays, or
+// normalized flights with format=normalized — see _feed.js):
+//   snapshot  { flights: { [id]: flight }, full_count }  — first event of a fresh connection
+//   delta     { added: { [id]: flight }, moved: { [id]: flight }, removed: [id] }
+// Each event id is the feed frame's fetch time. A reconnecting EventSource sends
+// it back as Last-Event-ID and gets a delta from that frame instead of a new
+// snapshot while the frame is still cached.
+//
+// The stream ends after STREAM_DURATION (function time limit); EventSource
+// reconnects on its own.
+
+import { createRateLimiter } from '../_rate-limit.js';
+import { createCache } from '../_cache.js';
+import { withMiddleware, cors, methods, rateLimit, query } from '../_middleware.js';
+import { querySchema } from '../fr24-feed.js';
+import { getFeed, FEED_TTL, feedFlights, normalizeFlights } from '../_feed.js';
+
+export { querySchema };
+
+// Counts connections, not events — EventSource reconnects about every 4.5 minutes
+const isRateLimited = createRateLimiter('fr24-feed-stream', 20);
+
+const frames = createCache('fr24-feed-frames', { maxEntries: 40 });
+const FRAME_TTL = 10 * 60 * 1000; // how long a reconnect can resume with a delta
+const POLL_INTERVAL = FEED_TTL;
+const STREAM_DURATION = 270_000; // under maxDuration (300s) in vercel.json
+const RETRY_MS = 2000;
+
+/**
+ * Changes between two flight maps. Any changed field counts as "moved" —
+ * position, altitude, speed and squawk all arrive in the same array.
+ * @returns {{ added: object, moved: object, removed: string[] }}
+ */
+export function diffFeed(prev, next) {
+  const added = {};
+  const moved = {};
+  const removed = [];
+  for (const [id, arr] of Object.entries(next)) {
+    const old = prev[id];
+    if (!old) added[id] = arr;
+    else if (old.length !== arr.length || old.some((v, i) => v !== arr[i])) moved[id] = arr;
+  }
+  for (const id of Object.keys(prev)) {
+    if (!(id in next)) removed.push(id);
+  }
+  return { added, moved, removed };
+}
+
+const isEmptyDiff = (d) => !d.removed.length && !Object.keys(d.added).length && !Object.keys(d.moved).length;
+
+// Deltas are computed on the raw arrays; normalizing only touches what is sent
+function formatDelta(delta, format) {
+  if (format !== 'normalized') return delta;
+  return { added: normalizeFlights(delta.added), moved: normalizeFlights(delta.moved), removed: delta.removed };
+}
+
+function sendEvent(res, event, id, data) {
+  res.write(`event: ${event}\nid: ${id}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function loadFrame(airline) {
+  const { feed, fetchedAt } = await getFeed(airline, { signal: AbortSignal.timeout(15000) });
+  const id = String(fetchedAt);
+  const flights = feedFlights(feed);
+  // Kept so reconnecting clients can resume from this frame
+  await frames.wrap(`${airline}:${id}`, async () => flights, { ttl: FRAME_TTL });
+  return { id, flights, fullCount: feed.full_count };
+}
+
+async function handler(req, res) {
+  const { airline, format } = req.params;
+
+  // First frame before any headers go out: an upstream failure is still a JSON error
+  let frame = await loadFrame(airline);
+  const lastId = req.headers?.['last-event-id'];
+  const base = lastId && /^\d+$/.test(lastId) ? await frames.get(`${airline}:${lastId}`) : null;
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let closed = false;
+  let wake = null;
+  req.on?.('close', () => { closed = true; wake?.(); });
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+  if (base) {
+    sendEvent(res, 'delta', frame.id, formatDelta(diffFeed(base.data, frame.flights), format));
+  } else {
+    const flights = format === 'normalized' ? normalizeFlights(frame.flights) : frame.flights;
+    sendEvent(res, 'snapshot', frame.id, { flights, full_count: frame.fullCount });
+  }
+
+  const endAt = Date.now() + STREAM_DURATION;
+  // Wake just after the shared feed entry expires so the next read is a new frame
+  let nextAt = Number(frame.id) + POLL_INTERVAL + 250;
+  while (!closed && Date.now() < endAt) {
+    const wait = Math.max(1000, nextAt - Date.now());
+    await new Promise(resolve => {
+      const timer = setTimeout(resolve, Math.min(wait, endAt - Date.now()));
+      wake = () => { clearTimeout(timer); resolve(); };
+    });
+    if (closed || Date.now() >= endAt) break;
+
+    let next;
+    try {
+      next = await loadFrame(airline);
+    } catch (e) {
+      // Keep the connection; retry after a full interval
+      console.error('FR24 stream refresh failed:', e.message);
+      res.write(': upstream unavailable\n\n');
+      nextAt = Date.now() + POLL_INTERVAL;
+      continue;
+    }
+    nextAt = Number(next.id) + POLL_INTERVAL + 250;
+    if (next.id === frame.id) { res.write(': keepalive\n\n'); continue; }
+
+    const delta = diffFeed(frame.flights, next.flights);
+    if (isEmptyDiff(delta)) res.write(': keepalive\n\n');
+    else sendEvent(res, 'delta', next.id, formatDelta(delta, format));
+    frame = next;
+  }
+  res.end();
+}
+
+export default withMiddleware('FR24 feed stream', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema),
+], handler);
@@ -5,102 +5,17 @@
 //   Live positions: GET /api/live/flight-positions/full?flights={iata}
 //   Flight summary: GET /api/flight-summary/light?flights={iata}
 
-const FR24_BASE = 'https://fr24api.flightradar24.com';
-const LIVE_PATH = '/api/live/flight-positions/full';
-const SUMMARY_PATH = '/api/flight-summary/light';
-const API_VERSION = 'v1';
-const CACHE_TTL_MS = 60_000;
-
-// Simple in-memory cache
-const cache = new Map();
-function getCached(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() - entry.ts > CACHE_TTL_MS) { cache.delete(key); return null; }
-  return entry.data;
-}
-function setCache(key, data) {
-  // Evict if cache too large
-  if (cache.size > 200) {
-    const oldest = cache.keys().next().value;
-    cache.delete(oldest);
-  }
-  cache.set(key, { data, ts: Date.now() });
-}
-
-// Rate limiting: 10 req/min per IP, 60 req/min global
-const rateLimitByIp = new Map();
-const globalLog = [];
-const MAX_PER_IP = 10;
-const MAX_GLOBAL = 60;
-let lastCleanup = Date.now();
-function getClientIp(req) {
-  const xff = req.headers?.['x-forwarded-for'];
-  const raw = Array.isArray(xff) ? xff[0] : (typeof xff === 'string' ? xff : '');
-  return raw.split(',')[0]?.trim() || req.headers?.['x-real-ip'] || 'unknown';
-}
-function isRateLimited(req) {
-  const now = Date.now();
-  const ip = getClientIp(req);
-  // Global limit
-  while (globalLog.length && globalLog[0] < now - 60_000) globalLog.shift();
-  if (globalLog.length >= MAX_GLOBAL) return true;
-  // Per-IP limit
-  if (!rateLimitByIp.has(ip)) rateLimitByIp.set(ip, []);
-  const ipLog = rateLimitByIp.get(ip);
-  while (ipLog.length && ipLog[0] < now - 60_000) ipLog.shift();
-  if (ipLog.length >= MAX_PER_IP) return true;
-  globalLog.push(now);
-  ipLog.push(now);
-  // Periodic cleanup: evict stale IPs every 5 minutes
-  if (now - lastCleanup > 300_000) {
-    lastCleanup = now;
-    for (const [k, v] of rateLimitByIp) {
-      while (v.length && v[0] < now - 60_000) v.shift();
-      if (!v.length) rateLimitByIp.delete(k);
-    }
-  }
-  return false;
-}
-
-function corsHeaders(req) {
-  const origin = req.headers?.origin || '';
-  const allowed = origin === 'https://widgetwatch.org' || /^http:\/\/localhost(:\d+)?$/.test(origin);
-  return {
-    'Access-Control-Allow-Origin': allowed ? origin : 'https://widgetwatch.org',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
-}
-
-export function normalizeFlightNumber(raw) {
-  let q = (raw || '').trim().toUpperCase().replace(/\s+/g, '');
-  // "DAL838" → "DL838"
-  if (q.startsWith('DAL') && /^\d/.test(q.slice(3))) q = 'DL' + q.slice(3);
-  // Bare number "838" → "DL838"
-  if (/^\d{1,4}$/.test(q)) q = 'DL' + q;
-  return q;
-}
+import { createCache } from './_cache.js';
+import { createRateLimiter } from './_rate-limit.js';
+import { LIVE_PATH, SUMMARY_PATH, fr24Fetch, flightParam, enforceFr24Limits } from './_fr24.js';
+import { withMiddleware, cors, methods, query, ApiError } from './_middleware.js';
 
-async function fr24Fetch(path, params) {
-  const url = new URL(FR24_BASE + path);
-  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+const CACHE_TTL_MS = 60_000;
 
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000);
+const cache = createCache('fr24-flight', { maxEntries: 200 });
 
-  const resp = await fetch(url.toString(), {
-    signal: controller.signal,
-    headers: {
-      'Authorization': `Bearer ${process.env.FR24_API_TOKEN}`,
-      'Accept': 'application/json',
-      'Accept-Version': API_VERSION,
-      'User-Agent': 'WidgetWatchDashboard/1.0 (https://widgetwatch.org)',
-    },
-  });
-  clearTimeout(timeout);
-  return resp;
-}
+// Rate limiting: 10 req/min per IP, plus the global FR24 quota (see _fr24.js)
+const isRateLimited = createRateLimiter('fr24-flight', 10);
 
 export function normalizeLiveResponse(data, flightNumber) {
   // FR24 live positions return { data: [ { ... } ] }
@@ -185,106 +100,108 @@ export function normalizeSummaryResponse(data, flightNumber) {
   };
 }
 
-export default async function handler(req, res) {
-  const cors = corsHeaders(req);
-  for (const [k, v] of Object.entries(cors)) res.setHeader(k, v);
+// Live position first, then flight summary to fill in times
+async function lookupFlight(flight) {
+  let flightData = null;
+  let source = 'live';
+
+  // 1. Try live positions first
+  const liveResp = await fr24Fetch(LIVE_PATH, { flights: flight });
+  if (liveResp.ok) {
+    const liveData = await liveResp.json();
+    console.log(`FR24 live response for ${flight}: status=${liveResp.status}, entries=${liveData?.data?.length || 0}`);
+    flightData = normalizeLiveResponse(liveData, flight);
+  } else {
+    await liveResp.text().catch(() => '');
+    console.error(`FR24 live error for ${flight}: status=${liveResp.status}`);
+  }
 
-  if (req.method === 'OPTIONS') return res.status(204).end();
-  if (req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
+  // 2. Also try flight summary for departure/arrival times (live endpoint often lacks them)
+  const liveHasTimes = flightData && (flightData.departure?.scheduled || flightData.departure?.actual || flightData.arrival?.scheduled);
+  if (!flightData || !liveHasTimes) {
+    const now = new Date();
+    const from = new Date(now.getTime() - 24 * 60 * 60 * 1000); // 24h ago
+    const to = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24h ahead
+    const summaryResp = await fr24Fetch(SUMMARY_PATH, {
+      flights: flight,
+      flight_datetime_from: from.toISOString(),
+      flight_datetime_to: to.toISOString(),
+    });
+    if (summaryResp.ok) {
+      const summaryData = await summaryResp.json();
+      console.log(`FR24 summary response for ${flight}: status=${summaryResp.status}, entries=${summaryData?.data?.length || 0}`);
+      const summaryFlight = normalizeSummaryResponse(summaryData, flight);
+      if (flightData && summaryFlight) {
+        // Merge: keep live position data, fill in times from summary
+        source = 'live+summary';
+        if (!flightData.departure.scheduled && summaryFlight.departure.scheduled) flightData.departure.scheduled = summaryFlight.departure.scheduled;
+        if (!flightData.departure.actual && summaryFlight.departure.actual) flightData.departure.actual = summaryFlight.departure.actual;
+        if (!flightData.arrival.scheduled && summaryFlight.arrival.scheduled) flightData.arrival.scheduled = summaryFlight.arrival.scheduled;
+        if (!flightData.arrival.estimated && summaryFlight.arrival.estimated) flightData.arrival.estimated = summaryFlight.arrival.estimated;
+      } else if (!flightData && summaryFlight) {
+        source = 'summary';
+        flightData = summaryFlight;
+      }
+    } else {
+      await summaryResp.text().catch(() => '');
+      console.error(`FR24 summary error for ${flight}: status=${summaryResp.status}`);
+    }
+  }
 
+  return { flightData, source };
+}
+
+export const querySchema = {
+  flight: flightParam,
+};
+
+async function handler(req, res) {
   if (!process.env.FR24_API_TOKEN) {
     console.error('FR24_API_TOKEN not configured');
-    return res.status(500).json({ success: false, error: 'FR24 API not configured' });
+    throw new ApiError(500, 'NOT_CONFIGURED', 'FR24 API not configured');
   }
 
-  const rawFlight = req.query.flight;
-  if (!rawFlight) return res.status(400).json({ success: false, error: 'Missing flight parameter' });
-
-  const flight = normalizeFlightNumber(rawFlight);
-  if (!/^[A-Z]{1,3}\d{1,4}[A-Z]?$/i.test(flight)) {
-    return res.status(400).json({ success: false, error: 'Invalid flight number format' });
-  }
+  const { flight } = req.params;
 
   // Check cache
   const cacheKey = `fr24:${flight}`;
-  const cached = getCached(cacheKey);
-  if (cached) {
+  const cached = await cache.get(cacheKey);
+  if (cached && !cached.stale) {
     res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=120');
-    return res.status(200).json({ ...cached, cached: true });
+    return res.status(200).json({ ...cached.data, cached: true });
   }
 
-  // Rate limit
-  if (isRateLimited(req)) {
-    return res.status(429).json({ success: false, error: 'Rate limited — max 10 requests/minute' });
-  }
+  // Rate limit (cache hits are free)
+  await enforceFr24Limits(isRateLimited, req, res, 'Rate limited — max 10 requests/minute');
 
+  let lookup;
   try {
-    // 1. Try live positions first
-    let flightData = null;
-    let source = 'live';
-
-    const liveResp = await fr24Fetch(LIVE_PATH, { flights: flight });
-    if (liveResp.ok) {
-      const liveData = await liveResp.json();
-      console.log(`FR24 live response for ${flight}: status=${liveResp.status}, entries=${liveData?.data?.length || 0}`);
-      flightData = normalizeLiveResponse(liveData, flight);
-    } else {
-      await liveResp.text().catch(() => '');
-      console.error(`FR24 live error for ${flight}: status=${liveResp.status}`);
-    }
-
-    // 2. Also try flight summary for departure/arrival times (live endpoint often lacks them)
-    const liveHasTimes = flightData && (flightData.departure?.scheduled || flightData.departure?.actual || flightData.arrival?.scheduled);
-    if (!flightData || !liveHasTimes) {
-      const now = new Date();
-      const from = new Date(now.getTime() - 24 * 60 * 60 * 1000); // 24h ago
-      const to = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24h ahead
-      const summaryResp = await fr24Fetch(SUMMARY_PATH, {
-        flights: flight,
-        flight_datetime_from: from.toISOString(),
-        flight_datetime_to: to.toISOString(),
-      });
-      if (summaryResp.ok) {
-        const summaryData = await summaryResp.json();
-        console.log(`FR24 summary response for ${flight}: status=${summaryResp.status}, entries=${summaryData?.data?.length || 0}`);
-        const summaryFlight = normalizeSummaryResponse(summaryData, flight);
-        if (flightData && summaryFlight) {
-          // Merge: keep live position data, fill in times from summary
-          source = 'live+summary';
-          if (!flightData.departure.scheduled && summaryFlight.departure.scheduled) flightData.departure.scheduled = summaryFlight.departure.scheduled;
-          if (!flightData.departure.actual && summaryFlight.departure.actual) flightData.departure.actual = summaryFlight.departure.actual;
-          if (!flightData.arrival.scheduled && summaryFlight.arrival.scheduled) flightData.arrival.scheduled = summaryFlight.arrival.scheduled;
-          if (!flightData.arrival.estimated && summaryFlight.arrival.estimated) flightData.arrival.estimated = summaryFlight.arrival.estimated;
-        } else if (!flightData && summaryFlight) {
-          source = 'summary';
-          flightData = summaryFlight;
-        }
-      } else {
-        await summaryResp.text().catch(() => '');
-        console.error(`FR24 summary error for ${flight}: status=${summaryResp.status}`);
-      }
-    }
+    lookup = await lookupFlight(flight);
+  } catch (e) {
+    console.error('FR24 flight lookup error:', e);
+    if (e.name === 'AbortError') throw new ApiError(504, 'UPSTREAM_TIMEOUT', 'FR24 API timeout');
+    throw new ApiError(502, 'UPSTREAM_UNAVAILABLE', 'FR24 API unavailable');
+  }
 
-    if (!flightData) {
-      return res.status(404).json({ success: false, error: `No data found for ${flight}` });
-    }
+  if (!lookup.flightData) {
+    throw new ApiError(404, 'NOT_FOUND', `No data found for ${flight}`);
+  }
 
-    // Remove raw debug data from client response
-    const { _raw, ...cleanFlight } = flightData;
+  // Remove raw debug data from client response
+  const { _raw, ...cleanFlight } = lookup.flightData;
 
-    const result = {
-      success: true,
-      flight: cleanFlight,
-      source: `fr24-official-${source}`,
-      cached: false,
-    };
+  const result = {
+    success: true,
+    flight: cleanFlight,
+    source: `fr24-official-${lookup.source}`,
+    cached: false,
+  };
 
-    setCache(cacheKey, result);
-    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=120');
-    return res.status(200).json(result);
-  } catch (e) {
-    console.error('FR24 flight lookup error:', e);
-    if (e.name === 'AbortError') return res.status(504).json({ success: false, error: 'FR24 API timeout' });
-    return res.status(502).json({ success: false, error: 'FR24 API unavailable' });
-  }
+  await cache.set(cacheKey, result, CACHE_TTL_MS);
+  res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=120');
+  return res.status(200).json(result);
 }
+
+export default withMiddleware('FR24 flight lookup', [
+  cors(), methods('GET'), query(querySchema),
+], handler);
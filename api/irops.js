@@ -1,21 +1,29 @@
-// Server-side IROPS aggregation — fetches schedule data for all DL hubs,
-// computes disruption metrics, caches for 15 minutes.
+// Server-side IROPS aggregation — fetches departures and arrivals for all DL
+// hubs, computes disruption metrics, caches for 15 minutes.
 // Fetches hubs sequentially with delays to avoid FR24 rate limiting.
+// Counts the carriers in AIRLINES (default DL mainline, see _carriers.js).
 
 import { createRateLimiter } from './_rate-limit.js';
+import { getSnapshotStore } from './_snapshots.js';
+import { createCache } from './_cache.js';
+import { DEFAULT_AIRLINES, classifyFlight, isCarrierFlight, withOperation } from './_carriers.js';
+import { SCORING_MODELS, getScoringModel, scoreWith, describeScore } from './_scoring.js';
+import { classifyHub } from './_alerts.js';
+import { recordSchedule } from './_events.js';
+import { trackEquipment, seatImpact, addSeatImpact } from './_equipment.js';
+import { flightOutcome, ON_TIME_MINUTES } from './_otp.js';
+import { getStartOfDayForHub, localHour, tzFor } from './_time.js';
+import { withMiddleware, cors, methods, rateLimit, query, ApiError } from './_middleware.js';
 
 const isRateLimited = createRateLimiter('irops', 60);
 
 const HUBS = ['ATL', 'LGA', 'JFK', 'BOS', 'DTW', 'MSP', 'SLC', 'LAX', 'SEA'];
-const HUB_TZ = {ATL:'America/New_York',LGA:'America/New_York',JFK:'America/New_York',BOS:'America/New_York',DTW:'America/Detroit',MSP:'America/Chicago',SLC:'America/Denver',LAX:'America/Los_Angeles',SEA:'America/Los_Angeles'};
 const CACHE_TTL = 15 * 60 * 1000; // 15 minutes — hub health doesn't need real-time
 const INTER_HUB_DELAY = 1500; // ms between hub fetches to avoid rate limiting
 const INTER_PAGE_DELAY = 800; // ms between pages within a hub
-let cached = null;
-let cacheExpires = 0;
-let fetching = null;
-// Persistent per-hub cache — survives full refresh failures
-let hubCache = {};
+const STALE_TTL = 24 * 60 * 60 * 1000; // keep last metrics to serve if a recompute fails
+const HUB_FALLBACK_TTL = 60 * 60 * 1000; // per-hub flights survive full refresh failures for 1 hour
+const cache = createCache('irops', { maxEntries: 20 });
 
 async function rateLimitedFetch(url, retries = 1) {
   for (let attempt = 0; attempt <= retries; attempt++) {
@@ -54,8 +62,8 @@ async function rateLimitedFetch(url, retries = 1) {
   return null;
 }
 
-async function fetchHubSchedule(hub, timestamp) {
-  const dir = 'departures';
+async function fetchHubSchedule(hub, timestamp, dir) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
   const dayEnd = timestamp + 86400;
   const allFlights = [];
   let page = 1;
@@ -76,15 +84,15 @@ async function fetchHubSchedule(hub, timestamp) {
       for (const entry of sched.data) {
         const fl = entry.flight;
         if (!fl) continue;
-        if (fl.airline?.code?.iata !== 'DL') continue;
-        const schedDep = fl.time?.scheduled?.departure;
-        if (schedDep && schedDep >= dayEnd) { pastDay = true; break; }
-        allFlights.push(fl);
+        if (!isCarrierFlight(fl, DEFAULT_AIRLINES)) continue;
+        const schedT = fl.time?.scheduled?.[side];
+        if (schedT && schedT >= dayEnd) { pastDay = true; break; }
+        allFlights.push(withOperation(fl));
       }
       if (pastDay) break;
       page++;
     } catch (e) {
-      console.error(`IROPS: Failed to fetch ${hub} page ${page}:`, e.message);
+      console.error(`IROPS: Failed to fetch ${hub} ${dir} page ${page}:`, e.message);
       break;
     }
     if (page <= totalPages && page <= MAX_PAGES) {
@@ -94,98 +102,189 @@ async function fetchHubSchedule(hub, timestamp) {
   return allFlights;
 }
 
-export function computeMetrics(flightsByHub) {
+// Disruption score: weighted disruptions per N flights under a scoring model (see _scoring.js)
+export function scoreCounts(counts, model = getScoringModel()) {
+  return scoreWith(counts, model);
+}
+
+const COUNTERS = ['total', 'cancellations', 'delayed30', 'delayed60', 'diversions', 'operated', 'onTime'];
+const emptyCounts = () => Object.fromEntries(COUNTERS.map(k => [k, 0]));
+const addCounts = (a, b) => Object.fromEntries(COUNTERS.map(k => [k, (a[k] || 0) + (b[k] || 0)]));
+
+// Adds one flight's outcome (see flightOutcome) to a set of counters
+function countOutcome(m, { cancelled, diverted, delayMin }, { thresholds }) {
+  m.total++;
+  if (cancelled) { m.cancellations++; return; }
+  if (diverted) m.diversions++;
+  if (delayMin === null) return;
+
+  m.operated++;
+  if (delayMin > thresholds.delayed30) m.delayed30++;
+  if (delayMin > thresholds.delayed60) m.delayed60++;
+  if (delayMin <= ON_TIME_MINUTES) m.onTime++;
+}
+
+// Per-hub counters for one direction
+function countHubFlights(flights, dir, model) {
+  const m = emptyCounts();
+  for (const fl of flights) countOutcome(m, flightOutcome(fl, dir), model);
+  return m;
+}
+
+/**
+ * Time-of-day profile for one hub/direction: 24 buckets by scheduled hour in
+ * hub-local time. Delayed means operated more than ON_TIME_MINUTES late;
+ * avgDelay is over operated flights (early counts as 0), null when none have.
+ */
+function hourlyProfile(flights, dir, tz) {
+  const side = dir === 'arrivals' ? 'arrival' : 'departure';
+  const buckets = Array.from({ length: 24 }, (_, hour) => ({ hour, scheduled: 0, operated: 0, delayed: 0, cancelled: 0, delaySum: 0 }));
+
+  for (const fl of flights) {
+    const schedT = fl.time?.scheduled?.[side];
+    if (!schedT) continue;
+    const b = buckets[localHour(schedT, tz)];
+    b.scheduled++;
+    const { cancelled, delayMin } = flightOutcome(fl, dir);
+    if (cancelled) { b.cancelled++; continue; }
+    if (delayMin === null) continue;
+    b.operated++;
+    b.delaySum += delayMin;
+    if (delayMin > ON_TIME_MINUTES) b.delayed++;
+  }
+
+  return buckets.map(({ delaySum, ...b }) => ({
+    ...b,
+    avgDelay: b.operated ? Math.round(delaySum / b.operated) : null,
+  }));
+}
+
+/**
+ * Network and per-hub disruption metrics.
+ * @param {object} flightsByHub - { [hub]: { departures, arrivals } } of FR24
+ *   schedule flights; a plain array is taken as departures only
+ * @param {object} [model] - Scoring model (delay buckets and weights), from getScoringModel()
+ */
+export function computeMetrics(flightsByHub, model = getScoringModel()) {
   let allFlights = [];
   const hubMetrics = {};
+  const hubFlights = {};
+  const hubArrivals = {};
+  let arrivals = emptyCounts();
+  let seats = addSeatImpact();
 
-  for (const [hub, flights] of Object.entries(flightsByHub)) {
-    allFlights = allFlights.concat(flights);
-    hubMetrics[hub] = { total: flights.length, cancellations: 0, delayed30: 0, delayed60: 0, diversions: 0, operated: 0, onTime: 0 };
-
-    for (const fl of flights) {
-      const status = fl.status?.generic?.status?.text?.toLowerCase() || '';
-      if (status === 'canceled' || status === 'cancelled') { hubMetrics[hub].cancellations++; continue; }
-      if (status === 'diverted') hubMetrics[hub].diversions++;
-
-      const hasOperated = status === 'departed' || status === 'en-route' || status === 'landed' || status === 'diverted';
-      const realDep = fl.time?.real?.departure;
-      const estDep = fl.time?.estimated?.departure;
-      if (!hasOperated && !realDep) continue;
-
-      const actDep = realDep || (hasOperated ? estDep : null);
-      if (!actDep) continue;
-
-      hubMetrics[hub].operated++;
-      const schedT = fl.time?.scheduled?.departure || 0;
-      if (schedT && actDep > schedT) {
-        const delayMin = Math.round((actDep - schedT) / 60);
-        if (delayMin > 30) hubMetrics[hub].delayed30++;
-        if (delayMin > 60) hubMetrics[hub].delayed60++;
-        if (delayMin <= 30) hubMetrics[hub].onTime++;
-      } else {
-        hubMetrics[hub].onTime++;
-      }
-    }
+  for (const [hub, entry] of Object.entries(flightsByHub)) {
+    const { departures = [], arrivals: inbound = [] } = Array.isArray(entry) ? { departures: entry } : entry;
+    allFlights = allFlights.concat(departures);
+    hubFlights[hub] = departures;
+    hubArrivals[hub] = inbound;
+
+    const dep = countHubFlights(departures, 'departures', model);
+    const arr = countHubFlights(inbound, 'arrivals', model);
+    // level + reasons from per-hub thresholds (see _alerts.js)
+    hubMetrics[hub] = { ...dep, arrivals: arr, ...classifyHub(hub, addCounts(dep, arr)) };
+    // Seats behind cancellations and swaps (see _equipment.js)
+    hubMetrics[hub].seats = { departures: seatImpact(departures), arrivals: seatImpact(inbound) };
+    seats = addSeatImpact(seats, hubMetrics[hub].seats.departures);
+    // Hub-local hourly buckets, so a single bad bank stands out from the day
+    const tz = tzFor(hub);
+    hubMetrics[hub].hourly = {
+      timeZone: tz,
+      departures: hourlyProfile(departures, 'departures', tz),
+      arrivals: hourlyProfile(inbound, 'arrivals', tz),
+    };
+    arrivals = addCounts(arrivals, arr);
   }
 
-  let cancellations = 0, delayed30 = 0, delayed60 = 0, diversions = 0;
+  // Network departures, from the same outcomes as the per-hub counters
+  const network = emptyCounts();
   const worstDelays = [];
+  // Same counters split by who operates the flight (see _carriers.js)
+  const byOperation = { mainline: emptyCounts(), connection: emptyCounts() };
 
   for (const fl of allFlights) {
-    const status = fl.status?.generic?.status?.text?.toLowerCase() || '';
-    if (status === 'canceled' || status === 'cancelled') cancellations++;
-    if (status === 'diverted') diversions++;
-
-    const schedT = fl.time?.scheduled?.departure || 0;
-    const actT = fl.time?.real?.departure || fl.time?.estimated?.departure || 0;
-    if (schedT && actT && actT > schedT) {
-      const delayMin = Math.round((actT - schedT) / 60);
-      if (delayMin > 30) delayed30++;
-      if (delayMin > 60) delayed60++;
-      if (delayMin > 15) {
-        const ident = fl.identification?.number?.default || '?';
-        const orig = fl.airport?.origin?.code?.iata || '?';
-        const dest = fl.airport?.destination?.code?.iata || '?';
-        worstDelays.push({ ident, route: `${orig}→${dest}`, delay: delayMin });
-      }
+    const outcome = flightOutcome(fl, 'departures');
+    countOutcome(network, outcome, model);
+    countOutcome(byOperation[(fl.operation ?? classifyFlight(fl))?.connection ? 'connection' : 'mainline'], outcome, model);
+    if (outcome.delayMin > 15) {
+      const ident = fl.identification?.number?.default || '?';
+      const orig = fl.airport?.origin?.code?.iata || '?';
+      const dest = fl.airport?.destination?.code?.iata || '?';
+      worstDelays.push({ ident, route: `${orig}→${dest}`, delay: outcome.delayMin });
     }
   }
 
   worstDelays.sort((a, b) => b.delay - a.delay);
 
-  const totalFlights = allFlights.length;
-  const score = totalFlights > 0
-    ? ((cancellations * 3 + delayed60 * 2 + delayed30 + diversions * 2) / totalFlights * 100)
-    : 0;
+  const { total: totalFlights, cancellations, delayed30, delayed60, diversions } = network;
+  // Headline score covers both directions; the flat counters are departures
+  const combined = addCounts(network, arrivals);
+  const score = scoreCounts(combined, model);
+  arrivals.score = scoreCounts(arrivals, model);
+  for (const op of Object.values(byOperation)) op.score = scoreCounts(op, model);
 
   return {
-    score: parseFloat(score.toFixed(1)),
+    score,
+    scoring: describeScore(combined, model),
     totalFlights,
     cancellations,
     delayed30,
     delayed60,
     diversions,
     worstDelays: worstDelays.slice(0, 8),
+    arrivals,
+    // Departures only, so a flight between two hubs counts once
+    seats,
+    byOperation,
     hubMetrics,
-    hubFlights: flightsByHub,
+    hubFlights,
+    hubArrivals,
     generatedAt: new Date().toISOString()
   };
 }
 
-export function getStartOfDayForHub(hub) {
-  const tz = HUB_TZ[hub] || 'America/New_York';
-  const now = new Date();
-  const parts = new Intl.DateTimeFormat('en-US', {
-    timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
-  }).formatToParts(now);
-  const get = (type) => parseInt(parts.find(p => p.type === type)?.value || '0');
-  const hour = get('hour'), minute = get('minute'), second = get('second');
-  const secondsSinceMidnight = hour * 3600 + minute * 60 + second;
-  const startOfToday = Math.floor((now.getTime() / 1000) - secondsSinceMidnight);
-  // Before 6 AM local: no flights have departed yet, show yesterday's data
-  if (hour < 6) return startOfToday - 86400;
-  return startOfToday;
+// Compact, flight-free copy of a metrics run for the history store
+export function toSnapshot(metrics) {
+  const model = getScoringModel(metrics.scoring?.model);
+  const hubs = {};
+  for (const [hub, { reasons, hourly, ...m }] of Object.entries(metrics.hubMetrics || {})) {
+    hubs[hub] = { ...m, score: scoreCounts(addCounts(m, m.arrivals || {}), model) };
+  }
+  return {
+    takenAt: metrics.generatedAt,
+    score: metrics.score,
+    scoringModel: model.id,
+    totalFlights: metrics.totalFlights,
+    cancellations: metrics.cancellations,
+    delayed30: metrics.delayed30,
+    delayed60: metrics.delayed60,
+    diversions: metrics.diversions,
+    arrivals: metrics.arrivals,
+    hubs
+  };
+}
+
+// One hub/direction, falling back to the last good fetch (up to 1 hour old)
+async function fetchHubDirection(hub, dir) {
+  const key = `hub:${hub}:${dir}`;
+  try {
+    const fetched = await fetchHubSchedule(hub, getStartOfDayForHub(hub), dir);
+    if (fetched && fetched.length > 0) {
+      await recordSchedule(hub, dir, fetched);
+      const flights = await trackEquipment(hub, dir, fetched);
+      // Update persistent per-hub cache
+      await cache.set(key, flights, HUB_FALLBACK_TTL);
+      return flights;
+    }
+    // FR24 returned nothing — use cached data up to 1 hour old
+    const fallback = await cache.get(key);
+    if (fallback) console.log(`IROPS: Using cached ${dir} for ${hub} (age: ${Math.round((Date.now() - fallback.time) / 60000)}m)`);
+    return fallback ? fallback.data : [];
+  } catch (e) {
+    console.error(`IROPS: Error fetching ${hub} ${dir}:`, e.message);
+    const fallback = await cache.get(key);
+    return fallback ? fallback.data : [];
+  }
 }
 
 async function buildIropsData() {
@@ -194,85 +293,64 @@ async function buildIropsData() {
   // Fetch hubs SEQUENTIALLY with delays to avoid FR24 rate limiting
   for (let i = 0; i < HUBS.length; i++) {
     const hub = HUBS[i];
-    try {
-      const flights = await fetchHubSchedule(hub, getStartOfDayForHub(hub));
-      if (flights && flights.length > 0) {
-        flightsByHub[hub] = flights;
-        // Update persistent per-hub cache
-        hubCache[hub] = { flights, fetchedAt: Date.now() };
-      } else if (hubCache[hub] && (Date.now() - hubCache[hub].fetchedAt) < 60 * 60 * 1000) {
-        // FR24 returned nothing — use cached data up to 1 hour old
-        console.log(`IROPS: Using cached data for ${hub} (age: ${Math.round((Date.now() - hubCache[hub].fetchedAt) / 60000)}m)`);
-        flightsByHub[hub] = hubCache[hub].flights;
-      } else {
-        flightsByHub[hub] = [];
-      }
-    } catch (e) {
-      console.error(`IROPS: Error fetching ${hub}:`, e.message);
-      // Fall back to hub cache
-      if (hubCache[hub] && (Date.now() - hubCache[hub].fetchedAt) < 60 * 60 * 1000) {
-        flightsByHub[hub] = hubCache[hub].flights;
-      } else {
-        flightsByHub[hub] = [];
-      }
-    }
+    const departures = await fetchHubDirection(hub, 'departures');
+    await new Promise(r => setTimeout(r, INTER_PAGE_DELAY));
+    const arrivals = await fetchHubDirection(hub, 'arrivals');
+    flightsByHub[hub] = { departures, arrivals };
     // Delay between hubs (skip after last)
     if (i < HUBS.length - 1) {
       await new Promise(r => setTimeout(r, INTER_HUB_DELAY));
     }
   }
 
-  return computeMetrics(flightsByHub);
-}
-
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  const metrics = computeMetrics(flightsByHub);
+  // History is best-effort — a failed write must not fail the request
+  try {
+    await getSnapshotStore().save(toSnapshot(metrics));
+  } catch (e) {
+    console.error('IROPS: Failed to save snapshot:', e.message);
   }
+  return metrics;
+}
 
-  const origin = req.headers?.origin || '';
-  if (origin && origin !== 'https://widgetwatch.org' && !/^http:\/\/localhost(:\d+)?$/.test(origin)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
+export const querySchema = {
+  model: {
+    type: 'string',
+    description: 'Scoring model to score with (default: the deployment\'s active model)',
+    enum: Object.keys(SCORING_MODELS),
+    message: `model must be one of ${Object.keys(SCORING_MODELS).join(', ')}`,
+  },
+};
 
-  if (isRateLimited(req)) {
-    return res.status(429).json({ error: 'Rate limited — try again shortly' });
+// Rescore a computed result under another model from its flight lists — no upstream calls
+function rescore(metrics, model) {
+  const flightsByHub = {};
+  for (const hub of Object.keys(metrics.hubMetrics)) {
+    flightsByHub[hub] = { departures: metrics.hubFlights?.[hub] || [], arrivals: metrics.hubArrivals?.[hub] || [] };
   }
+  return { ...computeMetrics(flightsByHub, model), generatedAt: metrics.generatedAt };
+}
 
+async function handler(req, res) {
+  const model = req.params.model ? getScoringModel(req.params.model) : null;
+  let result;
   try {
-    const now = Date.now();
-
-    if (cached && now < cacheExpires) {
-      res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
-      return res.status(200).json({ ...cached, cached: true });
-    }
-
-    if (fetching) {
-      const result = await fetching;
-      res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
-      return res.status(200).json({ ...result, cached: true });
-    }
-
-    try {
-      fetching = buildIropsData();
-      const result = await fetching;
-      cached = result;
-      cacheExpires = now + CACHE_TTL;
-      res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
-      return res.status(200).json({ ...result, cached: false });
-    } catch (e) {
-      console.error('IROPS API error:', e);
-      // Return stale cache if available
-      if (cached) {
-        res.setHeader('Cache-Control', 's-maxage=60');
-        return res.status(200).json({ ...cached, cached: true, stale: true });
-      }
-      return res.status(502).json({ error: 'Failed to compute IROPS data' });
-    } finally {
-      fetching = null;
-    }
+    // Concurrent requests share one recompute; if it fails the last result is served stale
+    result = await cache.wrap('metrics', buildIropsData, { ttl: CACHE_TTL, staleTtl: STALE_TTL });
   } catch (e) {
     console.error('IROPS API error:', e);
-    return res.status(502).json({ error: 'Failed to compute IROPS data' });
+    throw new ApiError(502, 'UPSTREAM_UNAVAILABLE', 'Failed to compute IROPS data');
+  }
+  const data = model && model.id !== result.data.scoring?.model ? rescore(result.data, model) : result.data;
+  if (result.stale) {
+    console.error('IROPS API error:', result.error);
+    res.setHeader('Cache-Control', 's-maxage=60');
+    return res.status(200).json({ ...data, cached: true, stale: true });
   }
+  res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=300');
+  return res.status(200).json({ ...data, cached: result.cached });
 }
+
+export default withMiddleware('IROPS API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema),
+], handler);
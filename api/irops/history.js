@@ -0,0 +1,124 @@
+// IROPS history — time series of stored IROPS snapshots
+// Usage: /api/irops/history?hub=ATL&from=2026-03-20&to=2026-03-27
+// from/to accept ISO 8601 dates/datetimes or Unix seconds; a date-only `to`
+// includes that whole (UTC) day. Omit hub for network totals.
+
+import { createRateLimiter } from '../_rate-limit.js';
+import { getSnapshotStore } from '../_snapshots.js';
+import { parseTime, parseEndTime } from '../_time.js';
+import { withMiddleware, cors, methods, rateLimit, query, badRequest, ApiError } from '../_middleware.js';
+
+const isRateLimited = createRateLimiter('irops-history', 30);
+
+const DEFAULT_RANGE_MS = 7 * 86_400_000;
+const MAX_RANGE_MS = 31 * 86_400_000;
+
+function pointFrom(takenAt, m) {
+  return {
+    takenAt,
+    score: m.score,
+    totalFlights: m.totalFlights ?? m.total,
+    cancellations: m.cancellations,
+    delayed30: m.delayed30,
+    delayed60: m.delayed60,
+    diversions: m.diversions,
+  };
+}
+
+// Snapshot closest to `target`, ignoring any more than 3h away
+function nearest(points, target) {
+  let best = null;
+  for (const p of points) {
+    const diff = Math.abs(Date.parse(p.takenAt) - target);
+    if (diff <= 3 * 3_600_000 && (!best || diff < best.diff)) best = { point: p, diff };
+  }
+  return best?.point || null;
+}
+
+/**
+ * Build the history response from stored snapshots.
+ * @param {object[]} snapshots - Snapshots ordered by takenAt
+ * @param {string|null} hub - Hub code, or null for network-wide totals
+ */
+export function buildHistory(snapshots, hub) {
+  const points = [];
+  for (const s of snapshots) {
+    if (!hub) { points.push(pointFrom(s.takenAt, s)); continue; }
+    if (s.hubs?.[hub]) points.push(pointFrom(s.takenAt, s.hubs[hub]));
+  }
+
+  let dayOverDay = null;
+  const latest = points[points.length - 1];
+  if (latest) {
+    const previous = nearest(points, Date.parse(latest.takenAt) - 86_400_000);
+    if (previous) {
+      dayOverDay = {
+        current: latest,
+        previous,
+        delta: {
+          score: parseFloat((latest.score - previous.score).toFixed(1)),
+          cancellations: latest.cancellations - previous.cancellations,
+          delayed30: latest.delayed30 - previous.delayed30,
+          delayed60: latest.delayed60 - previous.delayed60,
+          diversions: latest.diversions - previous.diversions,
+        },
+      };
+    }
+  }
+
+  return { hub: hub || null, points, count: points.length, dayOverDay };
+}
+
+export const querySchema = {
+  hub: {
+    type: 'string',
+    description: 'Hub IATA code; omit for network totals',
+    transform: s => s.toUpperCase(),
+    pattern: /^[A-Z]{3}$/,
+    message: 'Invalid hub code',
+  },
+  from: {
+    type: 'string',
+    format: 'date-time',
+    description: 'Range start, ISO 8601 or Unix seconds (default: 7 days before to)',
+    parse: parseTime,
+    message: 'Invalid from/to — use ISO 8601 or Unix seconds',
+  },
+  to: {
+    type: 'string',
+    format: 'date-time',
+    description: 'Range end, ISO 8601 or Unix seconds; a date alone includes that whole day (default: now)',
+    parse: parseEndTime,
+    default: () => Date.now(),
+    message: 'Invalid from/to — use ISO 8601 or Unix seconds',
+  },
+};
+
+function checkRange({ hub, from, to }) {
+  from ??= to - DEFAULT_RANGE_MS;
+  if (from > to || to - from > MAX_RANGE_MS) {
+    throw badRequest('Invalid range — from must precede to, max 31 days', { field: 'from', reason: 'range' });
+  }
+  return { hub: hub || null, from, to };
+}
+
+async function handler(req, res) {
+  const { hub, from, to } = req.params;
+  let snapshots;
+  try {
+    snapshots = await getSnapshotStore().list({ from, to });
+  } catch (e) {
+    console.error('IROPS history error:', e);
+    throw new ApiError(500, 'INTERNAL', 'Failed to read IROPS history');
+  }
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=300');
+  return res.status(200).json({
+    ...buildHistory(snapshots, hub),
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+  });
+}
+
+export default withMiddleware('IROPS history', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema, checkRange),
+], handler);
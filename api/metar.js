@@ -1,39 +1,31 @@
 import { createRateLimiter } from './_rate-limit.js';
+import { withMiddleware, cors, methods, rateLimit, query, upstreamTimeout } from './_middleware.js';
 
 const isRateLimited = createRateLimiter('metar', 60);
 
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+export const querySchema = {
+  // Comma-separated (or repeated) ICAO codes, max 20
+  ids: {
+    type: 'string',
+    description: 'Airport ICAO codes',
+    array: { maxItems: 20 },
+    transform: s => s.toUpperCase(),
+    pattern: /^[A-Z]{3,4}$/,
+    default: ['KATL'],
+    message: 'Invalid airport IDs',
+  },
+};
 
-  const origin = req.headers?.origin || '';
-  if (origin && origin !== 'https://widgetwatch.org' && !/^http:\/\/localhost(:\d+)?$/.test(origin)) {
-    return res.status(403).json({ error: 'Forbidden' });
-  }
-
-  if (isRateLimited(req)) {
-    return res.status(429).json({ error: 'Rate limited — try again shortly' });
-  }
-
-  try {
-    const ids = req.query.ids || 'KATL';
-    // Validate: comma-separated ICAO codes (3-4 uppercase letters each), max 20 codes
-    if (!/^[A-Z]{3,4}(,[A-Z]{3,4}){0,19}$/i.test(ids)) {
-      return res.status(400).json({ error: 'Invalid airport IDs' });
-    }
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 8000);
-    const upstream = await fetch(`https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(ids)}&format=json`, { signal: controller.signal });
-    clearTimeout(timeout);
-    if (!upstream.ok) return res.status(502).json({ error: 'Upstream service unavailable' });
-    const data = await upstream.json();
-    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
-    res.setHeader('Content-Type', 'application/json');
-    return res.status(200).json(data);
-  } catch (e) {
-    console.error('METAR API error:', e);
-    if (e.name === 'AbortError') return res.status(504).json({ error: 'Upstream timeout' });
-    return res.status(502).json({ error: 'Upstream service unavailable' });
-  }
+async function handler(req, res) {
+  const ids = req.params.ids.join(',');
+  const upstream = await fetch(`https://aviationweather.gov/api/data/metar?ids=${encodeURIComponent(ids)}&format=json`, { signal: req.signal });
+  if (!upstream.ok) throw new Error(`AWC returned ${upstream.status}`);
+  const data = await upstream.json();
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+  res.setHeader('Content-Type', 'application/json');
+  return res.status(200).json(data);
 }
+
+export default withMiddleware('METAR API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema), upstreamTimeout(8000),
+], handler);
@@ -0,0 +1,14 @@
+// OpenAPI document for the Widget Watch API
+// Usage: /api/openapi.json (rewritten to this function in vercel.json)
+
+import { buildSpec } from './_openapi.js';
+import { withMiddleware, cors, methods } from './_middleware.js';
+
+const spec = buildSpec();
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=86400');
+  return res.status(200).json(spec);
+}
+
+export default withMiddleware('OpenAPI', [cors(), methods('GET')], handler);
@@ -0,0 +1,51 @@
+// On-time performance — D0/A0, D14/A14, delay percentiles and completion
+// Usage: /api/otp?hub=ATL&dir=departures&from=2026-03-23&to=2026-03-27
+// Metrics are computed in _otp.js from the schedule aggregations for each
+// hub-local operating day (_schedule.js range mode), so repeated queries reuse
+// the cached days.
+
+import { createRateLimiter } from './_rate-limit.js';
+import { computeOtp, otpMetrics } from './_otp.js';
+import { getScheduleRange, checkDateRange } from './_schedule.js';
+import { querySchema as scheduleQuery } from './schedule.js';
+import { getStartOfDayForHub, localDate, tzFor } from './_time.js';
+import { withMiddleware, cors, methods, rateLimit, query } from './_middleware.js';
+
+const isRateLimited = createRateLimiter('otp', 20);
+
+export const querySchema = {
+  hub: scheduleQuery.hub,
+  dir: scheduleQuery.dir,
+  from: { ...scheduleQuery.from, description: 'First hub-local operating day (YYYY-MM-DD; default: the hub\'s current operating day)' },
+  to: { ...scheduleQuery.to, description: 'Last operating day, inclusive (default: from; at most 7 days)' },
+  airlines: scheduleQuery.airlines,
+};
+
+function checkRange(params) {
+  const from = params.from ?? localDate(getStartOfDayForHub(params.hub), tzFor(params.hub));
+  return { ...params, from, to: checkDateRange(params.hub, from, params.to) };
+}
+
+async function handler(req, res) {
+  const { hub, dir, from, to, airlines } = req.params;
+  const range = await getScheduleRange(hub, dir, from, to, airlines);
+
+  res.setHeader('Cache-Control', range.partial ? 's-maxage=60' : 's-maxage=300, stale-while-revalidate=120');
+  return res.status(200).json({
+    hub,
+    dir,
+    from,
+    to,
+    timeZone: range.timeZone,
+    airlines: range.airlines,
+    ...computeOtp(range.days.flatMap(d => d.flights), dir, range.timeZone),
+    byDay: range.days.map(d => ({ date: d.date, partial: d.partial, ...otpMetrics(d.flights, dir) })),
+    partial: range.partial,
+    cached: range.cached,
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+export default withMiddleware('OTP API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema, checkRange),
+], handler);
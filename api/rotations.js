@@ -0,0 +1,54 @@
+// Rotations — outbound flights at risk from a late or missing inbound aircraft
+// Usage: /api/rotations?hub=ATL[&timestamp=...][&minTurn=35][&airlines=DL,OO]
+// Pairs each tail's arrivals and departures from the aggregated schedule (see
+// _rotations.js); both directions come through the schedule cache.
+
+import { createRateLimiter } from './_rate-limit.js';
+import { findAtRisk } from './_rotations.js';
+import { getAggregatedSchedule } from './_schedule.js';
+import { querySchema as scheduleQuery } from './schedule.js';
+import { getStartOfDayForHub } from './_time.js';
+import { withMiddleware, cors, methods, rateLimit, query } from './_middleware.js';
+
+const isRateLimited = createRateLimiter('rotations', 20);
+
+export const querySchema = {
+  hub: scheduleQuery.hub,
+  timestamp: {
+    ...scheduleQuery.timestamp,
+    description: 'Start of the schedule window (Unix seconds; default: the hub\'s operating day)',
+    required: false,
+  },
+  minTurn: {
+    type: 'integer',
+    description: 'Minimum turn time in minutes (default: 40 mainline, 30 Delta Connection)',
+    min: 10,
+    max: 180,
+    message: 'minTurn must be 10–180 minutes',
+  },
+  airlines: scheduleQuery.airlines,
+};
+
+async function handler(req, res) {
+  const { hub, minTurn, airlines } = req.params;
+  const ts = req.params.timestamp ?? getStartOfDayForHub(hub);
+
+  // Sequential: _schedule.js paces its FR24 calls through one shared clock
+  const arrivals = await getAggregatedSchedule(hub, 'arrivals', ts, airlines);
+  const departures = await getAggregatedSchedule(hub, 'departures', ts, airlines);
+
+  res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=60');
+  return res.status(200).json({
+    hub,
+    timestamp: ts,
+    airlines: departures.data.airlines,
+    ...findAtRisk(arrivals.data.flights, departures.data.flights, { minTurn }),
+    partial: arrivals.data.partial || departures.data.partial,
+    cached: arrivals.cached && departures.cached,
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+export default withMiddleware('Rotations API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema),
+], handler);
@@ -0,0 +1,153 @@
+// City-pair schedule — every flight between two airports on one day
+// Usage: /api/route?from=ATL&to=LAX&date=2026-03-27
+// Built from the cached hub aggregations (_schedule.js): departures at the
+// origin, cross-checked with arrivals at the destination when both are hubs.
+// When only the destination is a hub, its arrivals board is the source.
+
+import { createRateLimiter } from './_rate-limit.js';
+import { getAggregatedSchedule } from './_schedule.js';
+import { querySchema as scheduleQuery } from './schedule.js';
+import { ON_TIME_MINUTES, flightOutcome } from './_otp.js';
+import { HUB_TZ, addDays, getStartOfDayForHub, isDate, localDate, localMidnight } from './_time.js';
+import { withMiddleware, cors, methods, rateLimit, query, badRequest } from './_middleware.js';
+
+const isRateLimited = createRateLimiter('route', 20);
+
+const iso = (ts) => (ts ? new Date(ts * 1000).toISOString() : null);
+const flightKey = (fl) => `${fl.identification?.number?.default}:${fl.time?.scheduled?.departure}`;
+
+function times(fl, side) {
+  const t = fl.time || {};
+  return { scheduled: iso(t.scheduled?.[side]), estimated: iso(t.estimated?.[side]), actual: iso(t.real?.[side]) };
+}
+
+// One flight as seen from the origin (departures) and/or destination (arrivals) board
+function toRouteFlight(dep, arr) {
+  const fl = dep || arr;
+  const { cancelled, diverted, delayMin } = flightOutcome(fl, 'departures');
+  return {
+    flight: fl.identification?.number?.default || null,
+    operation: fl.operation ?? null,
+    // The destination board is the fresher source through landing
+    status: (arr || dep).status?.text || (arr || dep).status?.generic?.status?.text || null,
+    cancelled,
+    diverted,
+    delayMin,
+    departure: times(fl, 'departure'),
+    arrival: times(arr || dep, 'arrival'),
+    aircraft: { type: fl.aircraft?.model?.code || null, registration: fl.aircraft?.registration || null },
+    equipmentSwap: fl.equipmentSwap ?? null,
+    seenAt: [dep && 'origin', arr && 'destination'].filter(Boolean),
+  };
+}
+
+/**
+ * Flights from → to out of the two hub boards, matched by flight number and
+ * scheduled departure.
+ * @param {object[]|null} departures - Origin departures board, or null when the origin isn't a hub
+ * @param {object[]|null} arrivals - Destination arrivals board, or null
+ * @param {{ from: string, to: string, window?: [number, number] }} route - window: scheduled
+ *   departure range [start, end) in Unix seconds; flights outside it are dropped
+ */
+export function assembleRoute(departures, arrivals, { from, to, window }) {
+  const inWindow = (fl) => {
+    const t = fl.time?.scheduled?.departure;
+    return !window || (t >= window[0] && t < window[1]);
+  };
+  const outbound = (departures || []).filter(fl => fl.airport?.destination?.code?.iata === to && inWindow(fl));
+  const inbound = new Map((arrivals || [])
+    .filter(fl => fl.airport?.origin?.code?.iata === from && inWindow(fl))
+    .map(fl => [flightKey(fl), fl]));
+
+  const flights = outbound.map(fl => {
+    const key = flightKey(fl);
+    const arr = inbound.get(key);
+    inbound.delete(key);
+    return toRouteFlight(fl, arr);
+  });
+  // Left over: only on the arrivals board (e.g. past a partial departures aggregation)
+  for (const fl of inbound.values()) flights.push(toRouteFlight(null, fl));
+  return flights.sort((a, b) => (a.departure.scheduled || '').localeCompare(b.departure.scheduled || ''));
+}
+
+/** Day totals for a route, on-time by departure within ON_TIME_MINUTES. */
+export function summarizeRoute(flights) {
+  const operated = flights.filter(f => f.delayMin !== null);
+  return {
+    total: flights.length,
+    cancelled: flights.filter(f => f.cancelled).length,
+    diverted: flights.filter(f => f.diverted).length,
+    operated: operated.length,
+    onTime: operated.filter(f => f.delayMin <= ON_TIME_MINUTES).length,
+    delayed30: operated.filter(f => f.delayMin > 30).length,
+    avgDelay: operated.length ? Math.round(operated.reduce((n, f) => n + f.delayMin, 0) / operated.length) : null,
+  };
+}
+
+export const querySchema = {
+  from: { ...scheduleQuery.hub, pattern: /^[A-Z]{3}$/, description: 'Origin IATA code', message: 'Invalid from airport' },
+  to: { ...scheduleQuery.hub, pattern: /^[A-Z]{3}$/, description: 'Destination IATA code', message: 'Invalid to airport' },
+  date: {
+    type: 'string',
+    format: 'date',
+    description: 'Operating day at the origin (the destination when only it is a hub), YYYY-MM-DD; default: that hub\'s current operating day',
+    pattern: /^\d{4}-\d{2}-\d{2}$/,
+    message: 'Invalid date — use YYYY-MM-DD',
+  },
+  airlines: scheduleQuery.airlines,
+};
+
+// At least one end must be a hub; the date must be a real day within a week
+function checkRoute(params) {
+  const { from, to } = params;
+  if (from === to) throw badRequest('from and to must differ', { field: 'to', reason: 'route' });
+  const anchor = HUB_TZ[from] ? from : HUB_TZ[to] ? to : null;
+  if (!anchor) {
+    throw badRequest(`Neither ${from} nor ${to} is a hub`, { field: 'from', reason: 'route' });
+  }
+  const tz = HUB_TZ[anchor];
+  const date = params.date ?? localDate(getStartOfDayForHub(anchor), tz);
+  if (!isDate(date)) throw badRequest('Invalid date — use YYYY-MM-DD', { field: 'date', reason: 'pattern' });
+  const now = Date.now() / 1000;
+  if (date < localDate(now - 86400 * 7, tz) || date > localDate(now + 86400 * 7, tz)) {
+    throw badRequest('date must be within ±7 days of today', { field: 'date', reason: 'range' });
+  }
+  return { ...params, date, anchor };
+}
+
+async function handler(req, res) {
+  const { from, to, date, anchor, airlines } = req.params;
+  const originTs = HUB_TZ[from] ? localMidnight(date, HUB_TZ[from]) : null;
+
+  // Sequential: _schedule.js paces its FR24 calls through one shared clock
+  const departures = originTs !== null ? await getAggregatedSchedule(from, 'departures', originTs, airlines) : null;
+  const arrivals = HUB_TZ[to] ? await getAggregatedSchedule(to, 'arrivals', localMidnight(date, HUB_TZ[to]), airlines) : null;
+  const boards = [departures, arrivals].filter(Boolean);
+
+  const flights = assembleRoute(departures?.data.flights ?? null, arrivals?.data.flights ?? null, {
+    from,
+    to,
+    // Arrivals are on the destination's day; keep those that left on the origin's,
+    // up to the next local midnight (23 or 25 hours away on DST-change days)
+    window: originTs !== null ? [originTs, localMidnight(addDays(date, 1), HUB_TZ[from])] : undefined,
+  });
+
+  res.setHeader('Cache-Control', 's-maxage=120, stale-while-revalidate=60');
+  return res.status(200).json({
+    from,
+    to,
+    date,
+    timeZone: HUB_TZ[anchor],
+    airlines: boards[0].data.airlines,
+    sources: { departures: departures ? from : null, arrivals: arrivals ? to : null },
+    summary: summarizeRoute(flights),
+    flights,
+    partial: boards.some(b => b.data.partial),
+    cached: boards.every(b => b.cached),
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+export default withMiddleware('Route API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema, checkRoute),
+], handler);
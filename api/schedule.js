@@ -1,210 +1,128 @@
 import { createRateLimiter } from './_rate-limit.js';
+import { CARRIERS, DEFAULT_AIRLINES, carrierCode } from './_carriers.js';
+import {
+  getAggregatedSchedule, getScheduleRange, getSchedulePage, checkDateRange, parseCursor, nowSec, ttlFor, MAX_RANGE_DAYS,
+} from './_schedule.js';
+import { DATE_RE } from './_time.js';
+import { withMiddleware, cors, methods, rateLimit, query, badRequest } from './_middleware.js';
 
 const isRateLimited = createRateLimiter('schedule', 30);
 
-// In-memory LRU cache for FR24 schedule data
-const cache = new Map();
-const MAX_CACHE_SIZE = 200;
-let lastFR24Request = 0;
-const MIN_REQUEST_INTERVAL = 2000; // 2 seconds between FR24 requests
-
-function cacheGet(key) {
-  const entry = cache.get(key);
-  if (!entry) return null;
-  if (Date.now() > entry.expires) {
-    cache.delete(key);
-    return null;
-  }
-  return entry;
-}
-
-function cacheSet(key, data, ttlMs) {
-  if (cache.size >= MAX_CACHE_SIZE) {
-    // Evict oldest
-    const firstKey = cache.keys().next().value;
-    cache.delete(firstKey);
+export const querySchema = {
+  hub: {
+    type: 'string',
+    description: 'Airport IATA/ICAO code',
+    required: true,
+    transform: s => s.toUpperCase(),
+    pattern: /^[A-Z]{3,4}$/,
+    message: 'Invalid hub code',
+  },
+  dir: {
+    type: 'string',
+    enum: ['departures', 'arrivals'],
+    default: 'departures',
+    message: 'dir must be departures or arrivals',
+  },
+  // Only schedules within a week either side of now are served
+  timestamp: {
+    type: 'integer',
+    description: 'Start of the schedule window (Unix seconds); required unless from is given',
+    min: () => nowSec() - 86400 * 7,
+    max: () => nowSec() + 86400 * 7,
+    bounds: 'within ±7 days of now',
+    message: 'Invalid timestamp',
+  },
+  page: {
+    type: 'integer',
+    description: 'Single upstream page; omit to aggregate all pages',
+    min: 1,
+    max: 100,
+    message: 'Invalid page number',
+  },
+  from: {
+    type: 'string',
+    format: 'date',
+    description: 'Range mode: first hub-local operating day (YYYY-MM-DD), within a week of today',
+    pattern: DATE_RE,
+    message: 'Invalid from/to — use YYYY-MM-DD',
+  },
+  to: {
+    type: 'string',
+    format: 'date',
+    description: `Range mode: last operating day, inclusive (default: from; at most ${MAX_RANGE_DAYS} days)`,
+    pattern: DATE_RE,
+    message: 'Invalid from/to — use YYYY-MM-DD',
+  },
+  cursor: {
+    type: 'string',
+    description: 'Continuation cursor from a partial aggregation; resumes where it stopped',
+    parse: parseCursor,
+    message: 'Invalid cursor',
+  },
+  airlines: {
+    type: 'string',
+    description: 'Carriers to keep when aggregating (IATA or ICAO codes); ignored for single pages',
+    array: { maxItems: Object.keys(CARRIERS).length },
+    transform: carrierCode,
+    enum: Object.keys(CARRIERS),
+    default: DEFAULT_AIRLINES,
+    message: `airlines must be among ${Object.keys(CARRIERS).join(', ')}`,
+  },
+};
+
+// Single day (timestamp, optionally page or cursor) or range (from/to).
+// A cursor belongs to one aggregation window and doesn't apply to single pages.
+function checkMode(params) {
+  const { timestamp, page, cursor, from } = params;
+  if (from === undefined && params.to === undefined) {
+    if (timestamp === undefined) throw badRequest('Invalid timestamp', { field: 'timestamp', reason: 'required' });
+    if (!cursor) return;
+    if (page !== undefined) {
+      throw badRequest('cursor and page cannot be combined', { field: 'cursor', reason: 'conflict' });
+    }
+    if (cursor.timestamp !== timestamp) {
+      throw badRequest('cursor is for a different timestamp', { field: 'cursor', reason: 'mismatch' });
+    }
+    return;
   }
-  cache.set(key, { data, expires: Date.now() + ttlMs, time: Date.now() });
-}
-
-async function rateLimitedFetch(url, deadlineMs) {
-  const now = Date.now();
-  const wait = Math.max(0, MIN_REQUEST_INTERVAL - (now - lastFR24Request));
-  if (wait > 0) await new Promise(r => setTimeout(r, wait));
-  lastFR24Request = Date.now();
 
-  // Use remaining time until deadline if provided, capped at 8s
-  const remaining = deadlineMs ? Math.max(500, deadlineMs - Date.now()) : 8000;
-  const fetchTimeout = Math.min(remaining, 8000);
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), fetchTimeout);
-  try {
-    const resp = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'User-Agent': 'WidgetWatchDashboard/1.0 (https://widgetwatch.org)',
-        'Accept': 'application/json'
-      }
-    });
-    clearTimeout(timeout);
-    return resp;
-  } catch (e) {
-    clearTimeout(timeout);
-    throw e;
+  if (timestamp !== undefined || page !== undefined || cursor) {
+    throw badRequest('from/to cannot be combined with timestamp, page or cursor', { field: 'from', reason: 'conflict' });
   }
+  if (from === undefined) throw badRequest('Invalid from/to — use YYYY-MM-DD', { field: 'from', reason: 'required' });
+  return { ...params, to: checkDateRange(params.hub, from, params.to) };
 }
 
-async function fetchOnePage(hub, dir, timestamp, page, deadlineMs) {
-  const url = `https://api.flightradar24.com/common/v1/airport.json?code=${encodeURIComponent(hub)}&plugin[]=schedule&plugin-setting[schedule][mode]=${encodeURIComponent(dir)}&plugin-setting[schedule][timestamp]=${timestamp}&page=${page}&limit=100`;
-  const resp = await rateLimitedFetch(url, deadlineMs);
-  if (!resp.ok) throw new Error(`FR24 returned ${resp.status}`);
-  const data = await resp.json();
-  const sched = data?.result?.response?.airport?.pluginData?.schedule?.[dir];
-  if (!sched) throw new Error('No schedule data in response');
-  return sched;
-}
-
-const pendingAggs = new Map();
-
-export default async function handler(req, res) {
-  if (req.method !== 'GET') {
-    return res.status(405).json({ error: 'Method not allowed' });
-  }
+async function handler(req, res) {
+  const { hub, dir, timestamp: ts, page, cursor, from, to, airlines } = req.params;
 
-  const origin = req.headers?.origin || '';
-  if (origin && origin !== 'https://widgetwatch.org' && !/^http:\/\/localhost(:\d+)?$/.test(origin)) {
-    return res.status(403).json({ error: 'Forbidden' });
+  // Range mode: one entry per operating day
+  if (from) {
+    const result = await getScheduleRange(hub, dir, from, to, airlines);
+    res.setHeader('Cache-Control', result.partial ? 's-maxage=60' : 's-maxage=900, stale-while-revalidate=300');
+    return res.status(200).json(result);
   }
 
-  if (isRateLimited(req)) {
-    return res.status(429).json({ error: 'Rate limited — try again shortly' });
+  // If timestamp is >24h old, use longer cache
+  const isOld = (nowSec() - ts) > 86400;
+  const ttl = ttlFor(ts);
+  const cdnMaxAge = isOld ? 3600 : 900; // 1hr (old) or 15min (live) at CDN edge
+  const swr = 300; // stale-while-revalidate: serve stale for 5min while refreshing
+
+  // If single page requested, serve just that page (backward compat)
+  if (page !== undefined) {
+    const { data: sched, cached } = await getSchedulePage(hub, dir, ts, page, ttl);
+    res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
+    return res.status(200).json({ ...sched, cached });
   }
 
-  try {
-    const { hub, dir = 'departures', timestamp, page } = req.query;
-    if (!hub || !timestamp) {
-      return res.status(400).json({ error: 'Missing required params: hub, timestamp' });
-    }
-    if (!['departures', 'arrivals'].includes(dir)) {
-      return res.status(400).json({ error: 'dir must be departures or arrivals' });
-    }
-    // Validate hub: 3-4 letter IATA/ICAO code
-    if (!/^[A-Z]{3,4}$/i.test(hub)) {
-      return res.status(400).json({ error: 'Invalid hub code' });
-    }
-
-    const ts = parseInt(timestamp, 10);
-    const now = Math.floor(Date.now() / 1000);
-    // Validate timestamp: must be a number, within reasonable range
-    if (isNaN(ts) || ts < now - 86400 * 7 || ts > now + 86400 * 7) {
-      return res.status(400).json({ error: 'Invalid timestamp' });
-    }
-    // If timestamp is >24h old, use longer cache
-    const isOld = (now - ts) > 86400;
-    const ttl = isOld ? 600000 : 300000; // 10 min (old) or 5 min (live) in-memory
-    const cdnMaxAge = isOld ? 3600 : 900; // 1hr (old) or 15min (live) at CDN edge
-    const swr = 300; // stale-while-revalidate: serve stale for 5min while refreshing
-
-    // If single page requested, serve just that page (backward compat)
-    if (page !== undefined) {
-      const pageNum = parseInt(page, 10) || 1;
-      if (pageNum < 1 || pageNum > 100) {
-        return res.status(400).json({ error: 'Invalid page number' });
-      }
-      const cacheKey = `sched:${hub}:${dir}:${ts}:${pageNum}`;
-      const cached = cacheGet(cacheKey);
-      if (cached) {
-        res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
-        return res.status(200).json({ ...cached.data, cached: true });
-      }
-      const sched = await fetchOnePage(hub, dir, ts, pageNum);
-      cacheSet(cacheKey, sched, ttl);
-      res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
-      return res.status(200).json({ ...sched, cached: false });
-    }
-
-    // Aggregation mode: fetch all pages, filter DL, return combined
-    const aggKey = `agg:${hub}:${dir}:${ts}`;
-    const cached = cacheGet(aggKey);
-    if (cached) {
-      res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
-      return res.status(200).json({ ...cached.data, cached: true });
-    }
-
-    // Dedup concurrent aggregation requests for same key
-    if (pendingAggs.has(aggKey)) {
-      const result = await pendingAggs.get(aggKey);
-      res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
-      return res.status(200).json({ ...result, cached: true });
-    }
-
-    const HANDLER_TIMEOUT = 8000; // Return partial results before Vercel kills us
-    const aggPromise = (async () => {
-    const deadline = Date.now() + HANDLER_TIMEOUT;
-    const dayEnd = ts + 86400;
-    const allDLFlights = [];
-    let pageNum = 1;
-    let totalPages = 1;
-    const MAX_PAGES = 20;
-    let totalFetched = 0;
-    let partial = false;
-
-    while (pageNum <= totalPages && pageNum <= MAX_PAGES) {
-      if (Date.now() > deadline - 1000) { partial = true; break; } // 1s buffer
-      try {
-        var sched = await fetchOnePage(hub, dir, ts, pageNum, deadline);
-      } catch (e) {
-        if (e.name === 'AbortError' && allDLFlights.length > 0) { partial = true; break; }
-        throw e;
-      }
-      totalPages = sched.page?.total || 1;
-      if (!sched.data || sched.data.length === 0) break;
-
-      let pastDay = false;
-      for (const entry of sched.data) {
-        const fl = entry.flight;
-        if (!fl) continue;
-        if (fl.airline?.code?.iata !== 'DL') continue;
-        const schedDep = fl.time?.scheduled?.departure;
-        const schedArr = fl.time?.scheduled?.arrival;
-        const flightTime = dir === 'departures' ? schedDep : schedArr;
-        if (flightTime && flightTime >= dayEnd) { pastDay = true; break; }
-        allDLFlights.push(fl);
-      }
-      totalFetched += sched.data.length;
-      if (pastDay) break;
-      pageNum++;
-    }
-
-    const result = {
-      flights: allDLFlights,
-      total: allDLFlights.length,
-      totalFetched,
-      pagesScanned: Math.min(pageNum, totalPages, MAX_PAGES),
-      totalPages,
-      cached: false,
-      partial,
-      hub,
-      dir
-    };
-
-    // Only cache complete results for full TTL; partial gets short TTL
-    cacheSet(aggKey, result, partial ? 60000 : ttl);
-    return result;
-    })();
-
-    pendingAggs.set(aggKey, aggPromise);
-    try {
-      const result = await aggPromise;
-      res.setHeader('Cache-Control', `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
-      return res.status(200).json(result);
-    } finally {
-      pendingAggs.delete(aggKey);
-    }
-  } catch (e) {
-    console.error('Schedule API error:', e);
-    if (e.name === 'AbortError') return res.status(504).json({ error: 'Upstream timeout' });
-    return res.status(502).json({ error: 'Upstream service unavailable' });
-  }
+  // Aggregation mode
+  const { data: result, cached } = await getAggregatedSchedule(hub, dir, ts, airlines, ttl, cursor?.page);
+  // Keep partial results off the CDN for long so the complete day replaces them
+  res.setHeader('Cache-Control', result.partial ? 's-maxage=60' : `s-maxage=${cdnMaxAge}, stale-while-revalidate=${swr}`);
+  return res.status(200).json({ ...result, cached });
 }
+
+export default withMiddleware('Schedule API', [
+  cors(), methods('GET'), rateLimit(isRateLimited), query(querySchema, checkMode),
+], handler);
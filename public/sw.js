@@ -57,6 +57,9 @@ self.addEventListener('fetch', (event) => {
   // Required Chrome guard: these requests cannot be fulfilled with fetch() for non-same-origin mode.
   if (request.cache === 'only-if-cached' && request.mode !== 'same-origin') return;
 
+  // Event streams stay open indefinitely; never proxy or cache them.
+  if ((request.headers.get('accept') || '').includes('text/event-stream')) return;
+
   const url = new URL(request.url);
 
   // Let the browser handle all cross-origin resources directly (Leaflet/CDNs/tiles/etc).
@@ -16,13 +16,26 @@ echo "Timestamp: $TODAY_TS"
 WARMED=0
 FAILED=0
 
+MAX_RESUMES=6  # busy hubs come back partial; follow the cursor to finish the day
+BODY=$(mktemp)
+trap 'rm -f "$BODY"' EXIT
+
 for hub in "${HUBS[@]}"; do
   for dir in "${DIRS[@]}"; do
     URL="${BASE}/schedule?hub=${hub}&dir=${dir}&timestamp=${TODAY_TS}"
-    STATUS=$(curl -s -o /dev/null -w "%{http_code}" --max-time 30 "$URL")
-    if [ "$STATUS" = "200" ]; then
+    CURSOR=""
+    for ((i = 0; i <= MAX_RESUMES; i++)); do
+      STATUS=$(curl -s -o "$BODY" -w "%{http_code}" --max-time 30 "${URL}${CURSOR:+&cursor=${CURSOR}}")
+      CURSOR=$(grep -o '"cursor":"[0-9]*:[0-9]*"' "$BODY" | cut -d'"' -f4)
+      [ "$STATUS" = "200" ] && [ -n "$CURSOR" ] || break
+      sleep 3
+    done
+    if [ "$STATUS" = "200" ] && [ -z "$CURSOR" ]; then
       echo "  ✅ ${hub} ${dir} — 200"
       ((WARMED++))
+    elif [ "$STATUS" = "200" ]; then
+      echo "  ⚠️  ${hub} ${dir} — partial after $((MAX_RESUMES + 1)) calls"
+      ((FAILED++))
     else
       echo "  ❌ ${hub} ${dir} — ${STATUS}"
       ((FAILED++))
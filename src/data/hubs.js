@@ -17,6 +17,40 @@ export const hubNavLabels = {
   sea: 'SEA · Seattle',
 };
 
+/**
+ * Minimum connect times in minutes for Delta-to-Delta connections, used by
+ * /api/connection-risk. `terminalChange` applies when the inbound arrival and
+ * outbound departure terminals are both known and differ.
+ * Planning values, not the published MCT for any particular itinerary.
+ */
+export const hubMinConnect = {
+  atl: { sameTerminal: 40, terminalChange: 55 },
+  lga: { sameTerminal: 40, terminalChange: 60 },
+  jfk: { sameTerminal: 60, terminalChange: 90 },
+  bos: { sameTerminal: 45, terminalChange: 75 },
+  dtw: { sameTerminal: 45, terminalChange: 60 },
+  msp: { sameTerminal: 45, terminalChange: 75 },
+  slc: { sameTerminal: 40, terminalChange: 50 },
+  lax: { sameTerminal: 60, terminalChange: 90 },
+  sea: { sameTerminal: 50, terminalChange: 70 },
+};
+
+/**
+ * IANA time zone of each hub, which sets its operating day for the IROPS,
+ * schedule, route and OTP endpoints (see api/_time.js).
+ */
+export const hubTimeZones = {
+  atl: 'America/New_York',
+  lga: 'America/New_York',
+  jfk: 'America/New_York',
+  bos: 'America/New_York',
+  dtw: 'America/Detroit',
+  msp: 'America/Chicago',
+  slc: 'America/Denver',
+  lax: 'America/Los_Angeles',
+  sea: 'America/Los_Angeles',
+};
+
 export const hubs = {
 
 // ─── ATL ────────────────────────────────────────────────────────────────
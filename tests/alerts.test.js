@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { classifyHub, thresholdsFor } from '../api/_alerts.js';
+
+const base = { total: 1000, operated: 900, cancellations: 0, delayed60: 0, diversions: 0 };
+
+describe('classifyHub', () => {
+  it('is normal with no tripped thresholds', () => {
+    expect(classifyHub('ATL', base)).toEqual({ level: 'normal', reasons: [] });
+  });
+
+  it('judges rates, so hub size does not matter', () => {
+    // 5% cancelled at both a large and a small hub
+    expect(classifyHub('ATL', { ...base, cancellations: 50 }).level).toBe('elevated');
+    expect(classifyHub('SLC', { ...base, total: 300, operated: 280, cancellations: 15 }).level).toBe('elevated');
+  });
+
+  it('needs a minimum count before a rate can trip', () => {
+    // 2 of 20 is 10% but below the 3-cancellation floor
+    expect(classifyHub('SLC', { total: 20, operated: 18, cancellations: 2, delayed60: 0, diversions: 0 }).level).toBe('normal');
+  });
+
+  it('takes the worst metric and lists every reason, most severe first', () => {
+    const { level, reasons } = classifyHub('ATL', { ...base, cancellations: 250, delayed60: 100, diversions: 3 });
+    expect(level).toBe('meltdown');
+    expect(reasons).toEqual([
+      { metric: 'cancelRate', value: 0.25, count: 250, threshold: 0.2, level: 'meltdown' },
+      { metric: 'delay60Rate', value: 0.111, count: 100, threshold: 0.1, level: 'elevated' },
+    ]);
+  });
+
+  it('applies per-hub overrides', () => {
+    expect(thresholdsFor('LGA').delay60Rate).toMatchObject({ elevated: 0.15, minCount: 5 });
+    const counts = { ...base, delayed60: 110 }; // ~12% of operated
+    expect(classifyHub('ATL', counts).level).toBe('elevated');
+    expect(classifyHub('LGA', counts).level).toBe('normal');
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  createCache,
+  createMemoryBackend,
+  createFileBackend,
+  createRedisBackend,
+} from '../api/_cache.js';
+import { encodeCommand, parseReply, RedisError } from '../api/_redis.js';
+
+// Stand-in for a Redis connection: GET/SET PX/DEL against a Map
+function fakeRedisClient() {
+  const data = new Map();
+  const calls = [];
+  return {
+    calls,
+    async command(cmd, key, value, px, ms) {
+      calls.push([cmd, key, px, ms]);
+      if (cmd === 'GET') return data.get(key) ?? null;
+      if (cmd === 'SET') { data.set(key, value); return 'OK'; }
+      if (cmd === 'DEL') return data.delete(key) ? 1 : 0;
+      throw new Error('unsupported ' + cmd);
+    },
+  };
+}
+
+describe('createMemoryBackend', () => {
+  it('evicts the least recently used entry', async () => {
+    const backend = createMemoryBackend({ maxEntries: 2 });
+    const entry = (data) => ({ data, time: Date.now(), expires: Date.now() + 1000, staleUntil: Date.now() + 1000 });
+    await backend.set('a', entry(1));
+    await backend.set('b', entry(2));
+    await backend.get('a'); // touch a — b is now oldest
+    await backend.set('c', entry(3));
+    expect(await backend.get('a')).not.toBeNull();
+    expect(await backend.get('b')).toBeNull();
+    expect(await backend.get('c')).not.toBeNull();
+  });
+});
+
+describe('createCache', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('returns null on a miss and data on a hit', async () => {
+    const cache = createCache('t-hit', { backend: createMemoryBackend() });
+    expect(await cache.get('k')).toBeNull();
+    await cache.set('k', { v: 1 }, 1000);
+    const hit = await cache.get('k');
+    expect(hit.data).toEqual({ v: 1 });
+    expect(hit.stale).toBe(false);
+  });
+
+  it('expires entries after the TTL', async () => {
+    const cache = createCache('t-ttl', { backend: createMemoryBackend() });
+    await cache.set('k', 1, 1000);
+    vi.advanceTimersByTime(1001);
+    expect(await cache.get('k')).toBeNull();
+  });
+
+  it('keeps entries as stale during the stale window', async () => {
+    const cache = createCache('t-stale', { backend: createMemoryBackend() });
+    await cache.set('k', 1, 1000, 5000);
+    vi.advanceTimersByTime(2000);
+    const hit = await cache.get('k');
+    expect(hit.data).toBe(1);
+    expect(hit.stale).toBe(true);
+  });
+
+  it('wrap de-duplicates concurrent fetches', async () => {
+    const cache = createCache('t-dedup', { backend: createMemoryBackend() });
+    let calls = 0;
+    let release;
+    const fetcher = () => { calls++; return new Promise(r => { release = r; }); };
+    const a = cache.wrap('k', fetcher, { ttl: 1000 });
+    const b = cache.wrap('k', fetcher, { ttl: 1000 });
+    await vi.waitFor(() => expect(release).toBeTypeOf('function'));
+    release('value');
+    const [ra, rb] = await Promise.all([a, b]);
+    expect(calls).toBe(1);
+    expect(ra).toMatchObject({ data: 'value', cached: false });
+    expect(rb).toMatchObject({ data: 'value', cached: true });
+    // Now cached
+    expect(await cache.wrap('k', fetcher, { ttl: 1000 })).toMatchObject({ data: 'value', cached: true });
+    expect(calls).toBe(1);
+  });
+
+  it('wrap accepts a TTL function of the fetched data', async () => {
+    const cache = createCache('t-ttlfn', { backend: createMemoryBackend() });
+    await cache.wrap('k', async () => ({ partial: true }), { ttl: (d) => d.partial ? 100 : 10_000 });
+    vi.advanceTimersByTime(200);
+    expect(await cache.get('k')).toBeNull();
+  });
+
+  it('wrap refetches a fresh hit that accept rejects, sharing the run', async () => {
+    const cache = createCache('t-accept', { backend: createMemoryBackend() });
+    await cache.set('k', { partial: true }, 10_000);
+    const fetcher = vi.fn(async () => ({ partial: false }));
+    const accept = (d) => !d.partial;
+    const [a, b] = await Promise.all([cache.wrap('k', fetcher, { ttl: 10_000, accept }), cache.wrap('k', fetcher, { ttl: 10_000, accept })]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(a).toMatchObject({ data: { partial: false }, cached: false });
+    expect(b).toMatchObject({ data: { partial: false }, cached: true });
+    expect((await cache.wrap('k', fetcher, { ttl: 10_000, accept })).cached).toBe(true);
+  });
+
+  it('wrap with swr serves stale and refreshes in the background', async () => {
+    const cache = createCache('t-swr', { backend: createMemoryBackend() });
+    await cache.set('k', 'old', 1000, 10_000);
+    vi.advanceTimersByTime(1500);
+    const fetcher = vi.fn(async () => 'new');
+    const result = await cache.wrap('k', fetcher, { ttl: 1000, staleTtl: 10_000, swr: true });
+    expect(result).toMatchObject({ data: 'old', stale: true });
+    await vi.waitFor(async () => expect((await cache.get('k')).data).toBe('new'));
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('wrap serves stale data when a refresh fails', async () => {
+    const cache = createCache('t-sie', { backend: createMemoryBackend() });
+    await cache.set('k', 'old', 1000, 10_000);
+    vi.advanceTimersByTime(1500);
+    const result = await cache.wrap('k', async () => { throw new Error('down'); }, { ttl: 1000 });
+    expect(result).toMatchObject({ data: 'old', stale: true });
+    expect(result.error.message).toBe('down');
+  });
+
+  it('wrap rethrows when nothing is cached', async () => {
+    const cache = createCache('t-throw', { backend: createMemoryBackend() });
+    await expect(cache.wrap('k', async () => { throw new Error('down'); }, { ttl: 1000 })).rejects.toThrow('down');
+  });
+
+  it('treats backend errors as misses', async () => {
+    const broken = { get: async () => { throw new Error('boom'); }, set: async () => { throw new Error('boom'); }, delete: async () => {} };
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const cache = createCache('t-broken', { backend: broken });
+    expect(await cache.get('k')).toBeNull();
+    expect((await cache.wrap('k', async () => 5, { ttl: 1000 })).data).toBe(5);
+    spy.mockRestore();
+  });
+});
+
+describe('createFileBackend', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'ww-cache-')); });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it('shares entries between cache instances on the same directory', async () => {
+    const a = createCache('fs', { backend: createFileBackend(dir) });
+    const b = createCache('fs', { backend: createFileBackend(dir) });
+    await a.set('page:1', { rows: [1, 2] }, 60_000);
+    expect((await b.get('page:1')).data).toEqual({ rows: [1, 2] });
+    await b.delete('page:1');
+    expect(await a.get('page:1')).toBeNull();
+  });
+});
+
+describe('createRedisBackend', () => {
+  it('stores JSON entries with a PX expiry covering the stale window', async () => {
+    const client = fakeRedisClient();
+    const cache = createCache('sched', { backend: createRedisBackend(client) });
+    await cache.set('agg:ATL', { total: 3 }, 1000, 4000);
+    const [, key, px, ms] = client.calls.find(c => c[0] === 'SET');
+    expect(key).toBe('ww:cache:sched:agg:ATL');
+    expect(px).toBe('PX');
+    expect(ms).toBeGreaterThan(4000);
+    expect((await cache.get('agg:ATL')).data).toEqual({ total: 3 });
+  });
+});
+
+describe('RESP codec', () => {
+  it('encodes commands as arrays of bulk strings', () => {
+    expect(encodeCommand(['SET', 'k', 'vé'])).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\nvé\r\n');
+  });
+
+  it('parses simple, integer, bulk, null and array replies', () => {
+    expect(parseReply(Buffer.from('+OK\r\n'))).toEqual(['OK', 5]);
+    expect(parseReply(Buffer.from(':42\r\n'))).toEqual([42, 5]);
+    expect(parseReply(Buffer.from('$5\r\nhello\r\n'))).toEqual(['hello', 11]);
+    expect(parseReply(Buffer.from('$-1\r\n'))).toEqual([null, 5]);
+    expect(parseReply(Buffer.from('*2\r\n:1\r\n$1\r\na\r\n'))[0]).toEqual([1, 'a']);
+  });
+
+  it('returns null for incomplete replies', () => {
+    expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    expect(parseReply(Buffer.from('*2\r\n:1\r\n'))).toBeNull();
+  });
+
+  it('parses error replies into RedisError values', () => {
+    const [err] = parseReply(Buffer.from('-ERR wrong type\r\n'));
+    expect(err).toBeInstanceOf(RedisError);
+    expect(err.message).toBe('ERR wrong type');
+  });
+});
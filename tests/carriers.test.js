@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { carrierCode, classifyFlight, isCarrierFlight, withOperation } from '../api/_carriers.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const flight = ({ number, airline = 'DL', owner, callsign }) => scheduleFlight(number, { airline, owner, callsign });
+
+describe('carrierCode', () => {
+  it('maps ICAO codes to IATA and upper-cases', () => {
+    expect(carrierCode('skw')).toBe('OO');
+    expect(carrierCode('EDV')).toBe('9E');
+    expect(carrierCode('dl')).toBe('DL');
+    expect(carrierCode('ual')).toBe('UAL');
+  });
+});
+
+describe('isCarrierFlight', () => {
+  const mainline = flight({ number: 'DL838', owner: 'DAL', callsign: 'DAL838' });
+  const skywest = flight({ number: 'DL3954', owner: 'SKW', callsign: 'SKW3954' });
+  const endeavor = flight({ number: 'DL5012', callsign: 'EDV5012' });
+  const skywestForUnited = flight({ number: 'UA5210', airline: 'UA', owner: 'SKW', callsign: 'SKW5210' });
+
+  it('DL alone is mainline only', () => {
+    expect(isCarrierFlight(mainline, ['DL'])).toBe(true);
+    expect(isCarrierFlight(skywest, ['DL'])).toBe(false);
+    expect(isCarrierFlight(endeavor, ['DL'])).toBe(false);
+  });
+
+  it('matches partners by operator or callsign prefix', () => {
+    expect(isCarrierFlight(skywest, ['DL', 'OO'])).toBe(true);
+    expect(isCarrierFlight(endeavor, ['9E'])).toBe(true);
+    expect(isCarrierFlight(endeavor, ['OO'])).toBe(false);
+  });
+
+  it('ignores partner flying for other brands', () => {
+    expect(isCarrierFlight(skywestForUnited, ['DL', 'OO', '9E', 'YX'])).toBe(false);
+  });
+
+  it('keeps Connection flights with no operator data in every DL or partner set', () => {
+    const unconfirmed = flight({ number: 'DL5123' });
+    expect(isCarrierFlight(unconfirmed, ['DL', 'OO', '9E', 'YX'])).toBe(true);
+    expect(isCarrierFlight(unconfirmed, ['9E'])).toBe(true);
+    expect(isCarrierFlight(flight({ number: 'DL3600' }), ['DL'])).toBe(true);
+  });
+
+  it('counts mainline with no operator data', () => {
+    expect(isCarrierFlight(flight({ number: 'DL100' }), ['DL'])).toBe(true);
+    expect(isCarrierFlight(flight({ number: 'AA1', airline: 'AA' }), ['DL'])).toBe(false);
+  });
+});
+
+describe('classifyFlight', () => {
+  it('uses the operator or callsign when FR24 has one', () => {
+    expect(classifyFlight(flight({ number: 'DL838', owner: 'DAL' }))).toEqual({ carrier: 'DL', name: 'Delta Air Lines', connection: false });
+    expect(classifyFlight(flight({ number: 'DL5012', callsign: 'EDV5012' }))).toEqual({ carrier: '9E', name: 'Endeavor Air', connection: true });
+    expect(classifyFlight(flight({ number: 'DL5800', owner: 'RPA' })).carrier).toBe('YX');
+  });
+
+  it('only suggests a partner from the DL flight-number ranges', () => {
+    const unconfirmed = (likely) => ({ carrier: null, name: 'Delta Connection', connection: true, likely });
+    expect(classifyFlight(flight({ number: 'DL3500' }))).toEqual(unconfirmed('OO'));
+    expect(classifyFlight(flight({ number: 'DL4627' }))).toEqual(unconfirmed('OO'));
+    expect(classifyFlight(flight({ number: 'DL5300' }))).toEqual(unconfirmed('9E'));
+    expect(classifyFlight(flight({ number: 'DL5800' }))).toEqual(unconfirmed('YX'));
+    expect(classifyFlight(flight({ number: 'DL3100' }))).toEqual(unconfirmed(null));
+    expect(classifyFlight(flight({ number: 'DL2999' })).carrier).toBe('DL');
+    expect(classifyFlight(flight({ number: 'DL7001' })).carrier).toBe('DL');
+  });
+
+  it('the operator wins over the number range', () => {
+    expect(classifyFlight(flight({ number: 'DL3600', callsign: 'EDV3600' })).carrier).toBe('9E');
+  });
+
+  it('is null for flights that are not DL-branded', () => {
+    expect(classifyFlight(flight({ number: 'UA5210', airline: 'UA', owner: 'SKW' }))).toBeNull();
+  });
+
+  it('withOperation copies instead of mutating', () => {
+    const fl = flight({ number: 'DL3954', owner: 'SKW' });
+    expect(withOperation(fl).operation.carrier).toBe('OO');
+    expect(fl).not.toHaveProperty('operation');
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { assessConnection, DEFAULT_MIN_CONNECT, RISK_BUFFER_MINUTES } from '../api/connection-risk.js';
+import { hubMinConnect } from '../src/data/hubs.js';
+
+const t = Date.UTC(2026, 2, 27, 18);
+const iso = (min) => new Date(t + min * 60000).toISOString();
+const times = (over = {}) => ({ scheduled: '', estimated: '', actual: '', ...over });
+
+function inbound({ gate = {}, terminal = 'S', cancelled = false, diverted = false } = {}) {
+  return { flight: 'DL123', destination: { iata: 'ATL', terminal }, arrival: { gate: times(gate) }, cancelled, diverted };
+}
+
+function outbound({ gate = {}, terminal = 'S', cancelled = false } = {}) {
+  return { flight: 'DL456', origin: { iata: 'ATL', terminal }, departure: { gate: times(gate) }, cancelled };
+}
+
+describe('assessConnection', () => {
+  it('measures slack past the hub minimum connect time', () => {
+    const r = assessConnection(inbound({ gate: { scheduled: iso(0) } }), outbound({ gate: { scheduled: iso(90) } }), 'ATL');
+    expect(r).toMatchObject({ risk: 'low', reason: null, connectMinutes: 90, minConnect: hubMinConnect.atl.sameTerminal, slack: 50, terminalChange: false });
+  });
+
+  it('prefers actual, then estimated, over scheduled times', () => {
+    const r = assessConnection(
+      inbound({ gate: { scheduled: iso(0), estimated: iso(30) } }),
+      outbound({ gate: { scheduled: iso(60), estimated: iso(80) } }),
+      'ATL',
+    );
+    expect(r.arrival.source).toBe('estimated');
+    expect(r.connectMinutes).toBe(50);
+    expect(r.risk).toBe('moderate'); // 10 min past the 40 min minimum
+  });
+
+  it('uses the terminal-change minimum when terminals differ', () => {
+    const r = assessConnection(inbound({ gate: { scheduled: iso(0) }, terminal: 'F' }), outbound({ gate: { scheduled: iso(50) } }), 'ATL');
+    expect(r).toMatchObject({ terminalChange: true, minConnect: hubMinConnect.atl.terminalChange, risk: 'high' });
+  });
+
+  it('treats unknown terminals as no change', () => {
+    const r = assessConnection(inbound({ gate: { scheduled: iso(0) }, terminal: '' }), outbound({ gate: { scheduled: iso(60) } }), 'ATL');
+    expect(r.terminalChange).toBeNull();
+    expect(r.minConnect).toBe(hubMinConnect.atl.sameTerminal);
+  });
+
+  it('falls back to the default minimum for other airports', () => {
+    const r = assessConnection(inbound({ gate: { scheduled: iso(0) } }), outbound({ gate: { scheduled: iso(DEFAULT_MIN_CONNECT.sameTerminal + RISK_BUFFER_MINUTES) } }), 'CVG');
+    expect(r).toMatchObject({ minConnect: DEFAULT_MIN_CONNECT.sameTerminal, slack: RISK_BUFFER_MINUTES, risk: 'low' });
+  });
+
+  it('is missed when a flight is cancelled or the outbound leaves first', () => {
+    const arr = { gate: { scheduled: iso(0) } };
+    const dep = { gate: { scheduled: iso(60) } };
+    expect(assessConnection(inbound({ ...arr, cancelled: true }), outbound(dep), 'ATL')).toMatchObject({ risk: 'missed', reason: 'inbound-cancelled' });
+    expect(assessConnection(inbound({ ...arr, diverted: true }), outbound(dep), 'ATL')).toMatchObject({ risk: 'missed', reason: 'inbound-diverted' });
+    expect(assessConnection(inbound(arr), outbound({ ...dep, cancelled: true }), 'ATL')).toMatchObject({ risk: 'missed', reason: 'outbound-cancelled' });
+    expect(assessConnection(inbound({ gate: { estimated: iso(70) } }), outbound(dep), 'ATL')).toMatchObject({ risk: 'missed', reason: 'outbound-before-arrival' });
+    expect(assessConnection(inbound({ gate: { estimated: iso(70) } }), outbound({ gate: { actual: iso(65) } }), 'ATL')).toMatchObject({ reason: 'outbound-departed' });
+  });
+
+  it('returns null without gate times', () => {
+    expect(assessConnection(inbound(), outbound({ gate: { scheduled: iso(60) } }), 'ATL')).toBeNull();
+  });
+});
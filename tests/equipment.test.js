@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import {
+  seatMap, classifySwap, addObservation, trackEquipment, seatImpact,
+  createMemoryEquipmentStore, createRedisEquipmentStore,
+} from '../api/_equipment.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const seen = (type, registration = null, seenAt = '2026-03-27T12:00:00.000Z') => ({ type, registration, seenAt });
+
+describe('seatMap', () => {
+  it('uses the registration\'s own config when known', () => {
+    expect(seatMap('B739', 'N801DZ')).toEqual({ seats: { F: 20, 'C+': 27, Y: 133 }, total: 180 });
+  });
+
+  it('falls back to the most common config for the type', () => {
+    expect(seatMap('A321')).toEqual({ seats: { F: 20, 'C+': 35, Y: 136 }, total: 191 });
+    expect(seatMap('ZZZZ')).toBeNull();
+  });
+});
+
+describe('classifySwap', () => {
+  it('ranks by premium seats before total seats', () => {
+    // Same First cabin, 55 → 47 premium seats
+    expect(classifySwap(seen('A321'), seen('B739', 'N801DZ'))).toEqual({ classification: 'downgrade', seats: { from: 191, to: 180 } });
+    expect(classifySwap(seen('B717'), seen('A321'))).toMatchObject({ classification: 'upgrade' });
+  });
+
+  it('is lateral for the same seat map and null without one', () => {
+    expect(classifySwap(seen('A321'), seen('A321')).classification).toBe('lateral');
+    expect(classifySwap(seen('A321'), seen('ZZZZ'))).toEqual({ classification: null, seats: { from: 191, to: null } });
+  });
+});
+
+describe('addObservation', () => {
+  it('fills in a registration for the same type', () => {
+    const h = addObservation([seen('A321')], seen('A321', 'N501DA', 'later'));
+    expect(h).toEqual([seen('A321', 'N501DA')]);
+  });
+
+  it('appends a type or tail change and keeps the first-seen entry', () => {
+    let h = [seen('A321', 'N501DA')];
+    h = addObservation(h, seen('A321', 'N502DA'));
+    h = addObservation(h, seen('B739'));
+    expect(h.map(x => [x.type, x.registration])).toEqual([['A321', 'N501DA'], ['A321', 'N502DA'], ['B739', null]]);
+    for (let i = 0; i < 20; i++) h = addObservation(h, seen(i % 2 ? 'A321' : 'B739'));
+    expect(h).toHaveLength(10);
+    expect(h[0].registration).toBe('N501DA');
+  });
+});
+
+describe('trackEquipment', () => {
+  const sched = Math.floor(Date.now() / 1000) + 3600;
+  const flight = (type, registration) => scheduleFlight('DL42', { from: 'SEA', type, registration, dep: sched });
+
+  it('annotates a swap against the first aircraft seen for the flight', async () => {
+    const [first] = await trackEquipment('SEA', 'departures', [flight('A321', null)]);
+    expect(first.equipmentSwap).toBeNull();
+    expect(first.equipmentHistory).toHaveLength(1);
+
+    const [later] = await trackEquipment('SEA', 'departures', [flight('B739', 'N801DZ')]);
+    expect(later.equipmentHistory.map(h => h.type)).toEqual(['A321', 'B739']);
+    expect(later.equipmentSwap).toEqual({ from: 'A321', to: 'B739', classification: 'downgrade', seats: { from: 191, to: 180 } });
+  });
+
+  it('leaves flights without a known aircraft unannotated', async () => {
+    const [fl] = await trackEquipment('SEA', 'arrivals', [scheduleFlight('DL1', { to: 'SEA', type: null })]);
+    expect(fl).toMatchObject({ equipmentHistory: [], equipmentSwap: null });
+  });
+});
+
+describe('equipment stores', () => {
+  const seen = (type) => (history) => addObservation(history, { type, registration: null, seenAt: '2026-03-27T12:00:00.000Z' });
+
+  it('keeps each flight\'s history and drops flights before the cutoff', async () => {
+    const store = createMemoryEquipmentStore();
+    await store.update('ATL:departures', { 'DL1:200': seen('A321'), 'DL2:100': seen('B739') }, 0);
+    const out = await store.update('ATL:departures', { 'DL1:200': seen('B739') }, 150);
+    expect(out['DL1:200'].map(h => h.type)).toEqual(['A321', 'B739']);
+    expect((await store.update('ATL:departures', { 'DL2:100': seen('A321') }, 0))['DL2:100']).toHaveLength(1);
+  });
+
+  it('retries a flight another instance wrote first, keeping its first-seen aircraft', async () => {
+    const theirs = JSON.stringify([{ type: 'A321', registration: null, seenAt: '2026-03-27T11:59:00.000Z' }]);
+    const calls = [];
+    const replies = [[null, null], [theirs, 1], [1]];
+    const client = { async command(...args) { calls.push(args); return replies.shift(); } };
+    const out = await createRedisEquipmentStore(client).update('ATL:departures', { 'DL1:1': seen('B739'), 'DL2:1': seen('A321') }, 0);
+    expect(calls[0]).toEqual(['HMGET', 'ww:equipment:ATL:departures', 'DL1:1', 'DL2:1']);
+    expect(calls[1].slice(0, 3)).toEqual(['EVAL', expect.stringContaining('HSET'), 1]);
+    expect(calls[1].slice(6, 8)).toEqual(['DL1:1', '']);
+    // Second round only for the contended flight, against what the other instance wrote
+    expect(calls[2].slice(6)).toEqual(['DL1:1', theirs, expect.any(String)]);
+    expect(out['DL1:1'].map(h => h.type)).toEqual(['A321', 'B739']);
+    expect(out['DL2:1'].map(h => h.type)).toEqual(['A321']);
+  });
+});
+
+describe('seatImpact', () => {
+  const status = (text) => ({ generic: { status: { text } } });
+
+  it('nets seats across swaps and falls back to the first aircraft seen on a cancellation', () => {
+    const impact = seatImpact([
+      { status: status('scheduled'), equipmentSwap: { from: 'A321', to: 'B739', seats: { from: 191, to: 180 } } },
+      { status: status('scheduled'), equipmentSwap: { from: 'A321', to: 'ZZZZ', seats: { from: 191, to: null } } },
+      { status: status('canceled'), equipmentHistory: [seen('B739', 'N801DZ')] },
+      { status: status('landed') },
+    ]);
+    expect(impact).toEqual({ cancelled: 1, seatsLost: 180, swaps: 2, netSwapSeats: -11, unknown: 1, strandedEstimate: 153 });
+  });
+});
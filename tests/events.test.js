@@ -0,0 +1,115 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { diffSchedule, recordSchedule, setEventStore, createMemorySeenStore, createRedisSeenStore, DELAY_JUMP_MINUTES } from '../api/_events.js';
+import { createMemorySnapshotStore } from '../api/_snapshots.js';
+import { eventTitle, toRss, toAtom } from '../api/events.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const t = 1774634400; // 2026-03-27T18:00:00Z
+const at = '2026-03-27T17:00:00.000Z';
+const ctx = { hub: 'ATL', dir: 'departures', at };
+
+const flight = (num, { status = 'scheduled', est = null, type = 'A321', sched = t } = {}) =>
+  scheduleFlight(num, { status, type, dep: sched, estDep: est });
+
+describe('diffSchedule', () => {
+  it('records state without events on first sight', () => {
+    const { events, seen } = diffSchedule({}, [flight('DL1', { status: 'canceled' })], ctx);
+    expect(events).toEqual([]);
+    expect(seen[`DL1:${t}`]).toEqual({ status: 'cancelled', delay: null, equipment: 'A321' });
+  });
+
+  it('emits cancellations, diversions and equipment swaps once', () => {
+    const { seen } = diffSchedule({}, [flight('DL1'), flight('DL2', { status: 'departed' }), flight('DL3')], ctx);
+    const next = [flight('DL1', { status: 'canceled' }), flight('DL2', { status: 'diverted' }), flight('DL3', { type: 'B739' })];
+    const first = diffSchedule(seen, next, ctx);
+    expect(first.events.map(e => e.type)).toEqual(['cancelled', 'diverted', 'equipment']);
+    expect(first.events[0]).toMatchObject({ id: `cancelled:DL1:${t}`, hub: 'ATL', dir: 'departures', flight: 'DL1', route: 'ATL→LAX', at, details: null });
+    expect(first.events[2].details).toEqual({ from: 'A321', to: 'B739' });
+    expect(diffSchedule(first.seen, next, ctx).events).toEqual([]);
+  });
+
+  it(`emits a delay event when the delay grows by ${DELAY_JUMP_MINUTES}+ minutes`, () => {
+    const { seen } = diffSchedule({}, [flight('DL1', { est: t + 600 })], ctx);
+    expect(diffSchedule(seen, [flight('DL1', { est: t + 1800 })], ctx).events).toEqual([]);
+    const { events } = diffSchedule(seen, [flight('DL1', { est: t + 2700 })], ctx);
+    expect(events).toEqual([expect.objectContaining({ type: 'delay', id: `delay:DL1:${t}:45`, details: { from: 10, to: 45 } })]);
+  });
+
+  it('keeps flights missing from the new aggregation until they age out', () => {
+    const { seen } = diffSchedule({}, [flight('DL1'), flight('DL2', { sched: t - 3 * 86400 })], ctx);
+    const next = diffSchedule(seen, [], ctx).seen;
+    expect(Object.keys(next)).toEqual([`DL1:${t}`]);
+  });
+});
+
+describe('recordSchedule', () => {
+  afterEach(() => setEventStore(null));
+
+  it('diffs against the previous aggregation and stores events', async () => {
+    const store = createMemorySnapshotStore(100, { timeKey: 'at' });
+    setEventStore(store);
+    const sched = Math.floor(Date.now() / 1000) + 3600;
+    await recordSchedule('DTW', 'arrivals', [{ ...flight('DL9'), time: { scheduled: { arrival: sched } } }]);
+    const events = await recordSchedule('DTW', 'arrivals', [{ ...flight('DL9', { status: 'canceled' }), time: { scheduled: { arrival: sched } } }]);
+    expect(events).toHaveLength(1);
+    const stored = await store.list({ from: 0, to: Date.now() + 1000 });
+    expect(stored.map(e => e.id)).toEqual([`cancelled:DL9:${sched}`]);
+  });
+
+  it('records a change once when two refreshes of the same board race', async () => {
+    const store = createMemorySnapshotStore(100, { timeKey: 'at' });
+    setEventStore(store);
+    const sched = Math.floor(Date.now() / 1000) + 7200;
+    await recordSchedule('MSP', 'departures', [flight('DL7', { sched })]);
+    const cancelled = [flight('DL7', { status: 'canceled', sched })];
+    const [a, b] = await Promise.all([recordSchedule('MSP', 'departures', cancelled), recordSchedule('MSP', 'departures', cancelled)]);
+    expect(a.length + b.length).toBe(1);
+  });
+});
+
+describe('seen stores', () => {
+  it('swap returns the replaced state per flight and drops aged-out flights', async () => {
+    const seen = createMemorySeenStore();
+    expect(await seen.swap('ATL:departures', { [`DL1:${t}`]: { status: 'scheduled' }, 'DL2:100': { status: 'landed' } }, t - 3600)).toEqual({});
+    expect(await seen.swap('ATL:departures', { [`DL1:${t}`]: { status: 'cancelled' }, 'DL2:100': { status: 'landed' } }, t - 3600))
+      .toEqual({ [`DL1:${t}`]: { status: 'scheduled' } });
+  });
+
+  it('swaps every field in one Redis script', async () => {
+    const calls = [];
+    const client = { async command(...args) { calls.push(args); return [JSON.stringify({ status: 'scheduled' }), null]; } };
+    const previous = await createRedisSeenStore(client).swap('ATL:departures', { 'DL1:1': { status: 'cancelled' }, 'DL2:1': { status: 'scheduled' } }, 0);
+    expect(previous).toEqual({ 'DL1:1': { status: 'scheduled' } });
+    expect(calls).toHaveLength(1);
+    expect(calls[0].slice(0, 3)).toEqual(['EVAL', expect.stringContaining('HSET'), 1]);
+    expect(calls[0].slice(3)).toEqual(['ww:events:seen:ATL:departures', 36 * 3_600_000, 0,
+      'DL1:1', '{"status":"cancelled"}', 'DL2:1', '{"status":"scheduled"}']);
+  });
+});
+
+describe('feeds', () => {
+  const event = {
+    id: `equipment:DL1:${t}:B739`, type: 'equipment', at, hub: 'ATL', dir: 'departures',
+    flight: 'DL1', route: 'ATL→LAX', scheduled: '2026-03-27T18:00:00.000Z', details: { from: 'A321', to: 'B739' },
+  };
+
+  it('titles events', () => {
+    expect(eventTitle(event)).toBe('DL1 ATL→LAX equipment change A321 → B739');
+  });
+
+  it('renders RSS 2.0 items with a stable guid', () => {
+    const xml = toRss([event], 'https://widgetwatch.org/api/events?format=rss');
+    expect(xml).toContain('<rss version="2.0"');
+    expect(xml).toContain(`<guid isPermaLink="false">${event.id}</guid>`);
+    expect(xml).toContain('<link>https://widgetwatch.org/hubs/atl</link>');
+    expect(xml).toContain(`<pubDate>${new Date(at).toUTCString()}</pubDate>`);
+  });
+
+  it('renders Atom entries and escapes text', () => {
+    const xml = toAtom([{ ...event, route: 'ATL→<LAX>' }], 'https://widgetwatch.org/api/events?format=atom&hub=ATL');
+    expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(xml).toContain(`<updated>${at}</updated>`);
+    expect(xml).toContain('ATL→&lt;LAX&gt;');
+    expect(xml).toContain('href="https://widgetwatch.org/api/events?format=atom&amp;hub=ATL"');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { feedFlights, getPhase, normalizeFeedEntry, normalizeFeed, getFeed } from '../api/_feed.js';
+
+// feed.js array as FR24 sends it
+const CRUISING = ['A1B2C3', 33.64, -84.43, 270, 35000, 452, '2345', 'F-KATL1', 'A321', 'N501DA', 1774634400, 'ATL', 'LAX', 'DL838', 0, 0, 'DAL838', 0, 'DAL'];
+const PARKED = ['A4D5E6', 40.64, -73.78, 90, 0, 0, '', 'T-KJFK2', 'B739', 'N801DZ', 1774634400, '', '', '', 1, 0, '', 0, 'DAL'];
+
+describe('feedFlights', () => {
+  it('drops counters and non-array entries', () => {
+    expect(feedFlights({ full_count: 3, version: 4, stats: {}, a1: ['X', 1, 2], junk: 'x' })).toEqual({ a1: ['X', 1, 2] });
+  });
+});
+
+describe('getPhase', () => {
+  it('classifies by altitude, vertical rate and speed', () => {
+    expect(getPhase(0, 0, 10)).toBe('Ground');
+    expect(getPhase(2000, 1500, 180)).toBe('Takeoff');
+    expect(getPhase(3000, -800, 160)).toBe('Approach');
+    expect(getPhase(18000, 2000, 400)).toBe('Climb');
+    expect(getPhase(20000, -1500, 400)).toBe('Descent');
+    expect(getPhase(36000, 0, 460)).toBe('Cruise');
+    expect(getPhase(15000, 0, 300)).toBe('En Route');
+  });
+
+  it('treats missing values as unknown, not zero', () => {
+    expect(getPhase(null, null, null)).toBe('En Route');
+    expect(getPhase(50, null, null)).toBe('En Route');
+  });
+});
+
+describe('normalizeFeedEntry', () => {
+  it('names every field and keeps FR24 units explicit', () => {
+    expect(normalizeFeedEntry('3a1b2c4d', CRUISING)).toEqual({
+      id: '3a1b2c4d',
+      icao24: 'A1B2C3',
+      flight: 'DL838',
+      callsign: 'DAL838',
+      airline: 'DAL',
+      aircraft: { type: 'A321', registration: 'N501DA' },
+      origin: 'ATL',
+      destination: 'LAX',
+      position: {
+        lat: 33.64,
+        lon: -84.43,
+        altitudeFt: 35000,
+        groundSpeedKts: 452,
+        trackDeg: 270,
+        verticalRateFpm: 0,
+        onGround: false,
+      },
+      squawk: '2345',
+      updatedAt: '2026-03-27T18:00:00.000Z',
+      phase: 'Cruise',
+    });
+  });
+
+  it('uses null for empty strings and flags aircraft on the ground', () => {
+    const f = normalizeFeedEntry('x', PARKED);
+    expect(f).toMatchObject({ flight: null, callsign: null, origin: null, destination: null, squawk: null, phase: 'Ground' });
+    expect(f.position.onGround).toBe(true);
+  });
+
+  it('tolerates short arrays', () => {
+    const f = normalizeFeedEntry('y', ['ABC123', 10, 20]);
+    expect(f.position).toMatchObject({ lat: 10, lon: 20, altitudeFt: null, groundSpeedKts: null });
+    expect(f.updatedAt).toBeNull();
+  });
+});
+
+describe('normalizeFeed', () => {
+  it('wraps flights with feed metadata', () => {
+    const out = normalizeFeed({ full_count: 12000, version: 4, a: CRUISING, b: PARKED }, Date.UTC(2026, 2, 27, 18, 0, 15));
+    expect(out.format).toBe('normalized');
+    expect(out.fetchedAt).toBe('2026-03-27T18:00:15.000Z');
+    expect(out.fullCount).toBe(12000);
+    expect(out.flights.map(f => f.id)).toEqual(['a', 'b']);
+  });
+});
+
+describe('getFeed', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('caches each airline separately', async () => {
+    vi.stubGlobal('fetch', vi.fn(async (url) => new Response(JSON.stringify({ full_count: 1, airline: new URL(url).searchParams.get('airline') }))));
+    expect((await getFeed('DAL')).feed.airline).toBe('DAL');
+    expect((await getFeed('SKW')).feed.airline).toBe('SKW');
+    expect((await getFeed('DAL')).feed.airline).toBe('DAL');
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the shared fetch going when the first caller aborts', async () => {
+    let respond;
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      respond = () => resolve(new Response(JSON.stringify({ full_count: 2 })));
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })));
+    const first = new AbortController();
+    const leaving = getFeed('UAL', { signal: first.signal });
+    const staying = getFeed('UAL');
+    await vi.waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    first.abort();
+    await expect(leaving).rejects.toMatchObject({ name: 'AbortError' });
+    respond();
+    expect((await staying).feed.full_count).toBe(2);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import flightHistory, { toInstance, summarizeHistory, findScheduled, withScheduledTimes } from '../api/flight-history.js';
+import { isGloballyLimited } from '../api/_fr24.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+// 2026-03-26 23:30Z — still the 26th in Atlanta, already the 27th in UTC
+const takeoff = Date.UTC(2026, 2, 26, 23, 30) / 1000;
+
+function summary(overrides = {}) {
+  return {
+    fr24_id: '3a1b2c3d',
+    flight: 'DL838',
+    orig_icao: 'KATL',
+    dest_icao: 'KLAX',
+    dest_icao_actual: 'KLAX',
+    reg: 'N123DN',
+    type: 'A321',
+    scheduled_departure: takeoff - 30 * 60,
+    datetime_departure: takeoff - 10 * 60,
+    datetime_takeoff: new Date(takeoff * 1000).toISOString(),
+    datetime_landed: new Date((takeoff + 270 * 60) * 1000).toISOString(),
+    flight_ended: true,
+    ...overrides,
+  };
+}
+
+describe('toInstance', () => {
+  it('maps airports, times and departure delay', () => {
+    expect(toInstance(summary())).toEqual({
+      date: '2026-03-26',
+      fr24Id: '3a1b2c3d',
+      origin: 'ATL',
+      destination: 'LAX',
+      divertedTo: null,
+      registration: 'N123DN',
+      type: 'A321',
+      scheduledDeparture: '2026-03-26T23:00:00.000Z',
+      actualDeparture: '2026-03-26T23:20:00.000Z',
+      takeoff: '2026-03-26T23:30:00.000Z',
+      landed: '2026-03-27T04:00:00.000Z',
+      delayMin: 20,
+      flightMinutes: 270,
+      status: 'landed',
+    });
+  });
+
+  it('uses the UTC date away from hubs and flags diversions', () => {
+    const i = toInstance(summary({ orig_icao: 'EGLL', dest_icao: 'KJFK', dest_icao_actual: 'KBOS' }));
+    expect(i.date).toBe('2026-03-26');
+    expect(i).toMatchObject({ origin: 'LHR', destination: 'JFK', divertedTo: 'BOS', status: 'diverted' });
+    const late = toInstance(summary({ orig_icao: 'EGLL', datetime_takeoff: Date.UTC(2026, 2, 27, 0, 30) / 1000 }));
+    expect(late.date).toBe('2026-03-27');
+  });
+
+  it('leaves delay unknown without both departure times', () => {
+    const i = toInstance(summary({ scheduled_departure: undefined, datetime_landed: null, flight_ended: false }));
+    expect(i).toMatchObject({ delayMin: null, flightMinutes: null, landed: null, status: 'en-route' });
+  });
+});
+
+// A flight-summary/light entry as FR24 returns it: runway times, no schedule
+const light = {
+  fr24_id: '3a1b2c3d',
+  flight: 'DL838',
+  callsign: 'DAL838',
+  operating_as: 'DAL',
+  painted_as: 'DAL',
+  type: 'A321',
+  reg: 'N123DN',
+  orig_icao: 'KATL',
+  datetime_takeoff: '2026-03-26T23:30:00Z',
+  dest_icao: 'KLAX',
+  dest_icao_actual: 'KLAX',
+  datetime_landed: '2026-03-27T04:00:00Z',
+  hex: 'A0B1C2',
+  first_seen: '2026-03-26T22:58:11Z',
+  last_seen: '2026-03-27T04:09:40Z',
+  flight_ended: true,
+};
+
+const boardFlight = (num, dep, { dest = 'LAX', realDep = null } = {}) =>
+  scheduleFlight(num, { to: dest, status: 'departed', dep, realDep });
+
+describe('scheduled times from the origin board', () => {
+  const sched = Date.UTC(2026, 2, 26, 23, 0) / 1000;
+
+  it('has no delay from a light summary alone', () => {
+    expect(toInstance(light)).toMatchObject({
+      date: '2026-03-26', scheduledDeparture: null, actualDeparture: null, delayMin: null, flightMinutes: 270,
+    });
+  });
+
+  it('matches the board entry by number, destination and takeoff', () => {
+    const instance = toInstance(light);
+    const board = [
+      boardFlight('DL838', sched - 8 * 3600, { realDep: sched - 8 * 3600 }), // morning rotation
+      boardFlight('DL838', sched, { realDep: sched + 20 * 60 }),
+      boardFlight('DL838', sched + 3600, { dest: 'SEA' }),
+      boardFlight('DL839', sched),
+    ];
+    const fl = findScheduled(board, 'DL838', instance);
+    expect(fl).toBe(board[1]);
+    expect(withScheduledTimes(instance, fl)).toMatchObject({
+      scheduledDeparture: '2026-03-26T23:00:00.000Z',
+      actualDeparture: '2026-03-26T23:20:00.000Z',
+      delayMin: 20,
+    });
+    expect(findScheduled(board, 'DL1', instance)).toBeNull();
+    expect(withScheduledTimes(instance, null)).toBe(instance);
+  });
+
+  it('keeps a delay FR24 already reported', () => {
+    const instance = toInstance(summary());
+    expect(withScheduledTimes(instance, boardFlight('DL838', takeoff - 3600, { realDep: takeoff }))).toBe(instance);
+  });
+});
+
+describe('summarizeHistory', () => {
+  it('rates on-time over instances with a known delay', () => {
+    const instances = [
+      { delayMin: 0, flightMinutes: 260, status: 'landed' },
+      { delayMin: 14, flightMinutes: 270, status: 'landed' },
+      { delayMin: 45, flightMinutes: 300, status: 'diverted' },
+      { delayMin: null, flightMinutes: null, status: 'en-route' },
+    ];
+    expect(summarizeHistory(instances)).toEqual({
+      operated: 4, completed: 2, diverted: 1, delayKnown: 3,
+      otp14: 0.667, medianDelay: 14, medianFlightMinutes: 270,
+    });
+    expect(summarizeHistory([{ delayMin: null, flightMinutes: null, status: 'en-route' }]))
+      .toMatchObject({ otp14: null, medianDelay: null, medianFlightMinutes: null });
+  });
+});
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+}
+
+describe('rate limits', () => {
+  beforeAll(() => {
+    vi.stubEnv('FR24_API_TOKEN', 'test-token');
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ data: [] }))));
+  });
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  const history = async (flight, ip) => {
+    const res = mockRes();
+    await flightHistory({ method: 'GET', headers: { 'x-real-ip': ip }, query: { flight } }, res);
+    return res;
+  };
+  const globalRemaining = async () => (await isGloballyLimited.peek({ headers: {} })).remaining;
+
+  it('per-IP rejections leave the global FR24 budget alone', async () => {
+    for (let n = 0; n < 10; n++) expect((await history(`DL${700 + n}`, '198.51.100.26')).statusCode).toBe(404);
+    const before = await globalRemaining();
+    for (let n = 10; n < 15; n++) {
+      const res = await history(`DL${700 + n}`, '198.51.100.26');
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['RateLimit-Limit']).toBe('10');
+    }
+    expect(await globalRemaining()).toBe(before);
+    expect((await history('DL800', '198.51.100.27')).statusCode).toBe(404);
+    expect(await globalRemaining()).toBe(before - 1);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterAll } from 'vitest';
+import { EventEmitter } from 'events';
+import Ajv2020 from 'ajv/dist/2020.js';
+import stream, { diffFeed } from '../api/fr24-feed/stream.js';
+import { buildSpec } from '../api/_openapi.js';
+
+describe('diffFeed', () => {
+  it('reports added, moved and removed flights by id', () => {
+    const prev = { a: ['A', 33, -84], b: ['B', 40, -73], c: ['C', 47, -122] };
+    const next = { a: ['A', 33, -84], b: ['B', 40.1, -73], d: ['D', 42, -71] };
+    expect(diffFeed(prev, next)).toEqual({
+      added: { d: ['D', 42, -71] },
+      moved: { b: ['B', 40.1, -73] },
+      removed: ['c'],
+    });
+  });
+
+  it('is empty for identical frames', () => {
+    const frame = { a: ['A', 33, -84] };
+    expect(diffFeed(frame, { a: ['A', 33, -84] })).toEqual({ added: {}, moved: {}, removed: [] });
+  });
+});
+
+// Minimal SSE parser: "event/id/data" blocks separated by blank lines
+function parseEvents(text) {
+  return text.split('\n\n').filter(b => b.includes('data: ')).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(l => [l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+    return { event: fields.event, id: fields.id, data: JSON.parse(fields.data) };
+  });
+}
+
+function mockStreamRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    chunks: [],
+    ended: false,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    flushHeaders() { this.headersSent = true; },
+    write(chunk) { this.chunks.push(chunk); return true; },
+    end() { this.ended = true; return this; },
+  };
+}
+
+describe('/api/fr24-feed/stream', () => {
+  const spec = buildSpec();
+  const ajv = new Ajv2020({ strict: false, formats: { 'date-time': (s) => !isNaN(Date.parse(s)) } });
+  const validator = (name) => ajv.compile({ $ref: `#/components/schemas/${name}`, components: spec.components });
+
+  let frames;
+  beforeAll(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+    vi.setSystemTime(new Date('2026-03-27T18:00:00Z'));
+  });
+
+  afterAll(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  beforeEach(() => {
+    // Step past the shared feed cache left by the previous test
+    vi.advanceTimersByTime(20_000);
+    frames = [
+      { full_count: 2, version: 4, a: ['A', 33.6, -84.4], b: ['B', 40.6, -73.8] },
+      { full_count: 2, version: 4, a: ['A', 34.0, -84.0], c: ['C', 42.4, -71.0] },
+    ];
+    let n = 0;
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify(frames[Math.min(n++, frames.length - 1)]))));
+  });
+
+  async function open(headers = {}, query = {}) {
+    const req = Object.assign(new EventEmitter(), { method: 'GET', headers: { 'x-real-ip': '198.51.100.7', ...headers }, query });
+    const res = mockStreamRes();
+    const done = stream(req, res);
+    await vi.advanceTimersByTimeAsync(16_000);
+    req.emit('close');
+    await done;
+    return { res, events: parseEvents(res.chunks.join('')) };
+  }
+
+  it('sends a snapshot, then deltas keyed by FR24 id', async () => {
+    const { res, events } = await open();
+    expect(res.headers['Content-Type']).toContain('text/event-stream');
+    expect(res.ended).toBe(true);
+    expect(events.map(e => e.event)).toEqual(['snapshot', 'delta']);
+    expect(validator('Fr24FeedSnapshot')(events[0].data)).toBe(true);
+    expect(validator('Fr24FeedDelta')(events[1].data)).toBe(true);
+    expect(events[1].data).toEqual({ added: { c: ['C', 42.4, -71.0] }, moved: { a: ['A', 34.0, -84.0] }, removed: ['b'] });
+    expect(Number(events[1].id)).toBeGreaterThan(Number(events[0].id));
+  });
+
+  it('resumes from Last-Event-ID with a delta instead of a snapshot', async () => {
+    const first = await open();
+    const lastId = first.events[0].id;
+    frames.push({ full_count: 1, version: 4, c: ['C', 42.5, -71.1] });
+    await vi.advanceTimersByTimeAsync(16_000);
+    const { events } = await open({ 'last-event-id': lastId });
+    expect(events[0].event).toBe('delta');
+    expect(events[0].data.removed.sort()).toEqual(['a', 'b']);
+  });
+
+  it('sends normalized flights with format=normalized', async () => {
+    const { events } = await open({}, { format: 'normalized' });
+    expect(events.map(e => e.event)).toEqual(['snapshot', 'delta']);
+    expect(events[0].data.flights.a).toMatchObject({ id: 'a', icao24: 'A', position: { lat: 33.6, lon: -84.4 } });
+    expect(events[1].data.moved.a.position.lat).toBe(34.0);
+    expect(events[1].data.removed).toEqual(['b']);
+  });
+
+  it('returns a JSON error when the first feed fetch fails', async () => {
+    fetch.mockImplementation(async () => new Response('', { status: 503 }));
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const req = Object.assign(new EventEmitter(), { method: 'GET', headers: {}, query: {} });
+    const res = mockStreamRes();
+    await stream(req, res);
+    spy.mockRestore();
+    expect(res.statusCode).toBe(502);
+    expect(res.body.code).toBe('UPSTREAM_UNAVAILABLE');
+  });
+});
@@ -1,9 +1,6 @@
-import { describe, it, expect } from 'vitest';
-import {
-  normalizeFlightNumber,
-  normalizeLiveResponse,
-  normalizeSummaryResponse,
-} from '../api/fr24-flight.js';
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { normalizeFlightNumber, isGloballyLimited } from '../api/_fr24.js';
+import fr24Flight, { normalizeLiveResponse, normalizeSummaryResponse } from '../api/fr24-flight.js';
 
 describe('normalizeFlightNumber (FR24)', () => {
   it('prepends DL to bare numbers', () => {
@@ -182,3 +179,48 @@ describe('normalizeSummaryResponse', () => {
     expect(result.flightId).toBe('fallback1');
   });
 });
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+}
+
+describe('rate limits', () => {
+  beforeAll(() => {
+    vi.stubEnv('FR24_API_TOKEN', 'test-token');
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(JSON.stringify({ data: [] }))));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  const lookup = async (flight, ip) => {
+    const res = mockRes();
+    await fr24Flight({ method: 'GET', headers: { 'x-real-ip': ip }, query: { flight } }, res);
+    return res;
+  };
+  const globalRemaining = async () => (await isGloballyLimited.peek({ headers: {} })).remaining;
+
+  it('per-IP rejections leave the global FR24 budget alone', async () => {
+    for (let n = 0; n < 10; n++) expect((await lookup(`DL${600 + n}`, '198.51.100.3')).statusCode).toBe(404);
+    const before = await globalRemaining();
+    for (let n = 10; n < 15; n++) {
+      const res = await lookup(`DL${600 + n}`, '198.51.100.3');
+      expect(res.statusCode).toBe(429);
+      expect(res.headers['RateLimit-Limit']).toBe('10');
+    }
+    expect(await globalRemaining()).toBe(before);
+    expect((await lookup('DL700', '198.51.100.4')).statusCode).toBe(404);
+    expect(await globalRemaining()).toBe(before - 1);
+  });
+});
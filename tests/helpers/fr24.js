@@ -0,0 +1,41 @@
+// Shared test fixtures for FR24 airport-schedule flights — the `flight` of
+// each entry in result.response.airport.pluginData.schedule.<dir>.data.
+// Times are Unix seconds; whatever a test leaves out is null, as FR24 sends it.
+
+/**
+ * One schedule-board flight.
+ * @param {string} num - Flight number (DL100)
+ * @param {object} [o]
+ * @param {number} [o.dep] - Scheduled departure
+ * @param {number} [o.arr] - Scheduled arrival
+ */
+export function scheduleFlight(num, {
+  from = 'ATL',
+  to = 'LAX',
+  status = 'scheduled',
+  type = 'A321',
+  registration = null,
+  airline = null,
+  owner = null,
+  callsign = null,
+  dep = null,
+  arr = null,
+  estDep = null,
+  estArr = null,
+  realDep = null,
+  realArr = null,
+} = {}) {
+  return {
+    identification: { number: { default: num }, callsign },
+    status: { generic: { status: { text: status } } },
+    airline: airline && { code: { iata: airline } },
+    owner: owner && { code: { icao: owner } },
+    aircraft: { model: { code: type }, registration },
+    airport: { origin: { code: { iata: from } }, destination: { code: { iata: to } } },
+    time: {
+      scheduled: { departure: dep, arrival: arr },
+      estimated: { departure: estDep, arrival: estArr },
+      real: { departure: realDep, arrival: realArr },
+    },
+  };
+}
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import { createFileSnapshotStore, createMemorySnapshotStore, createRedisSnapshotStore } from '../api/_snapshots.js';
+import { buildHistory } from '../api/irops/history.js';
+
+function makeSnapshot(takenAt, { score = 10, cancellations = 1, atl = {} } = {}) {
+  return {
+    takenAt,
+    score,
+    totalFlights: 100,
+    cancellations,
+    delayed30: 4,
+    delayed60: 2,
+    diversions: 0,
+    hubs: {
+      ATL: { total: 50, cancellations: 1, delayed30: 2, delayed60: 1, diversions: 0, operated: 40, onTime: 38, score: 12, ...atl },
+    },
+  };
+}
+
+describe('createFileSnapshotStore', () => {
+  // Recent dates so retention pruning leaves them alone
+  const midnight = Math.floor(Date.now() / 86_400_000) * 86_400_000;
+  const iso = (offsetHours) => new Date(midnight + offsetHours * 3_600_000).toISOString();
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'ww-snap-')); });
+  afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+  it('round-trips snapshots across day files', async () => {
+    const store = createFileSnapshotStore(dir);
+    await store.save(makeSnapshot(iso(-2)));
+    await store.save(makeSnapshot(iso(10)));
+
+    const all = await store.list({ from: midnight - 86_400_000, to: midnight + 86_400_000 });
+    expect(all.map(s => s.takenAt)).toEqual([iso(-2), iso(10)]);
+  });
+
+  it('filters by time range within a day', async () => {
+    const store = createFileSnapshotStore(dir);
+    await store.save(makeSnapshot(iso(8)));
+    await store.save(makeSnapshot(iso(12)));
+
+    const some = await store.list({ from: midnight + 10 * 3_600_000, to: midnight + 23 * 3_600_000 });
+    expect(some).toHaveLength(1);
+    expect(some[0].takenAt).toBe(iso(12));
+  });
+
+  it('returns empty list when nothing stored', async () => {
+    const store = createFileSnapshotStore(join(dir, 'missing'));
+    expect(await store.list({ from: midnight, to: midnight + 86_400_000 })).toEqual([]);
+  });
+});
+
+// Stand-in for a Redis connection: sorted-set commands against an array
+function fakeRedisClient() {
+  const sets = new Map();
+  const bound = (v) => (v === '-inf' ? -Infinity : String(v).startsWith('(') ? Number(String(v).slice(1)) - 1e-9 : Number(v));
+  return {
+    sets,
+    async command(cmd, key, a, b) {
+      const set = sets.get(key) || [];
+      sets.set(key, set);
+      if (cmd === 'ZADD') {
+        set.push({ score: Number(a), member: b });
+        set.sort((x, y) => x.score - y.score);
+        return 1;
+      }
+      if (cmd === 'ZRANGEBYSCORE') return set.filter(e => e.score >= bound(a) && e.score <= bound(b)).map(e => e.member);
+      if (cmd === 'ZREMRANGEBYSCORE') {
+        const keep = set.filter(e => !(e.score >= bound(a) && e.score <= bound(b)));
+        sets.set(key, keep);
+        return set.length - keep.length;
+      }
+      throw new Error(`Unexpected command ${cmd}`);
+    },
+  };
+}
+
+describe('createRedisSnapshotStore', () => {
+  it('lists saved records by time across stores sharing a client', async () => {
+    const base = Date.now();
+    const hour = (h) => new Date(base - h * 3_600_000).toISOString();
+    const client = fakeRedisClient();
+    const writer = createRedisSnapshotStore(client);
+    await writer.save(makeSnapshot(hour(1)));
+    await writer.save(makeSnapshot(hour(3)));
+    await createRedisSnapshotStore(client, { name: 'events', timeKey: 'at' }).save({ at: hour(2) });
+
+    const reader = createRedisSnapshotStore(client);
+    const all = await reader.list({ from: base - 4 * 3_600_000, to: Date.parse(hour(2)) });
+    expect(all.map(s => s.takenAt)).toEqual([hour(3)]);
+    expect([...client.sets.keys()]).toEqual(['ww:snap:irops', 'ww:snap:events']);
+  });
+
+  it('drops records past retention on save', async () => {
+    const client = fakeRedisClient();
+    const store = createRedisSnapshotStore(client);
+    await store.save(makeSnapshot(new Date(Date.now() - 400 * 86_400_000).toISOString()));
+    await store.save(makeSnapshot(new Date().toISOString()));
+    expect(client.sets.get('ww:snap:irops')).toHaveLength(1);
+  });
+});
+
+describe('createMemorySnapshotStore', () => {
+  it('drops oldest beyond maxEntries', async () => {
+    const store = createMemorySnapshotStore(2);
+    await store.save(makeSnapshot('2026-03-27T01:00:00.000Z'));
+    await store.save(makeSnapshot('2026-03-27T02:00:00.000Z'));
+    await store.save(makeSnapshot('2026-03-27T03:00:00.000Z'));
+    const all = await store.list({ from: 0, to: Date.now() });
+    expect(all.map(s => s.takenAt)).toEqual(['2026-03-27T02:00:00.000Z', '2026-03-27T03:00:00.000Z']);
+  });
+});
+
+describe('buildHistory', () => {
+  const snapshots = [
+    makeSnapshot('2026-03-26T12:00:00.000Z', { score: 8, cancellations: 2, atl: { score: 5, cancellations: 0 } }),
+    makeSnapshot('2026-03-27T12:05:00.000Z', { score: 20, cancellations: 9, atl: { score: 30, cancellations: 6 } }),
+  ];
+
+  it('returns network-wide series when no hub given', () => {
+    const h = buildHistory(snapshots, null);
+    expect(h.hub).toBeNull();
+    expect(h.count).toBe(2);
+    expect(h.points[1]).toMatchObject({ score: 20, totalFlights: 100, cancellations: 9 });
+  });
+
+  it('returns per-hub series', () => {
+    const h = buildHistory(snapshots, 'ATL');
+    expect(h.points.map(p => p.score)).toEqual([5, 30]);
+    expect(h.points[0].totalFlights).toBe(50);
+  });
+
+  it('skips snapshots missing the hub', () => {
+    expect(buildHistory(snapshots, 'SEA').count).toBe(0);
+  });
+
+  it('computes day-over-day delta against the snapshot ~24h earlier', () => {
+    const h = buildHistory(snapshots, 'ATL');
+    expect(h.dayOverDay.previous.takenAt).toBe('2026-03-26T12:00:00.000Z');
+    expect(h.dayOverDay.delta.score).toBe(25);
+    expect(h.dayOverDay.delta.cancellations).toBe(6);
+  });
+
+  it('omits day-over-day when no snapshot near 24h earlier', () => {
+    expect(buildHistory(snapshots.slice(1), null).dayOverDay).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { computeMetrics, getStartOfDayForHub } from '../api/irops.js';
+import { computeMetrics, scoreCounts, toSnapshot } from '../api/irops.js';
 
 // Helper to build a flight object matching FR24's schedule structure
 function makeFlight(hub, {
@@ -26,6 +26,15 @@ function makeFlight(hub, {
   };
 }
 
+function makeArrival(hub, { status = 'landed', schedArr = 1700000000, realArr = null, flightNum = 'DL200' } = {}) {
+  return {
+    identification: { number: { default: flightNum } },
+    airport: { origin: { code: { iata: 'LAX' } }, destination: { code: { iata: hub } } },
+    status: { generic: { status: { text: status } } },
+    time: { scheduled: { arrival: schedArr }, real: { arrival: realArr }, estimated: { arrival: null } },
+  };
+}
+
 describe('computeMetrics', () => {
   it('returns score 0 for empty input', () => {
     const result = computeMetrics({});
@@ -141,32 +150,165 @@ describe('computeMetrics', () => {
     expect(result.worstDelays[7].delay).toBe(40);
   });
 
+  it('derives the flat counters from the same outcomes as the hub counters', () => {
+    const t = 1700000000;
+    const result = computeMetrics({
+      ORD: [
+        // Not yet pushed back: an estimate alone isn't a delay
+        makeFlight('ORD', { schedDep: t, estDep: t + 45 * 60, status: 'scheduled' }),
+        makeFlight('ORD', { schedDep: t, estDep: t + 40 * 60, status: 'departed' }), // 40 min late
+        makeFlight('ORD', { schedDep: t, realDep: t + 20 * 60, status: 'diverted' }),
+      ],
+    });
+    const hub = result.hubMetrics.ORD;
+    expect(result).toMatchObject({
+      totalFlights: hub.total, cancellations: hub.cancellations, delayed30: hub.delayed30,
+      delayed60: hub.delayed60, diversions: hub.diversions,
+    });
+    expect(result).toMatchObject({ delayed30: 1, diversions: 1 });
+    expect(result.worstDelays.map(d => d.delay)).toEqual([40, 20]);
+    expect(result.byOperation.mainline).toMatchObject({ total: 3, operated: 2, onTime: 1, delayed30: 1 });
+  });
+
+  it('splits counters into mainline and Connection by flight number', () => {
+    const t = 1700000000;
+    const result = computeMetrics({
+      ORD: [
+        makeFlight('ORD', { schedDep: t, realDep: t, flightNum: 'DL100' }),
+        makeFlight('ORD', { schedDep: t, status: 'canceled', flightNum: 'DL3600' }),
+        makeFlight('ORD', { schedDep: t, realDep: t + 4000, flightNum: 'DL5100' }), // 67 min late
+      ],
+    });
+    expect(result.byOperation.mainline).toMatchObject({ total: 1, cancellations: 0, delayed30: 0, score: 0 });
+    expect(result.byOperation.connection).toMatchObject({ total: 2, cancellations: 1, delayed30: 1, delayed60: 1 });
+    expect(result.byOperation.connection.score).toBe(scoreCounts(result.byOperation.connection));
+  });
+
+  it('counts arrivals separately from departures', () => {
+    const t = 1700000000;
+    const result = computeMetrics({
+      ORD: {
+        departures: [makeFlight('ORD', { schedDep: t, realDep: t, status: 'departed' })],
+        arrivals: [
+          makeArrival('ORD', { schedArr: t, realArr: t + 3700 }), // 61 min late
+          makeArrival('ORD', { schedArr: t, realArr: t + 600 }),
+          makeArrival('ORD', { schedArr: t, status: 'canceled' }),
+          makeArrival('ORD', { schedArr: t, status: 'diverted' }),
+          makeArrival('ORD', { schedArr: t + 7200, status: 'scheduled' }),
+        ],
+      },
+    });
+    expect(result.hubMetrics.ORD).toMatchObject({ total: 1, cancellations: 0, delayed30: 0, onTime: 1 });
+    expect(result.hubMetrics.ORD.arrivals).toEqual({
+      total: 5, cancellations: 1, delayed30: 1, delayed60: 1, diversions: 1, operated: 2, onTime: 1,
+    });
+    expect(result.cancellations).toBe(0);
+    expect(result.arrivals).toMatchObject({ total: 5, cancellations: 1, diversions: 1 });
+    expect(result.hubArrivals.ORD).toHaveLength(5);
+  });
+
+  it('scores both directions together', () => {
+    const t = 1700000000;
+    const result = computeMetrics({
+      ORD: {
+        departures: [makeFlight('ORD', { schedDep: t, realDep: t })],
+        arrivals: [makeArrival('ORD', { schedArr: t, status: 'canceled' })],
+      },
+    });
+    // 1 cancellation * 3 over 2 flights
+    expect(result.score).toBe(150);
+    expect(result.arrivals.score).toBe(300);
+    expect(toSnapshot(result).hubs.ORD.score).toBe(150);
+  });
+
+  it('classifies each hub with a level and reasons', () => {
+    const t = 1700000000;
+    const flights = [];
+    for (let i = 0; i < 20; i++) flights.push(makeFlight('ORD', { schedDep: t, realDep: t }));
+    for (let i = 0; i < 4; i++) flights.push(makeFlight('ORD', { schedDep: t, status: 'canceled' }));
+    const result = computeMetrics({ ORD: flights, DEN: [makeFlight('DEN', { schedDep: t, realDep: t })] });
+    expect(result.hubMetrics.ORD.level).toBe('severe'); // 4 of 24 cancelled
+    expect(result.hubMetrics.ORD.reasons[0]).toMatchObject({ metric: 'cancelRate', count: 4 });
+    expect(result.hubMetrics.DEN).toMatchObject({ level: 'normal', reasons: [] });
+    expect(toSnapshot(result).hubs.ORD).toMatchObject({ level: 'severe' });
+    expect(toSnapshot(result).hubs.ORD.reasons).toBeUndefined();
+  });
+
+  it('buckets each hub by scheduled hour in hub-local time', () => {
+    const bank = Date.parse('2026-03-27T23:10:00Z') / 1000; // 17:10 MDT
+    const result = computeMetrics({
+      SLC: {
+        departures: [
+          makeFlight('SLC', { schedDep: bank, realDep: bank + 3000 }), // 50 min late
+          makeFlight('SLC', { schedDep: bank, realDep: bank - 120 }),
+          makeFlight('SLC', { schedDep: bank, status: 'canceled' }),
+          makeFlight('SLC', { schedDep: bank + 3600, status: 'scheduled' }),
+        ],
+        arrivals: [makeArrival('SLC', { schedArr: bank - 3600, realArr: bank - 3000 })],
+      },
+    });
+    const { hourly } = result.hubMetrics.SLC;
+    expect(hourly.timeZone).toBe('America/Denver');
+    expect(hourly.departures).toHaveLength(24);
+    expect(hourly.departures[17]).toEqual({ hour: 17, scheduled: 3, operated: 2, delayed: 1, cancelled: 1, avgDelay: 25 });
+    expect(hourly.departures[18]).toMatchObject({ scheduled: 1, operated: 0, avgDelay: null });
+    expect(hourly.arrivals[16]).toMatchObject({ scheduled: 1, operated: 1, delayed: 0, avgDelay: 10 });
+    expect(toSnapshot(result).hubs.SLC.hourly).toBeUndefined();
+  });
+
+  it('adds up seats on cancelled flights per hub and network-wide', () => {
+    const withAircraft = (fl, code, registration) => ({ ...fl, aircraft: { model: { code }, registration } });
+    const result = computeMetrics({
+      MSP: {
+        departures: [
+          withAircraft(makeFlight('MSP', { status: 'canceled' }), 'A321'),
+          withAircraft(makeFlight('MSP', { status: 'canceled', flightNum: 'DL101' }), 'B739', 'N801DZ'),
+          makeFlight('MSP', { status: 'canceled', flightNum: 'DL102' }),
+        ],
+        arrivals: [withAircraft(makeArrival('MSP', { status: 'canceled' }), 'A321')],
+      },
+      DTW: { departures: [withAircraft(makeFlight('DTW', { status: 'canceled' }), 'A321')] },
+    });
+    expect(result.hubMetrics.MSP.seats.departures).toEqual({
+      cancelled: 3, seatsLost: 191 + 180, swaps: 0, netSwapSeats: 0, unknown: 1, strandedEstimate: 315,
+    });
+    expect(result.hubMetrics.MSP.seats.arrivals).toMatchObject({ cancelled: 1, seatsLost: 191 });
+    // Departures only
+    expect(result.seats).toMatchObject({ cancelled: 4, seatsLost: 191 * 2 + 180, unknown: 1 });
+  });
+
   it('includes generatedAt ISO timestamp', () => {
     const result = computeMetrics({});
     expect(result.generatedAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
   });
 });
 
-describe('getStartOfDayForHub', () => {
-  it('returns a Unix timestamp (seconds)', () => {
-    const ts = getStartOfDayForHub('ORD');
-    expect(typeof ts).toBe('number');
-    expect(ts).toBeGreaterThan(1_000_000_000);
-    expect(ts).toBeLessThan(3_000_000_000); // reasonable range
+describe('scoreCounts', () => {
+  it('returns 0 when there are no flights', () => {
+    expect(scoreCounts({ total: 0, cancellations: 0, delayed30: 0, delayed60: 0, diversions: 0 })).toBe(0);
   });
 
-  it('returns different timestamps for different timezones', () => {
-    const ord = getStartOfDayForHub('ORD'); // Central
-    const nrt = getStartOfDayForHub('NRT'); // JST
-    // They may coincidentally match if tested at the right hour, but generally differ
-    // At minimum, both should be valid timestamps
-    expect(typeof ord).toBe('number');
-    expect(typeof nrt).toBe('number');
+  it('weights disruptions per 100 flights', () => {
+    // (1*3 + 1*2 + 2 + 1*2) / 10 * 100 = 90
+    expect(scoreCounts({ total: 10, cancellations: 1, delayed30: 2, delayed60: 1, diversions: 1 })).toBe(90);
   });
+});
 
-  it('falls back to America/New_York for unknown hubs', () => {
-    // Should not throw
-    const ts = getStartOfDayForHub('XYZ');
-    expect(typeof ts).toBe('number');
+describe('toSnapshot', () => {
+  it('keeps totals and per-hub counters without flight lists', () => {
+    const t = 1700000000;
+    const metrics = computeMetrics({
+      ORD: [
+        makeFlight('ORD', { schedDep: t, realDep: t, status: 'landed' }),
+        makeFlight('ORD', { schedDep: t, status: 'canceled' }),
+      ],
+    });
+    const snap = toSnapshot(metrics);
+    expect(snap.takenAt).toBe(metrics.generatedAt);
+    expect(snap.score).toBe(150);
+    expect(snap.cancellations).toBe(1);
+    expect(snap.hubs.ORD.total).toBe(2);
+    expect(snap.hubs.ORD.score).toBe(150);
+    expect(snap.hubFlights).toBeUndefined();
   });
 });
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  withMiddleware,
+  cors,
+  methods,
+  rateLimit,
+  query,
+  upstreamTimeout,
+  badRequest,
+  ApiError,
+} from '../api/_middleware.js';
+import { isAllowedOrigin } from '../api/_config.js';
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+}
+
+const ok = async (req, res) => res.status(200).json({ ok: true });
+
+describe('isAllowedOrigin', () => {
+  it('allows the site origin and localhost', () => {
+    expect(isAllowedOrigin('https://widgetwatch.org')).toBe(true);
+    expect(isAllowedOrigin('http://localhost:4321')).toBe(true);
+  });
+
+  it('rejects other origins', () => {
+    expect(isAllowedOrigin('https://evil.example')).toBe(false);
+    expect(isAllowedOrigin('https://widgetwatch.org.evil.example')).toBe(false);
+  });
+});
+
+describe('cors', () => {
+  const handler = withMiddleware('test', [cors(), methods('GET')], ok);
+
+  it('reflects an allowed origin', async () => {
+    const res = mockRes();
+    await handler({ method: 'GET', headers: { origin: 'https://widgetwatch.org' } }, res);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('https://widgetwatch.org');
+    expect(res.headers['Vary']).toBe('Origin');
+  });
+
+  it('passes same-origin requests without CORS headers', async () => {
+    const res = mockRes();
+    await handler({ method: 'GET', headers: {} }, res);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+
+  it('rejects a foreign origin with 403', async () => {
+    const res = mockRes();
+    await handler({ method: 'GET', headers: { origin: 'https://evil.example' } }, res);
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ success: false, error: 'Forbidden', code: 'FORBIDDEN_ORIGIN' });
+  });
+
+  it('answers preflight with 204', async () => {
+    const res = mockRes();
+    await handler({ method: 'OPTIONS', headers: { origin: 'http://localhost:3000' } }, res);
+    expect(res.statusCode).toBe(204);
+    expect(res.headers['Access-Control-Allow-Methods']).toBe('GET, OPTIONS');
+  });
+});
+
+describe('methods', () => {
+  it('returns 405 with an Allow header', async () => {
+    const res = mockRes();
+    await withMiddleware('test', [methods('GET')], ok)({ method: 'POST', headers: {} }, res);
+    expect(res.statusCode).toBe(405);
+    expect(res.headers['Allow']).toBe('GET');
+    expect(res.body.code).toBe('METHOD_NOT_ALLOWED');
+  });
+});
+
+describe('rateLimit', () => {
+  it('returns 429 when the limiter rejects', async () => {
+    const limiter = vi.fn(async () => true);
+    const res = mockRes();
+    await withMiddleware('test', [rateLimit(limiter)], ok)({ method: 'GET', headers: {} }, res);
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toEqual({ success: false, error: 'Rate limited — try again shortly', code: 'RATE_LIMITED' });
+    expect(limiter).toHaveBeenCalledWith(expect.anything(), res);
+  });
+});
+
+describe('query', () => {
+  it('exposes validated params as req.params', async () => {
+    const res = mockRes();
+    const handler = withMiddleware('test', [query(q => ({ hub: q.hub.toUpperCase() }))], async (req, r) => r.json(req.params));
+    await handler({ method: 'GET', headers: {}, query: { hub: 'atl' } }, res);
+    expect(res.body).toEqual({ hub: 'ATL' });
+  });
+
+  it('returns 400 when validation throws', async () => {
+    const res = mockRes();
+    const handler = withMiddleware('test', [query(() => { throw badRequest('Invalid hub code'); })], ok);
+    await handler({ method: 'GET', headers: {}, query: {} }, res);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Invalid hub code', code: 'BAD_REQUEST' });
+  });
+});
+
+describe('upstreamTimeout', () => {
+  it('aborts req.signal after the timeout', async () => {
+    vi.useFakeTimers();
+    const res = mockRes();
+    let signal;
+    const handler = withMiddleware('test', [upstreamTimeout(100)], async (req) => {
+      signal = req.signal;
+      await new Promise((resolve, reject) => req.signal.addEventListener('abort', () => {
+        const e = new Error('aborted'); e.name = 'AbortError'; reject(e);
+      }));
+    });
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const pending = handler({ method: 'GET', headers: {} }, res);
+    vi.advanceTimersByTime(101);
+    await pending;
+    spy.mockRestore();
+    vi.useRealTimers();
+    expect(signal.aborted).toBe(true);
+    expect(res.statusCode).toBe(504);
+    expect(res.body.code).toBe('UPSTREAM_TIMEOUT');
+  });
+});
+
+describe('error envelope', () => {
+  it('maps unknown errors to 502', async () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = mockRes();
+    await withMiddleware('test', [], async () => { throw new Error('boom'); })({ method: 'GET', headers: {} }, res);
+    spy.mockRestore();
+    expect(res.statusCode).toBe(502);
+    expect(res.body).toEqual({ success: false, error: 'Upstream service unavailable', code: 'UPSTREAM_UNAVAILABLE' });
+  });
+
+  it('includes extra ApiError fields', async () => {
+    const res = mockRes();
+    await withMiddleware('test', [], async () => { throw new ApiError(404, 'NOT_FOUND', 'Nope', { flight: 'DL1' }); })({ method: 'GET', headers: {} }, res);
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ success: false, error: 'Nope', code: 'NOT_FOUND', flight: 'DL1' });
+  });
+});
@@ -0,0 +1,616 @@
+// Contract test: real handler output must match the OpenAPI document.
+// Upstreams are stubbed with fixtures shaped like their live responses.
+
+import { describe, it, expect, vi, beforeAll, afterAll, afterEach } from 'vitest';
+import { readdirSync } from 'fs';
+import { join } from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { buildSpec } from '../api/_openapi.js';
+import { toParameters } from '../api/_schema.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../api/_snapshots.js';
+import { setEventStore, getEventStore } from '../api/_events.js';
+import schedule, { querySchema as scheduleQuery } from '../api/schedule.js';
+import irops from '../api/irops.js';
+import iropsHistory from '../api/irops/history.js';
+import rotations from '../api/rotations.js';
+import route from '../api/route.js';
+import otp from '../api/otp.js';
+import fr24Flight from '../api/fr24-flight.js';
+import { localDate, localMidnight } from '../api/_time.js';
+import { scheduleFlight as boardFlight } from './helpers/fr24.js';
+import flightHistory from '../api/flight-history.js';
+import flightTimes from '../api/flight-times.js';
+import connectionRisk from '../api/connection-risk.js';
+import events from '../api/events.js';
+import fr24Feed from '../api/fr24-feed.js';
+import metar from '../api/metar.js';
+import faa from '../api/faa.js';
+import fleet from '../api/fleet.js';
+import changelog from '../api/changelog.js';
+import openapi from '../api/openapi.js';
+
+const spec = buildSpec();
+const ajv = new Ajv2020({
+  strict: false,
+  allErrors: true,
+  formats: {
+    'date-time': (s) => /^\d{4}-\d{2}-\d{2}T/.test(s) && !isNaN(Date.parse(s)),
+    date: /^\d{4}-\d{2}-\d{2}$/,
+  },
+});
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; this.headers['content-type'] ??= 'application/json'; return this; },
+    send(body) { this.body = body; return this; },
+    end() { return this; },
+  };
+}
+
+// Handlers pace upstream calls with setTimeout; run them on fake timers
+async function call(handler, query = {}, headers = {}) {
+  const res = mockRes();
+  const pending = handler({ method: 'GET', headers: { 'x-real-ip': '203.0.113.9', ...headers }, query }, res);
+  await vi.runAllTimersAsync();
+  await pending;
+  return res;
+}
+
+function expectContract(path, res) {
+  const op = spec.paths[path].get;
+  const response = op.responses[res.statusCode];
+  expect(response, `${path} has no ${res.statusCode} response`).toBeDefined();
+  const resolved = response.$ref ? spec.components.responses[response.$ref.split('/').pop()] : response;
+  const [mediaType, { schema }] = Object.entries(resolved.content)[0];
+  expect(res.headers['content-type']).toContain(mediaType.split(';')[0]);
+  const validate = ajv.compile({ ...schema, components: spec.components });
+  const valid = validate(res.body);
+  expect(validate.errors, JSON.stringify(validate.errors, null, 2)).toBeNull();
+  expect(valid).toBe(true);
+}
+
+const jsonResponse = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+const textResponse = (body, status = 200) => new Response(body, { status });
+
+const now = Math.floor(Date.UTC(2026, 2, 27, 18) / 1000);
+
+// A schedule page entry; the flight itself comes from the shared builder
+const scheduleFlight = (num, { airline = 'DL', dep = now + 3600, ...o } = {}) =>
+  ({ flight: boardFlight(num, { airline, dep, arr: dep + 14400, ...o }) });
+
+const schedulePage = () => ({
+  result: { response: { airport: { pluginData: { schedule: {
+    departures: { page: { current: 1, total: 1 }, data: [
+      scheduleFlight('DL100'),
+      scheduleFlight('DL200', { status: 'departed', dep: now - 7200, realDep: now - 3600 }),
+      scheduleFlight('AA1', { airline: 'AA' }),
+      scheduleFlight('DL3954', { owner: 'SKW', callsign: 'SKW3954' }),
+      scheduleFlight('UA5210', { airline: 'UA', owner: 'SKW', callsign: 'SKW5210' }),
+    ] },
+    arrivals: { page: { current: 1, total: 1 }, data: [scheduleFlight('DL300')] },
+  } } } } },
+});
+
+const FAA_XML = `<?xml version="1.0"?>
+<AIRPORT_STATUS_INFORMATION>
+  <Delay_type>
+    <Ground_Delay><Delay><ARPT>SFO</ARPT><Reason>low ceilings</Reason></Delay></Ground_Delay>
+    <Airport_Closure><Airport><ARPT>ASE</ARPT><Reason>snow removal</Reason></Airport></Airport_Closure>
+  </Delay_type>
+</AIRPORT_STATUS_INFORMATION>`;
+
+const flightAwareHtml = (overrides = {}) => {
+  const f = {
+    origin: { iata: 'ATL', friendlyName: 'Hartsfield-Jackson', terminal: 'S', gate: 'A12', TZ: ':America/New_York' },
+    destination: { iata: 'LAX', friendlyName: 'Los Angeles Intl', terminal: '3', gate: '', TZ: ':America/Los_Angeles' },
+    gateDepartureTimes: { scheduled: now, estimated: now + 300, actual: null },
+    takeoffTimes: { scheduled: now + 900 },
+    landingTimes: { scheduled: now + 15000 },
+    gateArrivalTimes: { scheduled: now + 15600 },
+    aircraftTypeFriendly: 'Airbus A321neo',
+    flightStatus: 'scheduled',
+    ...overrides,
+  };
+  return `<script>var trackpollBootstrap = ${JSON.stringify({ flights: { k: { activityLog: { flights: [f] } } } })};</script>`;
+};
+
+function fakeUpstream(url) {
+  const u = String(url);
+  if (u.includes('api.flightradar24.com/common/v1/airport.json')) return jsonResponse(schedulePage());
+  if (u.includes('/api/live/flight-positions/full')) {
+    return jsonResponse({ data: [{ flight_iata: 'DL838', callsign: 'DAL838', lat: 33.6, lon: -84.4, alt: 35000, gspeed: 450, heading: 270, type: 'A321', reg: 'N501DA', fr24_id: '3a1b' }] });
+  }
+  if (u.includes('/api/flight-summary/light')) {
+    return jsonResponse({ data: [{ flight_iata: 'DL838', orig_icao: 'KATL', dest_icao: 'KLAX', datetime_takeoff: now - 600, type: 'A321', flight_ended: false }] });
+  }
+  if (u.includes('flightaware.com')) return textResponse(flightAwareHtml());
+  if (u.includes('data-cloud.flightradar24.com')) return jsonResponse({ full_count: 1, version: 4, '3a1b': ['A0B1C2', 33.6, -84.4, 270] });
+  if (u.includes('aviationweather.gov')) return jsonResponse([{ icaoId: 'KATL', rawOb: 'KATL 271752Z 27010KT 10SM FEW250 22/08 A3002', temp: 22 }]);
+  if (u.includes('nasstatus.faa.gov')) return textResponse(FAA_XML);
+  if (u.includes('docs.google.com')) return textResponse('Tail,Type\nN501DA,A321\n');
+  throw new Error(`Unexpected upstream ${u}`);
+}
+
+beforeAll(() => {
+  vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+  vi.setSystemTime(now * 1000);
+  vi.stubGlobal('fetch', vi.fn(async (url) => fakeUpstream(url)));
+  vi.stubEnv('FR24_API_TOKEN', 'test-token');
+  setSnapshotStore(createMemorySnapshotStore());
+  setEventStore(createMemorySnapshotStore(5000, { timeKey: 'at' }));
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  setSnapshotStore(null);
+  setEventStore(null);
+});
+
+afterEach(() => fetch.mockImplementation(async (url) => fakeUpstream(url)));
+
+describe('OpenAPI document', () => {
+  it('covers every public handler in api/', () => {
+    const routes = [];
+    const walk = (dir, prefix) => {
+      for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('_')) continue;
+        if (entry.isDirectory()) walk(join(dir, entry.name), `${prefix}/${entry.name}`);
+        else if (entry.name.endsWith('.js')) routes.push(`${prefix}/${entry.name.replace(/\.js$/, '')}`);
+      }
+    };
+    walk(join(process.cwd(), 'api'), '');
+    const documented = Object.keys(spec.paths).map(p => p === '/openapi.json' ? '/openapi' : p);
+    expect(documented.sort()).toEqual(routes.sort());
+  });
+
+  it('derives query parameters from the handler schemas', () => {
+    expect(spec.paths['/schedule'].get.parameters).toEqual(toParameters(scheduleQuery));
+  });
+
+  it('compiles every component schema', () => {
+    for (const name of Object.keys(spec.components.schemas)) {
+      expect(() => ajv.compile({ $ref: `#/components/schemas/${name}`, components: spec.components })).not.toThrow();
+    }
+  });
+
+  it('is served at /api/openapi.json', async () => {
+    const res = await call(openapi);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expectContract('/openapi.json', res);
+  });
+});
+
+describe('handler responses match the contract', () => {
+  it('/schedule (aggregated)', async () => {
+    const res = await call(schedule, { hub: 'ATL', timestamp: String(now - 3600) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.flights).toHaveLength(2);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (aggregated, equipment swap)', async () => {
+    const page = (type, registration) => jsonResponse({ result: { response: { airport: { pluginData: { schedule: {
+      departures: { page: { current: 1, total: 1 }, data: [scheduleFlight('DL100', { type, registration })] },
+    } } } } } });
+    fetch.mockImplementation(async () => page('A321', null));
+    await call(schedule, { hub: 'MSP', timestamp: String(now - 3600) });
+    fetch.mockImplementation(async () => page('B739', 'N801DZ'));
+    const res = await call(schedule, { hub: 'MSP', timestamp: String(now - 3599) });
+    expect(res.statusCode).toBe(200);
+    const [fl] = res.body.flights;
+    expect(fl.equipmentHistory.map(h => h.type)).toEqual(['A321', 'B739']);
+    expect(fl.equipmentSwap).toMatchObject({ from: 'A321', to: 'B739' });
+    expect(res.body.seatImpact).toMatchObject({ swaps: 1, netSwapSeats: -11 });
+    expect(res.body.byType).toMatchObject([{ type: 'B739', fleetType: '737-900ER', scheduled: 1, seats: 180 }]);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (partial, resumed with cursor)', async () => {
+    const ts = now - 7200;
+    fetch.mockClear();
+    fetch.mockImplementation(async (url) => {
+      const page = Number(new URL(url).searchParams.get('page'));
+      return jsonResponse({ result: { response: { airport: { pluginData: { schedule: {
+        departures: { page: { current: page, total: 8 }, data: [scheduleFlight(`DL${page}`, { dep: ts + page * 600 })] },
+      } } } } } });
+    });
+    let res = await call(schedule, { hub: 'SEA', timestamp: String(ts) });
+    expect(res.body.partial).toBe(true);
+    expect(res.body.cursor).toMatch(new RegExp(`^${ts}:\\d+$`));
+    expect(res.headers['cache-control']).toBe('s-maxage=60');
+    expectContract('/schedule', res);
+
+    for (let i = 0; i < 5 && res.body.cursor; i++) {
+      res = await call(schedule, { hub: 'SEA', timestamp: String(ts), cursor: res.body.cursor });
+    }
+    expect(res.body).toMatchObject({ partial: false, cursor: null, total: 8 });
+    expect(res.body.flights.map(f => f.identification.number.default)).toEqual(['DL1', 'DL2', 'DL3', 'DL4', 'DL5', 'DL6', 'DL7', 'DL8']);
+    // Earlier pages came from the page cache
+    expect(fetch).toHaveBeenCalledTimes(8);
+    expectContract('/schedule', res);
+
+    const again = await call(schedule, { hub: 'SEA', timestamp: String(ts) });
+    expect(again.body).toMatchObject({ partial: false, total: 8, cached: true });
+  });
+
+  it('/schedule (resume without a warm page cache)', async () => {
+    const ts = now - 5400;
+    fetch.mockImplementation(async (url) => {
+      const page = Number(new URL(url).searchParams.get('page'));
+      return jsonResponse({ result: { response: { airport: { pluginData: { schedule: {
+        departures: { page: { current: page, total: 8 }, data: [scheduleFlight(`DL${page}`, { dep: ts + page * 600 })] },
+      } } } } } });
+    });
+    const first = await call(schedule, { hub: 'BOS', timestamp: String(ts) });
+    const resumeAt = Number(first.body.cursor.split(':')[1]);
+    // Partial days aren't tracked for equipment swaps
+    expect(first.body.flights[0].equipmentHistory).toBeUndefined();
+    vi.setSystemTime(Date.now() + 6 * 60_000); // past the 5-minute page TTL
+
+    // The resume continues from the saved progress, not page 1; concurrent resumes share one run
+    fetch.mockClear();
+    const started = Date.now();
+    const resumes = [1, 2].map(() => {
+      const res = mockRes();
+      return { res, pending: schedule({ method: 'GET', headers: { 'x-real-ip': '203.0.113.9' }, query: { hub: 'BOS', timestamp: String(ts), cursor: first.body.cursor } }, res) };
+    });
+    await vi.runAllTimersAsync();
+    await Promise.all(resumes.map(r => r.pending));
+    const [a, b] = resumes.map(r => r.res);
+    expect(Date.now() - started).toBeLessThan(12_000);
+    expect(a.body.cached).toBe(false);
+    expect(b.body).toMatchObject({ partial: a.body.partial, cursor: a.body.cursor, cached: true });
+    const pages = fetch.mock.calls.map(([url]) => Number(new URL(url).searchParams.get('page')));
+    expect(Math.min(...pages)).toBe(resumeAt);
+    expectContract('/schedule', a);
+
+    let res = a;
+    for (let i = 0; i < 5 && res.body.cursor; i++) {
+      res = await call(schedule, { hub: 'BOS', timestamp: String(ts), cursor: res.body.cursor });
+    }
+    expect(res.body).toMatchObject({ partial: false, cursor: null, total: 8 });
+    expect(res.body.flights.map(f => f.identification.number.default)).toEqual(['DL1', 'DL2', 'DL3', 'DL4', 'DL5', 'DL6', 'DL7', 'DL8']);
+    expect(res.body.flights[0].equipmentHistory).toHaveLength(1);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (cursor for another day)', async () => {
+    const res = await call(schedule, { hub: 'ATL', timestamp: String(now - 3600), cursor: `${now - 90000}:3` });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'cursor', reason: 'mismatch' });
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (date range)', async () => {
+    const res = await call(schedule, { hub: 'ATL', from: '2026-03-27', to: '2026-03-28' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ timeZone: 'America/New_York', from: '2026-03-27', to: '2026-03-28', total: 2, partial: false });
+    // Both days' upstream windows return the same flights; each is kept once, on its local date
+    expect(res.body.days.map(d => [d.date, d.timestamp, d.total])).toEqual([
+      ['2026-03-27', Date.UTC(2026, 2, 27, 4) / 1000, 2],
+      ['2026-03-28', Date.UTC(2026, 2, 28, 4) / 1000, 0],
+    ]);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (date range, slow upstream)', async () => {
+    // 50 pages a day: each day runs to its own deadline
+    fetch.mockImplementation(async (url) => {
+      const u = new URL(url);
+      const page = Number(u.searchParams.get('page'));
+      const ts = Number(u.searchParams.get('plugin-setting[schedule][timestamp]'));
+      return jsonResponse({ result: { response: { airport: { pluginData: { schedule: {
+        departures: { page: { current: page, total: 50 }, data: [scheduleFlight(`DL${page}`, { dep: ts + page * 60 })] },
+      } } } } } });
+    });
+    const started = Date.now();
+    const res = await call(schedule, { hub: 'RDU', from: '2026-03-21', to: '2026-03-27' });
+    expect(Date.now() - started).toBeLessThan(58_000);
+    expect(res.statusCode).toBe(200);
+    const skipped = res.body.days.filter(d => d.total === 0);
+    expect(skipped.length).toBeGreaterThan(0);
+    for (const d of skipped) expect(d).toMatchObject({ partial: true, cursor: `${d.timestamp}:1` });
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (date range too long or mixed with timestamp)', async () => {
+    let res = await call(schedule, { hub: 'ATL', from: '2026-03-25', to: '2026-04-02' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'to', reason: 'range' });
+    res = await call(schedule, { hub: 'ATL', from: '2026-03-27', timestamp: String(now) });
+    expect(res.body).toMatchObject({ field: 'from', reason: 'conflict' });
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (aggregated, with partners)', async () => {
+    const res = await call(schedule, { hub: 'ATL', timestamp: String(now - 3600), airlines: 'SKW,DL' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.airlines).toEqual(['DL', 'OO']);
+    expect(res.body.flights.map(f => f.identification.number.default)).toEqual(['DL100', 'DL200', 'DL3954']);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (unknown airline)', async () => {
+    const res = await call(schedule, { hub: 'ATL', timestamp: String(now - 3600), airlines: 'UA' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'airlines', reason: 'enum' });
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (single page)', async () => {
+    const res = await call(schedule, { hub: 'ATL', dir: 'arrivals', timestamp: String(now - 3600), page: '1' });
+    expect(res.statusCode).toBe(200);
+    expectContract('/schedule', res);
+  });
+
+  it('/schedule (invalid query)', async () => {
+    const res = await call(schedule, { hub: 'ATL', timestamp: '12' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'timestamp', reason: 'min' });
+    expectContract('/schedule', res);
+  });
+
+  it('/route', async () => {
+    const res = await call(route, { from: 'ATL', to: 'LAX' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ date: '2026-03-27', timeZone: 'America/New_York', sources: { departures: 'ATL', arrivals: 'LAX' } });
+    // DL300 is only on the LAX arrivals board
+    expect(res.body.flights.map(f => [f.flight, f.seenAt.join()])).toEqual([['DL200', 'origin'], ['DL100', 'origin'], ['DL300', 'destination']]);
+    expect(res.body.summary).toMatchObject({ total: 3, operated: 1, delayed30: 1 });
+    expectContract('/route', res);
+  });
+
+  it('/route (no hub on either end)', async () => {
+    const res = await call(route, { from: 'ORD', to: 'DEN' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'from', reason: 'route' });
+    expectContract('/route', res);
+  });
+
+  it('/otp', async () => {
+    const res = await call(otp, { hub: 'ATL' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ from: '2026-03-27', to: '2026-03-27', scheduled: 2, operated: 1, otp14: 0, medianDelay: 60 });
+    expect(res.body.byDay).toMatchObject([{ date: '2026-03-27', scheduled: 2 }]);
+    expectContract('/otp', res);
+  });
+
+  it('/otp (range past the schedule window)', async () => {
+    const res = await call(otp, { hub: 'ATL', from: '2026-04-10' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'from', reason: 'range' });
+    expectContract('/otp', res);
+  });
+
+  it('/irops', async () => {
+    const res = await call(irops);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.totalFlights).toBeGreaterThan(0);
+    expect(res.body.scoring.model).toBe('standard-v1');
+    expectContract('/irops', res);
+  });
+
+  it('/irops (unknown scoring model)', async () => {
+    const res = await call(irops, { model: 'nope' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'model', reason: 'enum' });
+    expectContract('/irops', res);
+  });
+
+  it('/rotations', async () => {
+    // DL300 lands 10 min before the same tail is due out as DL100
+    const inbound = scheduleFlight('DL300', { dep: now - 12000, estArr: now + 3000, registration: 'N301DN' });
+    fetch.mockImplementation(async () => jsonResponse({ result: { response: { airport: { pluginData: { schedule: {
+      departures: { page: { current: 1, total: 1 }, data: [scheduleFlight('DL100', { registration: 'N301DN' })] },
+      arrivals: { page: { current: 1, total: 1 }, data: [inbound] },
+    } } } } } }));
+    const res = await call(rotations, { hub: 'DTW', timestamp: String(now - 7200) });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ hub: 'DTW', tails: 1, turns: 1 });
+    expect(res.body.atRisk[0]).toMatchObject({ registration: 'N301DN', status: 'tight', slack: 10, projectedDelay: 30 });
+    expectContract('/rotations', res);
+  });
+
+  it('/rotations (bad minTurn)', async () => {
+    const res = await call(rotations, { hub: 'DTW', minTurn: '5' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'minTurn', reason: 'min' });
+    expectContract('/rotations', res);
+  });
+
+  it('/irops/history', async () => {
+    const res = await call(iropsHistory, { hub: 'ATL' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(1);
+    expectContract('/irops/history', res);
+  });
+
+  it('/fr24-flight', async () => {
+    const res = await call(fr24Flight, { flight: 'DL838' });
+    expect(res.statusCode).toBe(200);
+    expectContract('/fr24-flight', res);
+  });
+
+  it('/fr24-flight (not found)', async () => {
+    fetch.mockImplementation(async () => jsonResponse({ data: [] }));
+    const res = await call(fr24Flight, { flight: 'DL9' });
+    expect(res.statusCode).toBe(404);
+    expectContract('/fr24-flight', res);
+  });
+
+  it('/flight-history', async () => {
+    fetch.mockImplementation(async (url) => String(url).includes('/api/flight-summary/light') ? jsonResponse({ data: [
+      { fr24_id: '3a1b', orig_icao: 'KATL', dest_icao: 'KLAX', datetime_takeoff: now - 600, type: 'A321', reg: 'N501DA', flight_ended: false },
+      { fr24_id: '39f0', orig_icao: 'KATL', dest_icao: 'KLAX', dest_icao_actual: 'KLAS', scheduled_departure: now - 86400 - 1200, datetime_departure: now - 86400,
+        datetime_takeoff: now - 86400 + 900, datetime_landed: now - 86400 + 16000, type: 'A321', reg: 'N502DN', flight_ended: true },
+    ] }) : fakeUpstream(url));
+    const res = await call(flightHistory, { flight: '838', days: '3' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.instances.map(i => i.status)).toEqual(['en-route', 'diverted']);
+    expect(res.body.summary).toMatchObject({ operated: 2, diverted: 1, delayKnown: 1, otp14: 0 });
+    expectContract('/flight-history', res);
+  });
+
+  it('/flight-history (scheduled times from the cached board)', async () => {
+    const iso = (ts) => new Date(ts * 1000).toISOString().replace('.000', '');
+    // The ATL departures board for the day, as the schedule board would have left it
+    const tz = 'America/New_York';
+    const board = await call(schedule, { hub: 'ATL', timestamp: String(localMidnight(localDate(now, tz), tz)) }, { 'x-real-ip': '198.51.100.25' });
+    expect(board.statusCode).toBe(200);
+    // flight-summary/light as FR24 returns it: no scheduled or gate times
+    fetch.mockImplementation(async (url) => String(url).includes('/api/flight-summary/light') ? jsonResponse({ data: [{
+      fr24_id: '3b2c', flight: 'DL200', callsign: 'DAL200', operating_as: 'DAL', painted_as: 'DAL', type: 'B739', reg: 'N801DZ',
+      orig_icao: 'KATL', dest_icao: 'KLAX', dest_icao_actual: null, datetime_takeoff: iso(now - 3000), datetime_landed: null,
+      hex: 'A1B2C3', first_seen: iso(now - 3900), last_seen: iso(now - 60), flight_ended: false,
+    }] }) : fakeUpstream(url));
+    const res = await call(flightHistory, { flight: 'DL200' }, { 'x-real-ip': '198.51.100.25' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.instances[0]).toMatchObject({
+      scheduledDeparture: new Date((now - 7200) * 1000).toISOString(),
+      actualDeparture: new Date((now - 3600) * 1000).toISOString(),
+      delayMin: 60,
+    });
+    expect(res.body.summary).toMatchObject({ delayKnown: 1, otp14: 0, medianDelay: 60 });
+    expectContract('/flight-history', res);
+  });
+
+  it('/flight-history (not found)', async () => {
+    fetch.mockImplementation(async () => jsonResponse({ data: [] }));
+    const res = await call(flightHistory, { flight: 'DL9' });
+    expect(res.statusCode).toBe(404);
+    expectContract('/flight-history', res);
+  });
+
+  it('/flight-times (FlightAware)', async () => {
+    const res = await call(flightTimes, { flight: '2221' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.source).toBe('flightaware');
+    expectContract('/flight-times', res);
+  });
+
+  it('/flight-times (FR24 fallback)', async () => {
+    fetch.mockImplementation(async (url) => String(url).includes('flightaware.com') ? textResponse('', 403) : fakeUpstream(url));
+    const res = await call(flightTimes, { flight: 'DL838' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.source).toBe('fr24-summary');
+    expectContract('/flight-times', res);
+  });
+
+  it('/connection-risk', async () => {
+    fetch.mockImplementation(async (url) => {
+      if (String(url).includes('DAL1234')) {
+        return textResponse(flightAwareHtml({
+          origin: { iata: 'BOS', terminal: 'A', gate: 'A5' },
+          destination: { iata: 'ATL', terminal: 'S', gate: 'B7' },
+          gateArrivalTimes: { scheduled: now + 1200, estimated: now + 1800 },
+        }));
+      }
+      if (String(url).includes('DAL1235')) {
+        return textResponse(flightAwareHtml({ gateDepartureTimes: { scheduled: now + 4200, estimated: null, actual: null } }));
+      }
+      return fakeUpstream(url);
+    });
+    const res = await call(connectionRisk, { inbound: 'DL1234', outbound: 'DL1235', hub: 'atl' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ hub: 'ATL', risk: 'moderate', connectMinutes: 40, minConnect: 40, slack: 0, terminalChange: false });
+    expect(res.body.inbound).toMatchObject({ flight: 'DL1234', arrivalSource: 'estimated', gate: 'B7' });
+    expectContract('/connection-risk', res);
+  });
+
+  it('/connection-risk (lookups share the flight-times limit)', async () => {
+    const ip = { 'x-real-ip': '198.51.100.16' };
+    // 15 FlightAware lookups a minute per IP: seven uncached pairs fit, the eighth doesn't
+    for (let n = 0; n < 7; n++) {
+      const res = await call(connectionRisk, { inbound: `DL${7000 + 2 * n}`, outbound: `DL${7001 + 2 * n}`, hub: 'LAX' }, ip);
+      expect(res.statusCode).not.toBe(429);
+    }
+    const res = await call(connectionRisk, { inbound: 'DL7100', outbound: 'DL7101', hub: 'LAX' }, ip);
+    expect(res.statusCode).toBe(429);
+    expectContract('/connection-risk', res);
+    expect((await call(flightTimes, { flight: 'DL7102' }, ip)).statusCode).toBe(429);
+  });
+
+  it('/connection-risk (outbound not from hub)', async () => {
+    const res = await call(connectionRisk, { inbound: 'DL2221', outbound: 'DL2221', hub: 'LAX' });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ field: 'outbound', reason: 'route' });
+    expectContract('/connection-risk', res);
+  });
+
+  it('/events', async () => {
+    await getEventStore().save({
+      id: `delay:DL100:${now}:75`, type: 'delay', at: new Date((now - 600) * 1000).toISOString(), hub: 'ATL', dir: 'departures',
+      flight: 'DL100', route: 'ATL→LAX', scheduled: new Date(now * 1000).toISOString(), details: { from: 10, to: 75 },
+    });
+    const res = await call(events, { hub: 'atl' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.events[0]).toMatchObject({ type: 'delay', title: 'DL100 ATL→LAX now 75 min late (was 10)' });
+    expectContract('/events', res);
+
+    const rss = await call(events, { format: 'rss' });
+    expect(rss.headers['content-type']).toContain('application/rss+xml');
+    expect(rss.body).toContain(`<guid isPermaLink="false">delay:DL100:${now}:75</guid>`);
+  });
+
+  it('/fr24-feed', async () => {
+    const res = await call(fr24Feed);
+    expect(res.statusCode).toBe(200);
+    expectContract('/fr24-feed', res);
+  });
+
+  it('/fr24-feed (normalized)', async () => {
+    const res = await call(fr24Feed, { format: 'normalized' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.flights[0]).toMatchObject({ id: '3a1b', position: { lat: 33.6 } });
+    expectContract('/fr24-feed', res);
+  });
+
+  it('/metar', async () => {
+    const res = await call(metar, { ids: 'katl,kjfk' });
+    expect(res.statusCode).toBe(200);
+    expectContract('/metar', res);
+  });
+
+  it('/faa', async () => {
+    const res = await call(faa);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.map(d => d.type)).toEqual(['delay', 'closure']);
+    expectContract('/faa', res);
+  });
+
+  it('/faa (upstream down)', async () => {
+    fetch.mockImplementation(async () => textResponse('', 503));
+    const res = await call(faa);
+    expect(res.statusCode).toBe(502);
+    expectContract('/faa', res);
+  });
+
+  it('/fleet', async () => {
+    const res = await call(fleet);
+    expect(res.statusCode).toBe(200);
+    expectContract('/fleet', res);
+  });
+
+  it('/changelog', async () => {
+    const res = await call(changelog);
+    expect(res.statusCode).toBe(200);
+    expectContract('/changelog', res);
+  });
+
+  it('rejects foreign origins with the documented 403', async () => {
+    const res = await call(metar, {}, { origin: 'https://evil.example' });
+    expect(res.statusCode).toBe(403);
+    expectContract('/metar', res);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { computeOtp, otpMetrics, percentile, typeBreakdown } from '../api/_otp.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+// 2026-03-27 08:00 America/Denver
+const t = Date.UTC(2026, 2, 27, 14) / 1000;
+
+const departure = (num, { delay = null, status = delay === null ? 'scheduled' : 'departed', type = 'A321', to = 'LAX', sched = t } = {}) =>
+  scheduleFlight(num, { from: 'SLC', to, status, type, dep: sched, realDep: delay === null ? null : sched + delay * 60 });
+
+describe('percentile', () => {
+  it('uses the nearest rank', () => {
+    const sorted = [0, 0, 5, 10, 20, 30, 40, 60, 90, 120];
+    expect(percentile(sorted, 50)).toBe(20);
+    expect(percentile(sorted, 90)).toBe(90);
+    expect(percentile([7], 90)).toBe(7);
+    expect(percentile([], 50)).toBeNull();
+  });
+});
+
+describe('otpMetrics', () => {
+  it('rates operated flights and completion over everything scheduled', () => {
+    const m = otpMetrics([
+      departure('DL1', { delay: 0 }),
+      departure('DL2', { delay: 14 }),
+      departure('DL3', { delay: 15 }),
+      departure('DL4', { delay: 45, status: 'diverted' }),
+      departure('DL5', { status: 'canceled' }),
+      departure('DL6'),
+    ], 'departures');
+    expect(m).toEqual({
+      scheduled: 6, operated: 4, cancelled: 1, diverted: 1,
+      otp0: 0.25, otp14: 0.5, medianDelay: 14, p90Delay: 45,
+      cancellationRate: 0.167, completionFactor: 0.667,
+    });
+  });
+
+  it('has null rates without flights', () => {
+    expect(otpMetrics([], 'arrivals')).toMatchObject({ scheduled: 0, otp0: null, medianDelay: null, completionFactor: null });
+  });
+});
+
+describe('computeOtp', () => {
+  it('breaks down by local hour, aircraft type and destination', () => {
+    const otp = computeOtp([
+      departure('DL1', { delay: 0 }),
+      departure('DL2', { delay: 30, type: 'B739', to: 'SEA' }),
+      departure('DL3', { delay: 5, sched: t + 3600 }),
+    ], 'departures', 'America/Denver');
+    expect(otp).toMatchObject({ scheduled: 3, operated: 3, otp14: 0.667 });
+    expect(otp.byHour).toHaveLength(24);
+    expect(otp.byHour[8]).toMatchObject({ hour: 8, scheduled: 2, otp0: 0.5, p90Delay: 30 });
+    expect(otp.byHour[9]).toMatchObject({ scheduled: 1, otp14: 1 });
+    expect(otp.byType.map(g => [g.type, g.scheduled])).toEqual([['A321', 2], ['B739', 1]]);
+    expect(otp.byAirport.map(g => [g.airport, g.otp14])).toEqual([['LAX', 1], ['SEA', 0]]);
+  });
+});
+
+describe('typeBreakdown', () => {
+  it('counts seats by registration, else the typical config', () => {
+    const tailed = { ...departure('DL2', { type: 'B739', delay: 20 }), aircraft: { model: { code: 'B739' }, registration: 'N801DZ' } };
+    const types = typeBreakdown([departure('DL1', { delay: 0 }), departure('DL3', { delay: 5 }), tailed, departure('DL4', { type: 'ZZZZ' })], 'departures');
+    expect(types.map(t => [t.type, t.fleetType, t.scheduled, t.seats, t.seatsUnknown, t.otp14])).toEqual([
+      ['A321', 'A321', 2, 382, 0, 1],
+      ['B739', '737-900ER', 1, 180, 0, 0],
+      ['ZZZZ', null, 1, 0, 1, null],
+    ]);
+  });
+});
@@ -1,5 +1,9 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { createRateLimiter } from '../api/_rate-limit.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  createRateLimiter,
+  createMemoryStore,
+  createRedisStore,
+} from '../api/_rate-limit.js';
 
 describe('createRateLimiter', () => {
   it('returns a function', () => {
@@ -7,40 +11,40 @@ describe('createRateLimiter', () => {
     expect(typeof limiter).toBe('function');
   });
 
-  it('allows requests under the limit', () => {
+  it('allows requests under the limit', async () => {
     const limiter = createRateLimiter('test-under-limit', 5);
     const req = { headers: { 'x-real-ip': '1.2.3.4' } };
 
     for (let i = 0; i < 5; i++) {
-      expect(limiter(req)).toBe(false);
+      expect(await limiter(req)).toBe(false);
     }
   });
 
-  it('blocks requests over the limit', () => {
+  it('blocks requests over the limit', async () => {
     const limiter = createRateLimiter('test-over-limit', 3);
     const req = { headers: { 'x-real-ip': '5.6.7.8' } };
 
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
     // 4th request should be blocked
-    expect(limiter(req)).toBe(true);
+    expect(await limiter(req)).toBe(true);
   });
 
-  it('tracks separate IPs independently', () => {
+  it('tracks separate IPs independently', async () => {
     const limiter = createRateLimiter('test-separate-ips', 2);
     const req1 = { headers: { 'x-real-ip': '10.0.0.1' } };
     const req2 = { headers: { 'x-real-ip': '10.0.0.2' } };
 
-    expect(limiter(req1)).toBe(false);
-    expect(limiter(req1)).toBe(false);
-    expect(limiter(req1)).toBe(true); // blocked
+    expect(await limiter(req1)).toBe(false);
+    expect(await limiter(req1)).toBe(false);
+    expect(await limiter(req1)).toBe(true); // blocked
 
     // Different IP should still be allowed
-    expect(limiter(req2)).toBe(false);
+    expect(await limiter(req2)).toBe(false);
   });
 
-  it('prefers x-real-ip over x-forwarded-for', () => {
+  it('prefers x-real-ip over x-forwarded-for', async () => {
     const limiter = createRateLimiter('test-ip-priority', 1);
     const req = {
       headers: {
@@ -49,40 +53,165 @@ describe('createRateLimiter', () => {
       },
     };
 
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(true); // blocked for 100.0.0.1
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true); // blocked for 100.0.0.1
 
     // A request from the x-forwarded-for IP should still be allowed
     const req2 = { headers: { 'x-real-ip': '200.0.0.1' } };
-    expect(limiter(req2)).toBe(false);
+    expect(await limiter(req2)).toBe(false);
   });
 
-  it('falls back to x-forwarded-for when x-real-ip is missing', () => {
+  it('falls back to x-forwarded-for when x-real-ip is missing', async () => {
     const limiter = createRateLimiter('test-xff-fallback', 1);
     const req = { headers: { 'x-forwarded-for': '50.0.0.1, 60.0.0.1' } };
 
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(true);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true);
   });
 
-  it('handles missing headers gracefully', () => {
+  it('handles missing headers gracefully', async () => {
     const limiter = createRateLimiter('test-no-headers', 2);
     const req = { headers: {} };
 
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(false);
-    expect(limiter(req)).toBe(true);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true);
   });
 
-  it('uses separate stores for different endpoint names', () => {
+  it('uses separate stores for different endpoint names', async () => {
     const limiterA = createRateLimiter('endpoint-a', 1);
     const limiterB = createRateLimiter('endpoint-b', 1);
     const req = { headers: { 'x-real-ip': '99.0.0.1' } };
 
-    expect(limiterA(req)).toBe(false);
-    expect(limiterA(req)).toBe(true); // blocked on A
+    expect(await limiterA(req)).toBe(false);
+    expect(await limiterA(req)).toBe(true); // blocked on A
 
     // Same IP, different endpoint — should still be allowed
-    expect(limiterB(req)).toBe(false);
+    expect(await limiterB(req)).toBe(false);
+  });
+});
+
+function mockRes() {
+  const headers = {};
+  return { headers, setHeader(k, v) { headers[k] = v; } };
+}
+
+describe('rate limit headers', () => {
+  it('sets RateLimit-Limit and RateLimit-Remaining', async () => {
+    const limiter = createRateLimiter('test-headers', 3);
+    const res = mockRes();
+    await limiter({ headers: { 'x-real-ip': '7.7.7.7' } }, res);
+    expect(res.headers['RateLimit-Limit']).toBe('3');
+    expect(res.headers['RateLimit-Remaining']).toBe('2');
+    expect(res.headers['Retry-After']).toBeUndefined();
+  });
+
+  it('sets Retry-After when limited', async () => {
+    const limiter = createRateLimiter('test-retry-after', 1);
+    const req = { headers: { 'x-real-ip': '7.7.7.8' } };
+    await limiter(req);
+    const res = mockRes();
+    expect(await limiter(req, res)).toBe(true);
+    expect(res.headers['RateLimit-Remaining']).toBe('0');
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    expect(Number(res.headers['Retry-After'])).toBeLessThanOrEqual(60);
+  });
+});
+
+describe('sliding window', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('allows requests again once the window slides past', async () => {
+    const limiter = createRateLimiter('test-slide', 2, { store: createMemoryStore() });
+    const req = { headers: { 'x-real-ip': '8.8.8.8' } };
+    expect(await limiter(req)).toBe(false);
+    vi.advanceTimersByTime(30_000);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true);
+    vi.advanceTimersByTime(30_001); // first request has left the window
+    expect(await limiter(req)).toBe(false);
+  });
+});
+
+describe('token bucket', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('allows a burst up to capacity, then refills at the configured rate', async () => {
+    const limiter = createRateLimiter('test-bucket', 60, { algorithm: 'token-bucket', burst: 3, store: createMemoryStore() });
+    const req = { headers: { 'x-real-ip': '9.9.9.9' } };
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true);
+    vi.advanceTimersByTime(1000); // 60/min = one token per second
+    expect(await limiter(req)).toBe(false);
+    expect(await limiter(req)).toBe(true);
+  });
+
+  it('reports capacity as the limit', async () => {
+    const limiter = createRateLimiter('test-bucket-limit', 60, { algorithm: 'token-bucket', burst: 5, store: createMemoryStore() });
+    const result = await limiter.check({ headers: { 'x-real-ip': '9.9.9.8' } });
+    expect(result).toMatchObject({ allowed: true, limit: 5, remaining: 4 });
+  });
+});
+
+describe('peek', () => {
+  it('reports the budget without spending it', async () => {
+    for (const algorithm of ['sliding-window', 'token-bucket']) {
+      const limiter = createRateLimiter(`test-peek-${algorithm}`, 1, { algorithm, store: createMemoryStore() });
+      const req = { headers: { 'x-real-ip': '6.6.6.6' } };
+      expect(await limiter.peek(req)).toMatchObject({ allowed: true, remaining: 1 });
+      expect(await limiter.peek(req)).toMatchObject({ allowed: true, remaining: 1 });
+      expect(await limiter(req)).toBe(false);
+      expect(await limiter.peek(req)).toMatchObject({ allowed: false, remaining: 0 });
+    }
+  });
+
+  it('tells the Redis scripts not to record the request', async () => {
+    const calls = [];
+    const client = { async command(...args) { calls.push(args); return [1, 5, 0]; } };
+    const limiter = createRateLimiter('test-redis-peek', 5, { store: createRedisStore(client) });
+    await limiter.peek({ headers: { 'x-real-ip': '4.4.4.7' } });
+    await limiter({ headers: { 'x-real-ip': '4.4.4.7' } });
+    expect(calls.map(c => c.at(-1))).toEqual([1, 0]);
+  });
+});
+
+describe('custom key', () => {
+  it('applies a global cap across all clients', async () => {
+    const limiter = createRateLimiter('test-global', 2, { key: () => 'global', store: createMemoryStore() });
+    expect(await limiter({ headers: { 'x-real-ip': '1.1.1.1' } })).toBe(false);
+    expect(await limiter({ headers: { 'x-real-ip': '2.2.2.2' } })).toBe(false);
+    expect(await limiter({ headers: { 'x-real-ip': '3.3.3.3' } })).toBe(true);
+  });
+});
+
+describe('createRedisStore', () => {
+  it('runs the sliding window script against a namespaced key', async () => {
+    const calls = [];
+    const client = { async command(...args) { calls.push(args); return [1, 4, 60000]; } };
+    const limiter = createRateLimiter('test-redis', 5, { store: createRedisStore(client) });
+    const result = await limiter.check({ headers: { 'x-real-ip': '4.4.4.4' } });
+    expect(calls[0][0]).toBe('EVAL');
+    expect(calls[0][2]).toBe(1);
+    expect(calls[0][3]).toBe('ww:rl:test-redis:4.4.4.4');
+    expect(result).toEqual({ allowed: true, remaining: 4, resetMs: 60000, limit: 5 });
+  });
+
+  it('maps a denied reply to allowed: false', async () => {
+    const client = { async command() { return [0, 0, 1500]; } };
+    const limiter = createRateLimiter('test-redis-deny', 5, { store: createRedisStore(client) });
+    expect(await limiter({ headers: { 'x-real-ip': '4.4.4.5' } })).toBe(true);
+  });
+
+  it('fails open when the store errors', async () => {
+    const client = { async command() { throw new Error('ECONNREFUSED'); } };
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const limiter = createRateLimiter('test-redis-down', 1, { store: createRedisStore(client) });
+    expect(await limiter({ headers: { 'x-real-ip': '4.4.4.6' } })).toBe(false);
+    expect(await limiter({ headers: { 'x-real-ip': '4.4.4.6' } })).toBe(false);
+    spy.mockRestore();
   });
 });
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { buildRotations, assessTurn, findAtRisk, MIN_TURN_MINUTES } from '../api/_rotations.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const t = 1700000000;
+const min = (n) => n * 60;
+
+const arrival = (num, reg, { sched = t, est = null, real = null, status = 'estimated', from = 'LAX' } = {}) =>
+  scheduleFlight(num, { from, to: 'ATL', status, registration: reg, arr: sched, estArr: est, realArr: real });
+
+const departure = (num, reg, { sched = t, real = null, status = 'scheduled', to = 'BOS' } = {}) =>
+  scheduleFlight(num, { to, status, registration: reg, dep: sched, realDep: real });
+
+describe('buildRotations', () => {
+  it('pairs each inbound with the same tail\'s next outbound', () => {
+    const chains = buildRotations(
+      [arrival('DL1', 'N1'), arrival('DL3', 'N1', { sched: t + min(240) })],
+      [departure('DL2', 'N1', { sched: t + min(60) }), departure('DL0', 'N1', { sched: t - min(120) }), departure('DL9', 'N2')],
+    );
+    const n1 = chains.get('N1').map(({ inbound, outbound }) => [inbound?.identification.number.default ?? null, outbound?.identification.number.default ?? null]);
+    expect(n1).toEqual([[null, 'DL0'], ['DL1', 'DL2'], ['DL3', null]]);
+    expect(chains.get('N2')).toHaveLength(1);
+  });
+
+  it('skips flights without a registration', () => {
+    const chains = buildRotations([arrival('DL1', null)], [departure('DL2', undefined)]);
+    expect(chains.size).toBe(0);
+  });
+});
+
+describe('assessTurn', () => {
+  const out = departure('DL2', 'N1', { sched: t + min(60) });
+
+  it('is ok with at least the minimum turn', () => {
+    expect(assessTurn({ inbound: arrival('DL1', 'N1', { est: t + min(15) }), outbound: out })).toMatchObject({ status: 'ok', slack: 45, projectedDelay: 0 });
+  });
+
+  it('is tight inside the minimum turn and projects the knock-on delay', () => {
+    const risk = assessTurn({ inbound: arrival('DL1', 'N1', { est: t + min(40) }), outbound: out });
+    expect(risk).toEqual({ status: 'tight', reason: 'late-inbound', minTurn: MIN_TURN_MINUTES.mainline, slack: 20, projectedDelay: 20 });
+  });
+
+  it('is broken when the inbound lands after the outbound is due out', () => {
+    const risk = assessTurn({ inbound: arrival('DL1', 'N1', { real: t + min(75), status: 'landed' }), outbound: out }, 30);
+    expect(risk).toMatchObject({ status: 'broken', slack: -15, projectedDelay: 45, minTurn: 30 });
+  });
+
+  it('is broken when the inbound is cancelled or diverted', () => {
+    expect(assessTurn({ inbound: arrival('DL1', 'N1', { status: 'canceled' }), outbound: out })).toMatchObject({ status: 'broken', reason: 'inbound-cancelled' });
+    expect(assessTurn({ inbound: arrival('DL1', 'N1', { status: 'diverted' }), outbound: out })).toMatchObject({ status: 'broken', reason: 'inbound-diverted' });
+  });
+
+  it('uses the shorter Connection turn for partner outbounds', () => {
+    const connection = { ...departure('DL3954', 'N2', { sched: t + min(60) }), operation: { carrier: 'OO', name: 'SkyWest Airlines', connection: true } };
+    expect(assessTurn({ inbound: arrival('DL3953', 'N2', { est: t + min(25) }), outbound: connection })).toMatchObject({ status: 'ok', minTurn: 30 });
+  });
+
+  it('ignores outbounds that have gone or were cancelled', () => {
+    const late = arrival('DL1', 'N1', { est: t + min(70) });
+    expect(assessTurn({ inbound: late, outbound: departure('DL2', 'N1', { sched: t + min(60), real: t + min(90) }) })).toBeNull();
+    expect(assessTurn({ inbound: late, outbound: departure('DL2', 'N1', { sched: t + min(60), status: 'canceled' }) })).toBeNull();
+  });
+});
+
+describe('findAtRisk', () => {
+  it('lists broken turns first, then by projected delay', () => {
+    const { tails, turns, atRisk } = findAtRisk(
+      [
+        arrival('DL1', 'N1', { est: t + min(50) }),
+        arrival('DL3', 'N2', { est: t + min(45) }),
+        arrival('DL5', 'N3', { est: t + min(70) }),
+        arrival('DL7', 'N4', { est: t }),
+      ],
+      [
+        departure('DL2', 'N1', { sched: t + min(60), to: 'MCO' }),
+        departure('DL4', 'N2', { sched: t + min(60) }),
+        departure('DL6', 'N3', { sched: t + min(60) }),
+        departure('DL8', 'N4', { sched: t + min(60) }),
+      ],
+    );
+    expect({ tails, turns }).toEqual({ tails: 4, turns: 4 });
+    expect(atRisk.map(r => r.outbound.flight)).toEqual(['DL6', 'DL2', 'DL4']);
+    expect(atRisk[1]).toMatchObject({
+      registration: 'N1',
+      aircraft: 'A321',
+      inbound: { flight: 'DL1', from: 'LAX', scheduledArrival: t, estimatedArrival: t + min(50), landed: false },
+      outbound: { flight: 'DL2', to: 'MCO', scheduledDeparture: t + min(60) },
+    });
+  });
+
+  it('applies a minTurn override to every turn', () => {
+    const { atRisk } = findAtRisk([arrival('DL1', 'N1', { est: t + min(40) })], [departure('DL2', 'N1', { sched: t + min(60) })], { minTurn: 15 });
+    expect(atRisk).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { assembleRoute, summarizeRoute } from '../api/route.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const t = 1700000000;
+
+const flight = (num, { dep = t, ...o } = {}) =>
+  scheduleFlight(num, { registration: 'N301DN', dep, arr: dep + 16200, ...o });
+
+describe('assembleRoute', () => {
+  it('joins both boards by flight number and scheduled departure', () => {
+    const flights = assembleRoute(
+      [flight('DL1', { status: 'departed', realDep: t + 600 }), flight('DL2', { to: 'SEA' })],
+      [flight('DL1', { status: 'landed', realDep: t + 600, realArr: t + 16000 }), flight('DL3', { dep: t - 3600 })],
+      { from: 'ATL', to: 'LAX' },
+    );
+    expect(flights.map(f => [f.flight, f.seenAt])).toEqual([['DL3', ['destination']], ['DL1', ['origin', 'destination']]]);
+    expect(flights[1]).toMatchObject({
+      status: 'landed',
+      delayMin: 10,
+      departure: { actual: new Date((t + 600) * 1000).toISOString() },
+      arrival: { actual: new Date((t + 16000) * 1000).toISOString() },
+      aircraft: { type: 'A321', registration: 'N301DN' },
+    });
+  });
+
+  it('drops flights that left outside the origin day', () => {
+    const flights = assembleRoute(null, [flight('DL1'), flight('DL2', { dep: t - 86400 })], { from: 'ATL', to: 'LAX', window: [t - 3600, t + 82800] });
+    expect(flights.map(f => f.flight)).toEqual(['DL1']);
+  });
+});
+
+describe('summarizeRoute', () => {
+  it('counts outcomes by departure', () => {
+    const flights = assembleRoute([
+      flight('DL1', { status: 'departed', realDep: t + 2400 }),
+      flight('DL2', { status: 'departed', realDep: t + 600 }),
+      flight('DL3', { status: 'canceled' }),
+      flight('DL4'),
+    ], null, { from: 'ATL', to: 'LAX' });
+    expect(summarizeRoute(flights)).toEqual({ total: 4, cancelled: 1, diverted: 0, operated: 2, onTime: 1, delayed30: 1, avgDelay: 25 });
+    expect(summarizeRoute([]).avgDelay).toBeNull();
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { validateQuery, toParameters, ValidationError } from '../api/_schema.js';
+import { withMiddleware, query } from '../api/_middleware.js';
+import { querySchema as scheduleSchema } from '../api/schedule.js';
+import { querySchema as fleetSchema } from '../api/fleet.js';
+import { querySchema as metarSchema } from '../api/metar.js';
+
+function reject(schema, q) {
+  try {
+    validateQuery(schema, q);
+  } catch (e) {
+    expect(e).toBeInstanceOf(ValidationError);
+    return { field: e.field, reason: e.reason, message: e.message };
+  }
+  throw new Error('expected validation to fail');
+}
+
+describe('validateQuery', () => {
+  const schema = {
+    hub: { type: 'string', required: true, transform: s => s.toUpperCase(), pattern: /^[A-Z]{3}$/ },
+    page: { type: 'integer', min: 1, max: 100 },
+    dir: { type: 'string', enum: ['departures', 'arrivals'], default: 'departures' },
+    live: { type: 'boolean', default: false },
+  };
+
+  it('coerces types, applies transforms and defaults', () => {
+    expect(validateQuery(schema, { hub: 'atl', page: '3', live: '1' }))
+      .toEqual({ hub: 'ATL', page: 3, dir: 'departures', live: true });
+  });
+
+  it('leaves absent optional params undefined', () => {
+    expect(validateQuery(schema, { hub: 'ATL' }).page).toBeUndefined();
+  });
+
+  it('reports the failing field and reason', () => {
+    expect(reject(schema, {})).toEqual({ field: 'hub', reason: 'required', message: 'Missing hub parameter' });
+    expect(reject(schema, { hub: 'ATLX' })).toMatchObject({ field: 'hub', reason: 'pattern' });
+    expect(reject(schema, { hub: 'ATL', page: '2x' })).toMatchObject({ field: 'page', reason: 'type' });
+    expect(reject(schema, { hub: 'ATL', page: '0' })).toMatchObject({ field: 'page', reason: 'min' });
+    expect(reject(schema, { hub: 'ATL', page: '101' })).toMatchObject({ field: 'page', reason: 'max' });
+    expect(reject(schema, { hub: 'ATL', dir: 'up' })).toMatchObject({ field: 'dir', reason: 'enum' });
+  });
+
+  it('uses the first value of a repeated scalar param', () => {
+    expect(validateQuery(schema, { hub: ['dtw', 'atl'] }).hub).toBe('DTW');
+  });
+
+  it('accepts repeated and comma-separated array values', () => {
+    const ids = { type: 'string', array: { maxItems: 3 }, pattern: /^[A-Z]{4}$/ };
+    expect(validateQuery({ ids }, { ids: ['KATL,KJFK', 'KDTW'] }).ids).toEqual(['KATL', 'KJFK', 'KDTW']);
+    expect(reject({ ids }, { ids: 'KATL,KJFK,KDTW,KMSP' })).toMatchObject({ field: 'ids', reason: 'maxItems' });
+    expect(reject({ ids }, { ids: 'KATL,XX' })).toMatchObject({ field: 'ids', reason: 'pattern' });
+  });
+
+  it('rejects values a custom parser returns NaN for', () => {
+    const at = { type: 'string', parse: s => Date.parse(s) };
+    expect(reject({ at }, { at: 'soon' })).toMatchObject({ field: 'at', reason: 'type' });
+  });
+});
+
+describe('endpoint schemas', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('schedule: timestamp must be within ±7 days of now', () => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2026-03-27T12:00:00Z'));
+    const now = Math.floor(Date.now() / 1000);
+    expect(validateQuery(scheduleSchema, { hub: 'atl', timestamp: String(now - 86400) }))
+      .toEqual({ hub: 'ATL', dir: 'departures', timestamp: now - 86400, page: undefined, airlines: ['DL'] });
+    expect(reject(scheduleSchema, { hub: 'ATL', timestamp: String(now - 86400 * 8) }))
+      .toEqual({ field: 'timestamp', reason: 'min', message: 'Invalid timestamp' });
+    expect(reject(scheduleSchema, { hub: 'ATL', timestamp: String(now + 86400 * 8) }))
+      .toMatchObject({ field: 'timestamp', reason: 'max' });
+  });
+
+  it('fleet: gid must be a published tab', () => {
+    expect(validateQuery(fleetSchema, {}).gid).toBe('948315825');
+    expect(validateQuery(fleetSchema, { gid: '26759434' }).gid).toBe('26759434');
+    expect(reject(fleetSchema, { gid: '12345' })).toMatchObject({ field: 'gid', reason: 'enum' });
+  });
+
+  it('metar: defaults to KATL and caps at 20 codes', () => {
+    expect(validateQuery(metarSchema, {}).ids).toEqual(['KATL']);
+    const many = Array.from({ length: 21 }, () => 'KATL').join(',');
+    expect(reject(metarSchema, { ids: many })).toMatchObject({ field: 'ids', reason: 'maxItems' });
+  });
+});
+
+describe('query middleware with a schema', () => {
+  it('returns a structured 400', async () => {
+    const res = {
+      statusCode: 200, headers: {}, body: undefined,
+      setHeader(k, v) { this.headers[k] = v; },
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    await withMiddleware('test', [query(fleetSchema)], async () => {})({ method: 'GET', headers: {}, query: { gid: 'abc' } }, res);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, error: 'Invalid gid parameter', code: 'BAD_REQUEST', field: 'gid', reason: 'pattern' });
+  });
+});
+
+describe('toParameters', () => {
+  it('describes static constraints and notes dynamic bounds', () => {
+    const params = toParameters(scheduleSchema);
+    expect(params.find(p => p.name === 'hub')).toMatchObject({ in: 'query', required: true, schema: { type: 'string', pattern: '^[A-Z]{3,4}$' } });
+    expect(params.find(p => p.name === 'dir').schema).toEqual({ type: 'string', enum: ['departures', 'arrivals'], default: 'departures' });
+    const ts = params.find(p => p.name === 'timestamp');
+    expect(ts.schema).toEqual({ type: 'integer' });
+    expect(ts.description).toContain('±7 days');
+    expect(toParameters(metarSchema)[0]).toMatchObject({ schema: { type: 'array', maxItems: 20 }, explode: false });
+  });
+});
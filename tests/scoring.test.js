@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  SCORING_MODELS, getScoringModel, loadScoringModels, parseScoringModel, scoreWith, describeScore,
+} from '../api/_scoring.js';
+import { computeMetrics, toSnapshot } from '../api/irops.js';
+import { scheduleFlight } from './helpers/fr24.js';
+
+const counts = { total: 10, cancellations: 1, delayed30: 2, delayed60: 1, diversions: 1 };
+
+describe('getScoringModel', () => {
+  afterEach(() => { vi.unstubAllEnvs(); vi.restoreAllMocks(); });
+
+  it('defaults to standard-v1', () => {
+    expect(getScoringModel().id).toBe('standard-v1');
+  });
+
+  it('follows IROPS_SCORING_MODEL', () => {
+    vi.stubEnv('IROPS_SCORING_MODEL', 'standard-v1');
+    expect(getScoringModel()).toMatchObject({ id: 'standard-v1', per: 100 });
+  });
+
+  it('falls back to the default on an unknown IROPS_SCORING_MODEL, warning once', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.stubEnv('IROPS_SCORING_MODEL', 'missing');
+    expect(getScoringModel().id).toBe('standard-v1');
+    expect(getScoringModel().id).toBe('standard-v1');
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0]).toMatch(/Unknown IROPS_SCORING_MODEL missing/);
+  });
+
+  it('still rejects an explicit unknown id', () => {
+    expect(() => getScoringModel('missing')).toThrow(/Unknown IROPS scoring model/);
+  });
+});
+
+describe('loadScoringModels', () => {
+  afterEach(() => {
+    delete SCORING_MODELS['winter-v1'];
+    delete SCORING_MODELS['broken-v1'];
+    vi.restoreAllMocks();
+  });
+
+  it('registers tuned models, inheriting unset settings from the default', () => {
+    const added = loadScoringModels(JSON.stringify({
+      'winter-v1': { thresholds: { delayed30: 45, delayed60: 90 }, weights: { cancellations: 4 } },
+    }));
+    expect(added).toEqual(['winter-v1']);
+    expect(getScoringModel('winter-v1')).toMatchObject({
+      id: 'winter-v1',
+      thresholds: { delayed30: 45, delayed60: 90 },
+      weights: { cancellations: 4, delayed30: 1, delayed60: 2, diversions: 2 },
+      per: 100,
+    });
+  });
+
+  it('skips invalid JSON, invalid models and redefinitions with a warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(loadScoringModels('{nope')).toEqual([]);
+    expect(loadScoringModels(JSON.stringify({
+      'standard-v1': { per: 10 },
+      'broken-v1': { weights: { delayed60: -1 } },
+    }))).toEqual([]);
+    expect(SCORING_MODELS['standard-v1'].per).toBe(100);
+    expect(SCORING_MODELS['broken-v1']).toBeUndefined();
+    expect(warn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('parseScoringModel', () => {
+  it('checks thresholds, weights and normalization', () => {
+    expect(parseScoringModel({ thresholds: { delayed30: 60, delayed60: 30 } }).error).toMatch(/thresholds/);
+    expect(parseScoringModel({ weights: { diversions: 'x' } }).error).toMatch(/weight diversions/);
+    expect(parseScoringModel({ per: 0 }).error).toMatch(/per/);
+    expect(parseScoringModel([]).error).toMatch(/object/);
+    expect(parseScoringModel({}).model).toMatchObject({ per: 100, thresholds: { delayed30: 30, delayed60: 60 } });
+  });
+});
+
+describe('scoreWith / describeScore', () => {
+  const model = getScoringModel('standard-v1');
+
+  it('matches the original formula', () => {
+    // (1*3 + 1*2 + 2 + 1*2) / 10 * 100
+    expect(scoreWith(counts, model)).toBe(90);
+    expect(scoreWith({ ...counts, total: 0 }, model)).toBe(0);
+  });
+
+  it('breaks the score down by factor', () => {
+    const report = describeScore(counts, model);
+    expect(report.model).toBe('standard-v1');
+    expect(report.contributions).toEqual({ cancellations: 30, delayed30: 20, delayed60: 20, diversions: 20 });
+  });
+});
+
+describe('computeMetrics with another model', () => {
+  afterEach(() => { delete SCORING_MODELS['test-winter']; });
+
+  it('applies the model thresholds and weights', () => {
+    SCORING_MODELS['test-winter'] = {
+      thresholds: { delayed30: 45, delayed60: 90 },
+      weights: { cancellations: 4, delayed30: 1, delayed60: 1, diversions: 2 },
+      per: 100,
+    };
+    const model = getScoringModel('test-winter');
+    const t = 1700000000;
+    const flight = (realDep, status = 'landed') => scheduleFlight('DL1', { from: 'ORD', status, dep: t, realDep });
+    const result = computeMetrics({ ORD: [flight(t + 40 * 60), flight(t + 50 * 60), flight(null, 'canceled'), flight(t)] }, model);
+    expect(result.delayed30).toBe(1); // 40 min is under the 45 min bucket
+    expect(result.hubMetrics.ORD.onTime).toBe(1); // on-time stays within 30 min
+    expect(result.score).toBe(125); // (4 + 1) / 4 * 100
+    expect(result.scoring).toMatchObject({ model: 'test-winter', contributions: { cancellations: 100, delayed30: 25 } });
+    expect(toSnapshot(result)).toMatchObject({ scoringModel: 'test-winter', hubs: { ORD: { score: 125 } } });
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  HUB_TZ, addDays, getStartOfDayForHub, isDate, localDate, localHour, localMidnight, parseTime, parseEndTime,
+} from '../api/_time.js';
+
+const at = (iso) => Date.parse(iso) / 1000;
+
+describe('HUB_TZ', () => {
+  it('keys the hub time zones by upper-case code', () => {
+    expect(HUB_TZ.ATL).toBe('America/New_York');
+    expect(HUB_TZ.SLC).toBe('America/Denver');
+    expect(Object.keys(HUB_TZ)).toHaveLength(9);
+  });
+});
+
+describe('local dates', () => {
+  it('finds the real midnight on DST-change days', () => {
+    // US spring forward: 2026-03-08 is 23 hours long in New York
+    expect(localMidnight('2026-03-08', 'America/New_York')).toBe(at('2026-03-08T05:00:00Z'));
+    expect(localMidnight('2026-03-09', 'America/New_York')).toBe(at('2026-03-09T04:00:00Z'));
+    // Fall back: 2026-11-01 is 25 hours long in Los Angeles
+    expect(localMidnight(addDays('2026-11-01', 1), 'America/Los_Angeles') - localMidnight('2026-11-01', 'America/Los_Angeles'))
+      .toBe(25 * 3600);
+  });
+
+  it('reads the local date and hour of a Unix time', () => {
+    expect(localDate(at('2026-03-27T03:30:00Z'), 'America/Chicago')).toBe('2026-03-26');
+    expect(localHour(at('2026-03-27T03:30:00Z'), 'America/Chicago')).toBe(22);
+  });
+
+  it('adds calendar days and checks real dates', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(isDate('2026-02-29')).toBe(false);
+    expect(isDate('2028-02-29')).toBe(true);
+  });
+});
+
+describe('getStartOfDayForHub', () => {
+  afterEach(() => vi.useRealTimers());
+
+  it('returns a Unix timestamp (seconds)', () => {
+    const ts = getStartOfDayForHub('ORD');
+    expect(typeof ts).toBe('number');
+    expect(ts).toBeGreaterThan(1_000_000_000);
+    expect(ts).toBeLessThan(3_000_000_000); // reasonable range
+  });
+
+  it('falls back to America/New_York for unknown hubs', () => {
+    vi.useFakeTimers({ now: new Date('2026-03-27T18:00:00Z') });
+    expect(getStartOfDayForHub('XYZ')).toBe(getStartOfDayForHub('ATL'));
+  });
+
+  it('starts at local midnight, the previous one before 6 AM', () => {
+    vi.useFakeTimers({ now: new Date('2026-03-27T18:00:00Z') });
+    expect(getStartOfDayForHub('LAX')).toBe(at('2026-03-27T07:00:00Z'));
+    vi.setSystemTime(new Date('2026-03-27T12:00:00Z')); // 05:00 in Los Angeles
+    expect(getStartOfDayForHub('LAX')).toBe(at('2026-03-26T07:00:00Z'));
+  });
+
+  it('keeps the operating day on DST-change days', () => {
+    vi.useFakeTimers({ now: new Date('2026-03-08T20:00:00Z') }); // 16:00 EDT
+    expect(getStartOfDayForHub('ATL')).toBe(at('2026-03-08T05:00:00Z'));
+    vi.setSystemTime(new Date('2026-03-09T09:00:00Z')); // 05:00 EDT, still the 8th's day
+    expect(getStartOfDayForHub('ATL')).toBe(at('2026-03-08T05:00:00Z'));
+  });
+});
+
+describe('parseTime', () => {
+  it('parses Unix seconds', () => {
+    expect(parseTime('1774569600')).toBe(1774569600000);
+  });
+
+  it('parses ISO dates and datetimes', () => {
+    expect(parseTime('2026-03-27')).toBe(Date.parse('2026-03-27'));
+    expect(parseTime('2026-03-27T12:00:00Z')).toBe(Date.parse('2026-03-27T12:00:00Z'));
+  });
+
+  it('returns null when missing', () => {
+    expect(parseTime(undefined)).toBeNull();
+    expect(parseTime('')).toBeNull();
+  });
+
+  it('returns NaN for garbage', () => {
+    expect(parseTime('yesterday')).toBeNaN();
+  });
+});
+
+describe('parseEndTime', () => {
+  it('takes a bare date through the end of that day', () => {
+    expect(parseEndTime('2026-03-27')).toBe(Date.parse('2026-03-28') - 1);
+  });
+
+  it('leaves datetimes and Unix seconds alone', () => {
+    expect(parseEndTime('2026-03-27T12:00:00Z')).toBe(Date.parse('2026-03-27T12:00:00Z'));
+    expect(parseEndTime('1774569600')).toBe(1774569600000);
+    expect(parseEndTime(undefined)).toBeNull();
+  });
+});